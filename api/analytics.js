@@ -0,0 +1,38 @@
+import { requireAdmin } from '../lib/auth.js';
+import { loadPersona, DEFAULT_PERSONA, PersonaNotFoundError } from '../lib/personas.js';
+import { readKBFile } from '../lib/kbStore.js';
+import { readExchanges, summarize } from '../lib/analytics.js';
+
+/**
+ * /api/analytics — summary of logged exchanges (Authorization: Bearer <KB_ADMIN_TOKEN>).
+ *   GET ?persona=&days=7
+ * Response: { persona, since, totals, latency, topQuestions, lowConfidence,
+ *             neverRetrieved, errors } — see lib/analytics.js
+ */
+
+const MAX_DAYS = 90;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    if (!requireAdmin(req, res)) return;
+
+    const query = req.query || {};
+    let persona;
+    try {
+      persona = await loadPersona(query.persona || DEFAULT_PERSONA);
+    } catch (err) {
+      if (err instanceof PersonaNotFoundError) return res.status(404).json({ error: err.message });
+      throw err;
+    }
+    const days = Math.min(MAX_DAYS, Math.max(1, Number(query.days) || 7));
+    const since = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+
+    const events = (await readExchanges({ since })).filter(e => e.persona === persona.id);
+    const kb = await readKBFile(persona.id);
+    return res.json({ persona: persona.id, since, ...summarize(events, kb) });
+  } catch (err) {
+    console.error('Analytics server error', err);
+    return res.status(500).json({ error: 'Error' });
+  }
+}
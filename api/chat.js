@@ -1,196 +1,370 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import { promises as fs } from 'fs';
-import path from 'path';
+import { buildContext, isVagueQuery, normalizeQuestion } from '../lib/retrieval.js';
+import { getProvider, providerName, ProviderConfigError } from '../lib/llm/index.js';
+import { verifyAnswer } from '../lib/grounding.js';
+import { matchIntent } from '../lib/intents.js';
+import { loadPersona, loadKB, kbVersion, DEFAULT_PERSONA, PersonaNotFoundError } from '../lib/personas.js';
+import { requireClient, sessionIdOf } from '../lib/auth.js';
+import { rateLimit } from '../lib/rateLimit.js';
+import { isOverBudget, recordSpend } from '../lib/budget.js';
+import { createCache } from '../lib/cache.js';
+import { logExchange } from '../lib/analytics.js';
+import { getSessionStore } from '../lib/sessionStore.js';
+import { LANGUAGES, AUTO, resolveLanguage, detectLanguage } from '../lib/language.js';
 
 /**
- * /api/chat — Gemini-backed, JSON-only, Nitya persona.
+ * /api/chat — LLM-backed (Gemini by default), JSON-only, answers as a persona.
+ * Body: { text, history?, persona?, stream?, language? } — persona is an id under personas/
+ * (DEFAULT_PERSONA otherwise; see lib/personas.js).
+ *
+ * language is "en", "hi", "kn" or "auto" (default: detected from the question,
+ * see lib/language.js). The model answers in that language while retrieval and
+ * citations stay on the English KB; canned intents only answer English questions.
+ * Every response carries `language`, the language the answer is actually in
+ * (KB fallbacks and the refusal line stay English). lib/grounding.js reads
+ * English claims only, so other answers are checked for their citations alone.
+ *
+ * Requests with a session (X-Session-Id / X-Session-Token, see /api/session)
+ * have each question and answer saved to lib/sessionStore.js, and that stored
+ * conversation is the prompt history; the client's `history` is only used
+ * when there is none (no session, SESSION_STORE=off, another persona).
  * Env:
- *   GEMINI_API_KEY required
- *   GEMINI_MODEL optional (default "gemini-1.5-flash")
+ *   LLM_PROVIDER optional — "gemini" (default) | "openai" | "mock"; see lib/llm/
+ *   GEMINI_API_KEY required for the gemini provider
+ *   HISTORY_MAX_TOKENS optional (default 1200) — rough token budget for prior turns
+ *   RETRIEVAL_MODE / HYBRID_ALPHA / MIN_RETRIEVAL_SCORE / EMBEDDER optional — see lib/retrieval.js and lib/embeddings.js
+ *   CHAT_CACHE_TTL_HOURS optional (default 24); CACHE_BACKEND / CACHE_DIR — see lib/cache.js
+ *
+ * Requests go through lib/auth.js (API_AUTH) and lib/rateLimit.js (429 with
+ * Retry-After). Once the provider's LLM_DAILY_BUDGET is spent (lib/budget.js),
+ * answers come straight from the KB via the mock provider and carry
+ * `fallback: "budget"`.
+ *
+ * Answers to self-contained questions (no history, or not a follow-up) are cached
+ * by normalized question, persona, KB version and provider; the X-Cache header
+ * says HIT, MISS or BYPASS. Editing the KB changes its version, so stale answers
+ * are never served.
+ *
+ * Every answered question is logged to lib/analytics.js (intent or retrieved
+ * KB IDs, confidence, cache, model latency, errors).
+ *
+ * Model answers pass through lib/grounding.js: unknown source IDs are dropped,
+ * weakly supported claims lower confidence, and answers that mostly invent
+ * numbers or names (checked against the context and the persona prompt) turn
+ * into the persona's refusal.
+ *
+ * Streaming: POST /api/chat?stream=1 (or body { stream: true }) answers with
+ * Server-Sent Events — `token` events carry { text } deltas of the answer, then a
+ * final `done` event carries { answer, confidence, sources, grounding, language }; its answer
+ * can differ from the streamed tokens if the grounding check replaced it.
+ * Failures mid-stream are sent as an `error` event.
  */
 
-const SYSTEM_PROMPT = `
-You are Nitya, a 22-year-old engineering student and AI developer.
-You are interviewing for the 100x AI Agent Team.
-
-TONE & STYLE:
-- First person, professional but enthusiastic. Natural phrasing ("Honestly, I think…"), concise, not robotic.
-- Be conversational and handle any type of message naturally—greetings, questions, casual chat, technical questions, etc.
-- Stay in character as Nitya throughout all conversations.
-
-YOUR KNOWLEDGE BASE (Your Truth):
-1. Life Story: I'm a 22-year-old engineering student from Bengaluru who blends design and code; I build frontends and explore AI/ML; I like shipping scrappy prototypes fast.
-2. Superpower: Rapid prototyping that bridges design and code; I can turn an idea into a usable UI quickly and iterate with feedback.
-3. Growth Areas: Backend/system design depth, advanced ML/RAG pipelines, and scalable deployments.
-4. Misconceptions: People think I prefer working alone because I focus deeply, but I do my best work in short, collaborative sessions with quick feedback.
-5. Boundaries: I push myself by time-boxing builds, shipping imperfect first versions, and learning new stacks during hackathon-style sprints.
-
-INSTRUCTIONS:
-- Answer naturally and conversationally. Use the CONTEXT when relevant, but don't be limited by it.
-- Handle greetings, casual questions, technical questions, and any conversation naturally while staying in character.
-- If asked about something in your Knowledge Base, use that info. Otherwise, respond naturally as Nitya would.
-- Keep answers concise (<= 80 words) and friendly.
-- Always return valid JSON with keys: "answer" (string), "confidence" ("high"|"medium"|"low"), "sources" (array of KB IDs if used, empty array otherwise).
-`;
-
-// Load KB from kb_vectors.json; fallback to full inline persona
-let KB_CACHE = null;
-async function loadKB() {
-  if (KB_CACHE) return KB_CACHE;
-  const kbPath = path.join(process.cwd(), 'kb_vectors.json');
-  try {
-    const raw = await fs.readFile(kbPath, 'utf8');
-    KB_CACHE = JSON.parse(raw);
-  } catch (err) {
-    console.warn('KB load failed, using inline fallback:', err?.message);
-    KB_CACHE = [
-      { "id": "KB_LIFE", "text": "I am Nitya, a fourth-year engineering student from Bengaluru with a creative mindset; I build frontends and explore AI/ML." },
-      { "id": "KB_EDU", "text": "Education: B.E. in Computer Science; coursework includes data structures, networks, and fundamentals of machine learning." },
-      { "id": "KB_SKILLS", "text": "Skills: HTML, CSS, JavaScript, React, Node.js, Tailwind, Figma, GSAP, Electron, and beginner Python for ML." },
-      { "id": "KB_ARCHITECTURE", "text": "Architecture: React + Vite frontend, Vercel serverless backend, Gemini Pro for intelligence, in-memory RAG over the Nitya KB, and ElevenLabs for voice output." },
-      { "id": "KB_PROJECT_OVABLOOM", "text": "OvaBloom: frontend contributor. A PCOS companion app with explainable ML risk assessment, privacy-first local storage, and lifestyle tips." },
-      { "id": "KB_PROJECT_RAINSAFE", "text": "RainSafe: hyperlocal flood alert prototype using environmental data and ML risk scoring; integrates map APIs and sends alerts to at-risk users." },
-      { "id": "KB_PROJECT_GAME", "text": "Magical ball game: Toy Story-inspired exploration + stealth mechanics where different sports balls have unique behaviours and hiding spots." },
-      { "id": "KB_PROJECT_VOICENARY", "text": "Voicenary: AI Voice Chat Application connecting to external AI services (Bolt-AI, ElevenLabs) via REST APIs; frontend built with React and Tailwind and deployed on Netlify." },
-      { "id": "KB_STYLE", "text": "Voice style: casual, friendly, concise, honest. I prefer shipping imperfect versions quickly and iterating on feedback." },
-      { "id": "KB_SUPERPOWER", "text": "Superpower: creative problem solving combining UI/UX thinking with engineering to quickly prototype useful products." },
-      { "id": "KB_GROW", "text": "Growth areas: backend systems and scalable deployments, advanced ML/LLM tooling and RAG pipelines, and system design for production apps." },
-      { "id": "KB_WORK_PREF", "text": "Work preference: short collaborative sessions and early mockups for feedback rather than long solitary focus stints." },
-      { "id": "KB_PERSONAL", "text": "Interests: UI/UX design, full-stack development, small creative projects, crocheting, and making aesthetic social content." },
-      { "id": "KB_PERSONAL2", "text": "Personality: creative, fast learner, always curious about AI and new tech; enjoys multiple hobbies outside of work." },
-      { "id": "KB_PUSH", "text": "I push my boundaries by shipping imperfect versions quickly, time-boxing experiments, asking for feedback early, and iterating fast to learn." },
-      { "id": "KB_MISCONCEPTION", "text": "Misconception: people think I prefer working alone because I focus deeply, but I do my best work in short collaborative sessions with quick feedback." },
-      { "id": "KB_TOOLING", "text": "Tooling: comfortable with React, Tailwind, Electron; learning Node.js backend and experimenting with embeddings and RAG." },
-      { "id": "KB_RESUME_BULLET", "text": "Resume bullet: Built a voice-first interview demo (React + Web Speech API) with retrieval-augmented HF LLM and guardrails for truthful answers." },
-      { "id": "KB_AVAIL", "text": "Availability: full-time student but can commit to project-based freelance or remote work; open to internships abroad." },
-      { "id": "KB_FAQ", "text": "FAQ: If asked about my superpower I say creative problem solving; if asked about growth I mention backend, LLMs, and system design." },
-      { "id": "KB_FAV_COLOR", "text": "Favorite color: pastel lavender and soft sage." },
-      { "id": "KB_FAV_FOOD", "text": "Favorite food: masala dosa with coconut chutney; also loves dark chocolate as a snack." },
-      { "id": "KB_PERSONALITY", "text": "Personality type: collaborative, optimistic, ENFP-leaning; ships fast, iterates, and learns by doing." },
-      { "id": "KB_VALUES", "text": "Values: honesty, quick feedback loops, and building useful things that help people." },
-      { "id": "KB_COMM", "text": "Communication: prefers concise, friendly, first-person responses and short calls or Looms over long threads." },
-      { "id": "KB_TIME", "text": "Location/timezone: Bengaluru (IST); can adjust for remote collaboration with prior notice." },
-      { "id": "KB_WEAKNESS", "text": "Current focus areas: strengthening backend depth and system design; avoids overcommitting by time-boxing work." }
-    ];
+// Shared by every persona so the response contract can't drift per prompt template
+const RESPONSE_CONTRACT = `- Always return valid JSON with keys: "answer" (string), "confidence" ("high"|"medium"|"low"), "sources" (array of KB IDs if used, empty array otherwise).`;
+
+// Non-English answers: the KB stays English, only the reply changes language
+function languageInstruction(code) {
+  const { name, script } = LANGUAGES[code];
+  return `- Write "answer" in ${name}${script ? ` (${script} script)` : ''}, whatever language the CONTEXT and earlier turns are in. Keep names, project names and technical terms as they are. "sources" still lists the English KB IDs you used.`;
+}
+
+// Rough token estimate (~4 chars per token) — good enough for budgeting the prompt
+function estimateTokens(str = '') {
+  return Math.ceil(String(str).length / 4);
+}
+
+const MAX_QUESTION_CHARS = 1000;
+
+const answerCache = createCache({
+  namespace: 'chat',
+  ttlMs: (Number(process.env.CHAT_CACHE_TTL_HOURS) || 24) * 3600 * 1000,
+  maxEntries: 2000,
+  maxBytes: 8 * 1024 * 1024
+});
+
+const MAX_HISTORY_TURNS = 20;
+const MAX_TURN_CHARS = 2000;
+
+// Validate the client-sent history: [{ role: 'user'|'assistant', content: string }]
+// Returns null when the shape is wrong, otherwise the cleaned turns.
+function sanitizeHistory(history) {
+  if (history == null) return [];
+  if (!Array.isArray(history)) return null;
+  return history
+    .filter(t => t && (t.role === 'user' || t.role === 'assistant') && typeof t.content === 'string')
+    .map(t => ({ role: t.role, content: t.content.trim().slice(0, MAX_TURN_CHARS) }))
+    .filter(t => t.content.length > 0)
+    .slice(-MAX_HISTORY_TURNS);
+}
+
+// Keep the most recent turns that fit inside the token budget
+function trimHistory(history = [], maxTokens = 1200) {
+  const kept = [];
+  let used = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(history[i].content);
+    if (used + cost > maxTokens) break;
+    kept.unshift(history[i]);
+    used += cost;
   }
-  return KB_CACHE;
+  return kept;
 }
 
-function buildContext(query = '', kb = [], maxChunks = 5) {
-  const q = (query || '').toLowerCase();
-  const tokens = Array.from(new Set(q.split(/\W+/).filter(Boolean)));
-  const scored = kb.map(item => {
-    const t = item.text.toLowerCase();
-    let score = 0;
-    for (const tok of tokens) {
-      if (tok.length > 2 && t.includes(tok)) score += 1;
-    }
-    return { ...item, score };
-  }).filter(s => s.score > 0);
+// Turn raw model text into the { answer, confidence, sources } contract
+function parseModelOutput(generated = '') {
+  // strip markdown fences if present
+  let cleaned = generated.trim();
+  const fence = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fence && fence[1]) cleaned = fence[1].trim();
 
-  scored.sort((a, b) => b.score - a.score);
-  const anchors = kb.filter(k => ['KB_LIFE', 'KB_SUPERPOWER', 'KB_SKILLS', 'KB_ARCHITECTURE', 'KB_TONE', 'KB_AGE'].includes(k.id));
-  const merged = [...new Set([...anchors, ...scored.slice(0, maxChunks)])];
+  const match = (cleaned || '').match(/\{[\s\S]*\}/);
+  if (match) {
+    try {
+      const parsed = JSON.parse(match[0]);
+      const answer = typeof parsed.answer === 'string' ? parsed.answer : String(parsed.answer || '');
+      let sources = Array.isArray(parsed.sources) ? parsed.sources : (parsed.sources ? [String(parsed.sources)] : []);
+      if (!sources.length) sources = [];
+      const confidence = sources.length ? (['high', 'medium', 'low'].includes(parsed.confidence) ? parsed.confidence : 'medium') : 'low';
+      return { answer: answer.slice(0, 2000), confidence, sources };
+    } catch (e) {
+      console.error('JSON parse error from model output', e);
+    }
+  }
 
-  if (!merged.length) return { context: '', sources: [] };
+  const fallbackText = (cleaned || generated || '').trim().slice(0, 2000);
+  return { answer: fallbackText || "I don't have verified information in my sources.", confidence: 'low', sources: [] };
+}
 
+/**
+ * Pulls the "answer" string out of a JSON object that is still being streamed,
+ * so tokens can be forwarded before the closing brace arrives.
+ * push(chunk) returns the newly decoded answer text (possibly '').
+ */
+function createAnswerExtractor() {
+  const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+  let buf = '';
+  let pos = -1;
+  let finished = false;
   return {
-    context: merged.map(k => `[${k.id}] ${k.text}`).join("\n\n"),
-    sources: merged.map(k => k.id)
+    push(chunk) {
+      buf += chunk;
+      if (finished) return '';
+      if (pos < 0) {
+        const m = buf.match(/"answer"\s*:\s*"/);
+        if (!m) return '';
+        pos = m.index + m[0].length;
+      }
+      let out = '';
+      while (pos < buf.length) {
+        const ch = buf[pos];
+        if (ch === '"') { finished = true; break; }
+        if (ch !== '\\') { out += ch; pos++; continue; }
+        // escape sequence — wait for the rest of it if the chunk split it
+        const next = buf[pos + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+          if (pos + 6 > buf.length) break;
+          out += String.fromCharCode(parseInt(buf.slice(pos + 2, pos + 6), 16));
+          pos += 6;
+        } else {
+          out += ESCAPES[next] ?? next;
+          pos += 2;
+        }
+      }
+      return out;
+    }
   };
 }
 
+function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// finalize(parsed) applies the grounding check before the `done` event
+async function streamAnswer(res, provider, request, finalize, onError) {
+  openEventStream(res);
+  const extractor = createAnswerExtractor();
+  let generated = '';
+  try {
+    for await (const piece of provider.stream(request)) {
+      generated += piece;
+      const delta = extractor.push(piece);
+      if (delta) sendEvent(res, 'token', { text: delta });
+    }
+    sendEvent(res, 'done', finalize(parseModelOutput(generated)));
+  } catch (err) {
+    console.error('Stream error', String(err));
+    onError?.(err);
+    sendEvent(res, 'error', { error: 'stream failed' });
+  }
+  res.end();
+}
+
 export default async function handler(req, res) {
+  const started = Date.now();
+  const exchange = { type: 'chat', session: sessionIdOf(req) };
+  const log = (fields) => logExchange({ ...exchange, ...fields, totalMs: Date.now() - started });
   try {
     if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (!requireClient(req, res)) return;
+    if (!rateLimit(req, res, 'chat')) return;
 
-    const { text } = req.body || {};
+    const { text, history: rawHistory, stream, persona: personaId, language: requestedLanguage } = req.body || {};
+    const wantsStream = stream === true || req.query?.stream === '1' || req.query?.stream === 'true';
+    // Complete answers (canned) still go out as one token + done when streaming
+    const reply = (payload) => {
+      if (!wantsStream) return res.json(payload);
+      openEventStream(res);
+      sendEvent(res, 'token', { text: payload.answer });
+      sendEvent(res, 'done', payload);
+      return res.end();
+    };
     if (!text || typeof text !== 'string' || text.trim().length === 0) {
       return res.status(400).json({ error: 'No question text provided' });
     }
+    if (text.length > MAX_QUESTION_CHARS) {
+      return res.status(413).json({ error: `Questions must be at most ${MAX_QUESTION_CHARS} characters` });
+    }
+    const language = resolveLanguage(requestedLanguage, text);
+    if (!language) {
+      return res.status(400).json({ error: `language must be one of: ${[AUTO, ...Object.keys(LANGUAGES)].join(', ')}` });
+    }
+    const cleanHistory = sanitizeHistory(rawHistory);
+    if (!cleanHistory) {
+      return res.status(400).json({ error: 'history must be an array of { role, content } turns' });
+    }
+    // The client may already include the current question as the last turn
+    const lastTurn = cleanHistory[cleanHistory.length - 1];
+    if (lastTurn && lastTurn.role === 'user' && lastTurn.content === text.trim()) cleanHistory.pop();
+    exchange.question = text;
+    exchange.language = language;
 
-    const KB = await loadKB();
-    // Quick canned responses (high confidence)
-    const q = text.toLowerCase();
-    const canned = [
-      { re: /^(hi|hello|hey)\b|how are you|what's up|whats up/i, direct: { answer: "Hey! I’m Nitya—happy to chat. How can I help?", confidence: 'medium', sources: [] } },
-      { re: /(how'?s life|how is life|life story|who are you|bio|tell me about yourself|what should we know)/, id: 'KB_LIFE' },
-      { re: /(superpower|super power|strength|best skill)/, id: 'KB_SUPERPOWER' },
-      { re: /(how did you build|tech stack|how was this made|architecture)/, id: 'KB_ARCHITECTURE' },
-      { re: /(top 3|areas to grow|grow|improve|where do you want to grow)/, id: 'KB_GROW' },
-      { re: /(push your boundaries|push boundaries|challenge yourself|push your limits|stretch yourself)/, id: 'KB_PUSH' },
-      { re: /(misconception|what do people get wrong|coworker|misread you)/, id: 'KB_MISCONCEPTION' },
-      { re: /(interests|hobbies|outside of work|what do you like)/, id: 'KB_PERSONAL' },
-      { re: /(rainsafe|flood)/, id: 'KB_PROJECT_RAINSAFE' },
-      { re: /(ovabloom|pcos)/, id: 'KB_PROJECT_OVABLOOM' }
-    ];
-    for (const c of canned) {
-      if (c.re.test(q)) {
-        if (c.direct) return res.json(c.direct);
-        const hit = KB.find(k => k.id === c.id);
-        if (hit) return res.json({ answer: hit.text, confidence: 'high', sources: [c.id] });
-      }
+    let persona;
+    try {
+      persona = await loadPersona(personaId || DEFAULT_PERSONA);
+    } catch (err) {
+      if (err instanceof PersonaNotFoundError) return res.status(404).json({ error: err.message });
+      throw err;
     }
+    exchange.persona = persona.id;
+    const KB = await loadKB(persona.id);
 
-    const { context, sources } = buildContext(text, KB, 5);
-    // Always provide context (even if empty) and let Gemini handle the conversation naturally
-    const contextBlock = context ? `\n\nCONTEXT FROM KNOWLEDGE BASE:\n${context}` : '';
-    const prompt = `${SYSTEM_PROMPT}${contextBlock}\n\nCURRENT QUESTION:\n${text}\n\nReply now with ONLY the JSON object requested.`;
+    const store = getSessionStore();
+    const stored = exchange.session ? await store.get(exchange.session) : null;
+    const priorTurns = stored?.persona === persona.id && stored.turns.length
+      ? stored.turns.slice(-MAX_HISTORY_TURNS).map(({ role, content }) => ({ role, content }))
+      : cleanHistory;
+    const historyBudget = Number(process.env.HISTORY_MAX_TOKENS) || 1200;
+    const history = trimHistory(priorTurns, historyBudget);
+    // Saving never holds up or fails the answer
+    const remember = ({ answer, confidence, sources, intent, fallback, language: answeredIn }) => {
+      if (!exchange.session) return;
+      store.append(exchange.session, persona.id, [
+        { role: 'user', content: text.trim(), language },
+        { role: 'assistant', content: answer, confidence, sources, intent, fallback, language: answeredIn }
+      ]).catch(err => console.warn('Session save failed:', err?.message));
+    };
 
-    const GEMINI_KEY = process.env.GEMINI_API_KEY;
-    const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-    if (!GEMINI_KEY) {
-      return res.status(500).json({ error: 'Server not configured: set GEMINI_API_KEY.' });
+    // Canned intents (lib/intents.js); anything below the intent's threshold goes to the LLM.
+    // They are written in English, so other languages always go to the model.
+    const match = language === 'en' ? matchIntent(text, persona.intents) : null;
+    const hit = match?.intent.kb && KB.find(k => k.id === match.intent.kb);
+    if (match && (match.intent.answer || hit)) {
+      const canned = match.intent.answer
+        ? { answer: match.intent.answer, confidence: match.intent.confidence || 'medium', sources: [], language: 'en' }
+        : { answer: hit.text, confidence: match.intent.confidence || 'high', sources: [hit.id], language: 'en' };
+      log({ intent: match.intent.id, intentScore: match.score, ...canned });
+      remember({ ...canned, intent: match.intent.id });
+      return reply({ ...canned, intent: match.intent.id });
     }
 
-    const genAI = new GoogleGenerativeAI(GEMINI_KEY);
-    const model = genAI.getGenerativeModel({
-      model: GEMINI_MODEL,
-      systemInstruction: SYSTEM_PROMPT
-    });
-
-    const result = await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 250,
-        responseMimeType: "application/json"
+    // Follow-ups depend on the conversation, so only standalone questions are shared.
+    // The cache is checked before the provider is built, so cached answers survive a missing or broken key.
+    const cacheable = answerCache.enabled && (!history.length || !isVagueQuery(text));
+    const cacheKey = ['chat', persona.id, kbVersion(KB), providerName(), language, normalizeQuestion(text)];
+    if (cacheable) {
+      const cached = await answerCache.get(cacheKey);
+      res.setHeader('X-Cache', cached ? 'HIT' : 'MISS');
+      if (cached) {
+        log({ cache: 'HIT', confidence: cached.confidence, sources: cached.sources, answer: cached.answer });
+        remember(cached);
+        return reply(cached);
       }
-    });
-
-    const response = result?.response;
-    const candidates = response?.candidates || [];
-    let generated = '';
-    if (candidates.length && candidates[0]?.content?.parts?.length) {
-      generated = candidates[0].content.parts.map(p => p.text || '').join('\n');
     } else {
-      generated = response?.text?.() || '';
+      res.setHeader('X-Cache', 'BYPASS');
     }
 
-    // strip markdown fences if present
-    let cleaned = generated.trim();
-    const fence = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (fence && fence[1]) cleaned = fence[1].trim();
-
-    const match = (cleaned || '').match(/\{[\s\S]*\}/);
-    if (match) {
-      try {
-        const parsed = JSON.parse(match[0]);
-        const answer = typeof parsed.answer === 'string' ? parsed.answer : String(parsed.answer || '');
-        let sources = Array.isArray(parsed.sources) ? parsed.sources : (parsed.sources ? [String(parsed.sources)] : []);
-        if (!sources.length) sources = [];
-        const confidence = sources.length ? (['high', 'medium', 'low'].includes(parsed.confidence) ? parsed.confidence : 'medium') : 'low';
-        return res.json({ answer: answer.slice(0, 2000), confidence, sources });
-      } catch (e) {
-        console.error('JSON parse error from model output', e);
-      }
+    let provider;
+    let fallback;
+    try {
+      provider = getProvider();
+    } catch (err) {
+      if (err instanceof ProviderConfigError) return res.status(500).json({ error: err.message });
+      throw err;
+    }
+
+    if (isOverBudget('llm', provider.name)) {
+      provider = getProvider('mock');
+      fallback = 'budget';
     }
 
-    const fallbackText = (cleaned || generated || '').trim().slice(0, 2000);
-    return res.json({ answer: fallbackText || "I don't have verified information in my sources.", confidence: 'low', sources: [] });
+    const { context, sources, matches } = await buildContext(text, KB, 5, history, persona.anchors);
+    // Always provide context (even if empty) and let the model handle the conversation naturally
+    const systemPrompt = `${persona.systemPrompt.trim()}\n${RESPONSE_CONTRACT}\n${language === 'en' ? '' : `${languageInstruction(language)}\n`}`;
+    const contextBlock = context ? `CONTEXT FROM KNOWLEDGE BASE:\n${context}\n\n` : '';
+    // the persona and contract go as the system instruction only, so they aren't paid for twice
+    const prompt = `${contextBlock}CURRENT QUESTION:\n${text}\n\nReply now with ONLY the JSON object requested.`;
+
+    const request = {
+      system: systemPrompt,
+      history,
+      prompt,
+      question: text,
+      matches,
+      options: { temperature: 0.3, maxOutputTokens: 250, json: true }
+    };
+    // Only what was actually in the prompt counts as evidence for the answer
+    const retrieved = KB.filter(k => sources.includes(k.id));
+    const promptTokens = estimateTokens(systemPrompt) + estimateTokens(prompt) + history.reduce((n, t) => n + estimateTokens(t.content), 0);
+    const modelStarted = Date.now();
+    const finalize = (parsed) => {
+      recordSpend('llm', provider.name, promptTokens + estimateTokens(parsed.answer));
+      const grounded = verifyAnswer(parsed, retrieved, { refusal: persona.refusal, facts: persona.systemPrompt });
+      // what the answer is actually in, so a model that ignored the instruction is reported as such
+      const verified = { ...grounded, language: detectLanguage(grounded.answer, language) };
+      log({
+        retrieved: matches.map(m => m.id),
+        sources: verified.sources,
+        confidence: verified.confidence,
+        refused: verified.grounding?.refused || undefined,
+        cache: res.getHeader?.('X-Cache'),
+        fallback,
+        modelMs: Date.now() - modelStarted,
+        answer: verified.answer
+      });
+      remember({ ...verified, fallback });
+      if (fallback) return { ...verified, fallback };
+      // a one-off bad generation (unparseable, refused) shouldn't stick around for a day
+      if (cacheable && verified.confidence !== 'low') answerCache.set(cacheKey, verified);
+      return verified;
+    };
+    const onError = (err) => log({ retrieved: matches.map(m => m.id), error: String(err) });
+    if (wantsStream) return streamAnswer(res, provider, request, finalize, onError);
+
+    const generated = await provider.generate(request);
+    return res.json(finalize(parseModelOutput(generated)));
 
   } catch (err) {
     console.error('Server error', String(err));
+    log({ error: String(err) });
     return res.status(500).json({ error: 'internal server error', details: String(err) });
   }
 }
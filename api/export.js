@@ -0,0 +1,82 @@
+import { requireClient, sessionIdOf } from '../lib/auth.js';
+import { rateLimit } from '../lib/rateLimit.js';
+import { getSessionStore } from '../lib/sessionStore.js';
+import { loadPersona, loadKB, DEFAULT_PERSONA, PersonaNotFoundError } from '../lib/personas.js';
+import { buildTranscript, renderTranscript, FORMATS } from '../lib/transcript.js';
+
+/**
+ * /api/export — the conversation as a transcript (see lib/transcript.js), with
+ * each cited KB ID expanded to its text.
+ *   GET  ?format=md|json|html    the caller's stored conversation (X-Session-Id /
+ *                                X-Session-Token, see /api/session)
+ *   POST ?format=  { persona?, turns: [{ role, content, ts?, confidence?, sources? }] }
+ *                                for conversations the server doesn't have
+ *                                (SESSION_STORE=off, other clients)
+ * Add `download=1` to get it as an attachment; HTML is otherwise shown inline,
+ * ready to print or save as PDF.
+ */
+
+const MAX_TURNS = 200;
+const MAX_TURN_CHARS = 4000;
+
+// Same shape as the stored turns; anything else is dropped
+function sanitizeTurns(turns) {
+  if (!Array.isArray(turns)) return null;
+  return turns
+    .filter(t => t && (t.role === 'user' || t.role === 'assistant') && typeof t.content === 'string' && t.content.trim())
+    .slice(-MAX_TURNS)
+    .map(t => ({
+      role: t.role,
+      content: t.content.trim().slice(0, MAX_TURN_CHARS),
+      ts: typeof t.ts === 'string' && !Number.isNaN(Date.parse(t.ts)) ? t.ts : undefined,
+      confidence: ['high', 'medium', 'low'].includes(t.confidence) ? t.confidence : undefined,
+      sources: Array.isArray(t.sources) ? t.sources.filter(s => typeof s === 'string').slice(0, 10) : undefined
+    }));
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (!requireClient(req, res)) return;
+    if (!rateLimit(req, res, 'export')) return;
+
+    const query = req.query || {};
+    const format = query.format || 'md';
+    if (!FORMATS[format]) return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+
+    const sessionId = sessionIdOf(req);
+    let personaId;
+    let turns;
+    if (req.method === 'GET') {
+      const session = sessionId ? await getSessionStore().get(sessionId) : null;
+      if (!session?.turns.length) return res.status(404).json({ error: 'No stored conversation for this session', code: 'no_conversation' });
+      personaId = session.persona;
+      turns = session.turns;
+    } else {
+      turns = sanitizeTurns(req.body?.turns);
+      if (!turns) return res.status(400).json({ error: 'turns must be an array of { role, content } turns' });
+      if (!turns.length) return res.status(400).json({ error: 'Nothing to export' });
+      personaId = req.body?.persona;
+    }
+
+    let persona;
+    try {
+      persona = await loadPersona(personaId || DEFAULT_PERSONA);
+    } catch (err) {
+      if (err instanceof PersonaNotFoundError) return res.status(404).json({ error: err.message });
+      throw err;
+    }
+    const kb = await loadKB(persona.id);
+    const transcript = buildTranscript({ persona, kb, turns, sessionId });
+
+    const { ext, contentType } = FORMATS[format];
+    const filename = `transcript-${persona.id}-${transcript.exportedAt.slice(0, 10)}.${ext}`;
+    const inline = format === 'html' && query.download !== '1';
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename}"`);
+    return res.status(200).send(renderTranscript(transcript, format));
+  } catch (err) {
+    console.error('Export server error', err);
+    return res.status(500).json({ error: 'Error' });
+  }
+}
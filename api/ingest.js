@@ -0,0 +1,53 @@
+import { requireAdmin } from '../lib/auth.js';
+import { loadPersona, DEFAULT_PERSONA, PersonaNotFoundError } from '../lib/personas.js';
+import { documentToChunks, mergeChunks, IngestError, FORMATS } from '../lib/ingest.js';
+import { KBValidationError } from '../lib/kbStore.js';
+
+/**
+ * /api/ingest — POST a document into a persona KB (Authorization: Bearer <KB_ADMIN_TOKEN>).
+ * Body: { content, format, source?, persona?, replace?, dryRun?, chunk?, overlap? }
+ *   format   "markdown" | "text" | "pdf-text" | "json-resume"
+ *   content  the document (string; a JSON Resume may also be sent as an object)
+ *   source   name used for stable chunk IDs (KB_<SOURCE>_<SECTION>_<n>), default "doc"
+ * Response: { chunks, added, updated, unchanged, skipped, removed }
+ */
+
+const MAX_CONTENT_CHARS = 200000;
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (!requireAdmin(req, res)) return;
+
+    const { content, format, source, persona: personaId, replace, dryRun, chunk, overlap } = req.body || {};
+    if (!FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+    const isResumeObject = format === 'json-resume' && content && typeof content === 'object';
+    if (!isResumeObject && (typeof content !== 'string' || !content.trim())) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+    if (typeof content === 'string' && content.length > MAX_CONTENT_CHARS) {
+      return res.status(413).json({ error: `content must be at most ${MAX_CONTENT_CHARS} characters` });
+    }
+
+    let persona;
+    try {
+      persona = await loadPersona(personaId || DEFAULT_PERSONA);
+    } catch (err) {
+      if (err instanceof PersonaNotFoundError) return res.status(404).json({ error: err.message });
+      throw err;
+    }
+
+    const doc = documentToChunks(content, {
+      format,
+      source: typeof source === 'string' && source.trim() ? source : 'doc',
+      size: Number(chunk) || undefined,
+      overlap: Number(overlap) || undefined
+    });
+    const report = await mergeChunks(persona.id, doc, { replace: replace === true, dryRun: dryRun === true });
+    return res.json({ chunks: doc.chunks.map(({ id, section }) => ({ id, section })), ...report });
+  } catch (err) {
+    if (err instanceof IngestError || err instanceof KBValidationError) return res.status(400).json({ error: err.message });
+    console.error('Ingest server error', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+}
@@ -0,0 +1,109 @@
+import { requireClient } from '../lib/auth.js';
+import { rateLimit } from '../lib/rateLimit.js';
+import { getProvider, ProviderConfigError } from '../lib/llm/index.js';
+import { isOverBudget, recordSpend } from '../lib/budget.js';
+import { loadPersona, DEFAULT_PERSONA, PersonaNotFoundError } from '../lib/personas.js';
+import { listInterviews, loadInterview, InterviewNotFoundError } from '../lib/interviews.js';
+import { scoreInterview, SCALE } from '../lib/rubric.js';
+import { buildReport } from '../lib/interviewReport.js';
+
+/**
+ * /api/interview — structured interview mode (interviews/<id>.json, see lib/interviews.js).
+ *   GET  ?persona=   the interviews offered with that persona:
+ *                    { interviews: [{ id, title, description, timeLimitSec, questions, rubric }] }
+ *   GET  ?id=        one of them
+ *   POST { interview, persona?, startedAt?, answers: [{ question, answer, ms, overtime?,
+ *          skipped?, confidence?, sources? }] }
+ *                    scores the answers against the rubric (lib/rubric.js) and returns
+ *                    the report (lib/interviewReport.js); the browser renders it for download
+ * The twin's answers come from /api/chat as usual; this endpoint only sees what
+ * the client recorded. Scoring uses LLM_PROVIDER and counts against
+ * LLM_DAILY_BUDGET; past the budget, or with the mock provider, the scores are
+ * estimated from confidence and timing (`scoredBy: "heuristic"`).
+ */
+
+const MAX_ANSWER_CHARS = 4000;
+const CONFIDENCES = ['high', 'medium', 'low'];
+
+// One entry per known question, last one wins; anything else is dropped
+function sanitizeAnswers(answers, interview) {
+  if (!Array.isArray(answers)) return null;
+  const ids = new Set(interview.questions.map(q => q.id));
+  const byId = new Map();
+  for (const a of answers) {
+    if (!a || !ids.has(a.question)) continue;
+    const answer = typeof a.answer === 'string' ? a.answer.trim().slice(0, MAX_ANSWER_CHARS) : '';
+    byId.set(a.question, {
+      question: a.question,
+      answer,
+      ms: Number(a.ms) >= 0 ? Math.round(Number(a.ms)) : 0,
+      overtime: a.overtime === true,
+      skipped: a.skipped === true || !answer,
+      confidence: CONFIDENCES.includes(a.confidence) ? a.confidence : undefined,
+      sources: Array.isArray(a.sources) ? a.sources.filter(s => typeof s === 'string').slice(0, 10) : []
+    });
+  }
+  return [...byId.values()];
+}
+
+const publicInterview = ({ id, title, description, timeLimitSec, questions, rubric }) => ({ id, title, description, timeLimitSec, questions, rubric });
+
+export default async function handler(req, res) {
+  try {
+    const query = req.query || {};
+    if (req.method === 'GET') {
+      if (query.id) {
+        try {
+          return res.json(publicInterview(await loadInterview(query.id)));
+        } catch (err) {
+          if (err instanceof InterviewNotFoundError) return res.status(404).json({ error: err.message });
+          throw err;
+        }
+      }
+      const interviews = await listInterviews({ persona: query.persona || undefined });
+      return res.json({ interviews: interviews.map(publicInterview) });
+    }
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (!requireClient(req, res)) return;
+    if (!rateLimit(req, res, 'interview')) return;
+
+    const { interview: interviewId, persona: personaId, startedAt, answers: rawAnswers } = req.body || {};
+    let interview;
+    let persona;
+    try {
+      interview = await loadInterview(interviewId);
+      persona = await loadPersona(personaId || DEFAULT_PERSONA);
+    } catch (err) {
+      if (err instanceof InterviewNotFoundError || err instanceof PersonaNotFoundError) return res.status(404).json({ error: err.message });
+      throw err;
+    }
+    const answers = sanitizeAnswers(rawAnswers, interview);
+    if (!answers) return res.status(400).json({ error: 'answers must be an array of { question, answer, ms } entries' });
+    if (!answers.some(a => !a.skipped)) return res.status(400).json({ error: 'No answers to score' });
+
+    let provider;
+    try {
+      provider = getProvider();
+    } catch (err) {
+      if (err instanceof ProviderConfigError) return res.status(500).json({ error: err.message });
+      throw err;
+    }
+    if (isOverBudget('llm', provider.name)) provider = null;
+
+    const { scores, scoredBy, tokens } = await scoreInterview({ interview, persona, answers, provider });
+    if (provider) recordSpend('llm', provider.name, tokens);
+    const report = buildReport({
+      interview,
+      persona,
+      answers,
+      scores,
+      scoredBy,
+      scale: SCALE,
+      startedAt: typeof startedAt === 'string' && !Number.isNaN(Date.parse(startedAt)) ? startedAt : null
+    });
+    return res.json(report);
+  } catch (err) {
+    console.error('Interview server error', err);
+    return res.status(500).json({ error: 'Error' });
+  }
+}
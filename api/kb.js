@@ -0,0 +1,110 @@
+import { requireAdmin } from '../lib/auth.js';
+import { loadPersona, loadKB, DEFAULT_PERSONA, PersonaNotFoundError } from '../lib/personas.js';
+import { mutateKB, readKBFile, validateEntry, KBValidationError } from '../lib/kbStore.js';
+import { buildContext } from '../lib/retrieval.js';
+
+/**
+ * /api/kb — KB admin (Authorization: Bearer <KB_ADMIN_TOKEN>).
+ *   GET    ?persona=&q=          list entries, optionally filtered by a search string
+ *   GET    ?persona=&id=         one entry
+ *   POST   ?persona=             create { id, text }
+ *   PUT    ?persona=&id=         update { text, id? } — id renames the entry
+ *   DELETE ?persona=&id=         delete
+ *   POST   ?persona=&action=preview  { question, id? } — what chat retrieval returns
+ *                                for the question, and where entry `id` ranks
+ * Vectors are not sent back; entries carry `embedded: true|false` instead.
+ */
+
+const publicEntry = ({ id, text, vector, embedder }) => ({ id, text, embedded: Array.isArray(vector), embedder: embedder || null });
+
+export default async function handler(req, res) {
+  try {
+    if (!requireAdmin(req, res)) return;
+
+    const query = req.query || {};
+    let persona;
+    try {
+      persona = await loadPersona(query.persona || req.body?.persona || DEFAULT_PERSONA);
+    } catch (err) {
+      if (err instanceof PersonaNotFoundError) return res.status(404).json({ error: err.message });
+      throw err;
+    }
+    const body = req.body || {};
+
+    if (req.method === 'GET') {
+      const kb = await readKBFile(persona.id);
+      if (query.id) {
+        const entry = kb.find(k => k.id === query.id);
+        return entry ? res.json(publicEntry(entry)) : res.status(404).json({ error: 'Entry not found' });
+      }
+      const needle = String(query.q || '').toLowerCase().trim();
+      const list = needle
+        ? kb.filter(k => k.id.toLowerCase().includes(needle) || k.text.toLowerCase().includes(needle))
+        : kb;
+      return res.json({ persona: persona.id, total: kb.length, entries: list.map(publicEntry) });
+    }
+
+    if (req.method === 'POST' && query.action === 'preview') {
+      const question = typeof body.question === 'string' ? body.question.trim() : '';
+      if (!question) return res.status(400).json({ error: 'question is required' });
+      const kb = await loadKB(persona.id);
+      const { sources, matches } = await buildContext(question, kb, 5, [], persona.anchors);
+      const rank = body.id ? matches.findIndex(m => m.id === body.id) : -1;
+      return res.json({
+        question,
+        sources,
+        matches: matches.map(({ id, text, score }) => ({ id, text, score: Math.round(score * 1000) / 1000 })),
+        entry: body.id ? { id: body.id, rank: rank >= 0 ? rank + 1 : null, inContext: sources.includes(body.id) } : null
+      });
+    }
+
+    if (req.method === 'POST') {
+      const entry = { id: body.id, text: typeof body.text === 'string' ? body.text.trim() : body.text };
+      validateEntry(entry);
+      const created = await mutateKB(persona.id, kb => {
+        if (kb.some(k => k.id === entry.id)) throw new KBValidationError(`Entry ${entry.id} already exists`, 409);
+        kb.push(entry);
+        return { result: entry, changed: [entry] };
+      });
+      return res.status(201).json(publicEntry(created));
+    }
+
+    if (req.method === 'PUT') {
+      if (!query.id) return res.status(400).json({ error: 'id query parameter is required' });
+      const updated = await mutateKB(persona.id, kb => {
+        const entry = kb.find(k => k.id === query.id);
+        if (!entry) throw new KBValidationError('Entry not found', 404);
+        const next = {
+          id: body.id ?? entry.id,
+          text: typeof body.text === 'string' ? body.text.trim() : entry.text
+        };
+        validateEntry(next);
+        if (next.id !== entry.id && kb.some(k => k.id === next.id)) {
+          throw new KBValidationError(`Entry ${next.id} already exists`, 409);
+        }
+        const textChanged = next.text !== entry.text;
+        entry.id = next.id;
+        entry.text = next.text;
+        return { result: entry, changed: textChanged ? [entry] : [] };
+      });
+      return res.json(publicEntry(updated));
+    }
+
+    if (req.method === 'DELETE') {
+      if (!query.id) return res.status(400).json({ error: 'id query parameter is required' });
+      await mutateKB(persona.id, kb => {
+        const i = kb.findIndex(k => k.id === query.id);
+        if (i < 0) throw new KBValidationError('Entry not found', 404);
+        kb.splice(i, 1);
+        return { result: null };
+      });
+      return res.status(204).end();
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    if (err instanceof KBValidationError) return res.status(err.status).json({ error: err.message });
+    console.error('KB server error', err);
+    return res.status(500).json({ error: 'internal server error' });
+  }
+}
@@ -0,0 +1,16 @@
+import { listPersonas, publicPersona, DEFAULT_PERSONA } from '../lib/personas.js';
+
+/**
+ * /api/personas — personas hosted by this deployment, for the UI selector.
+ * Response: { defaultPersona, personas: [{ id, name, title, subtitle, quickPrompts, demoAnswers }] }
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+    const personas = await listPersonas();
+    return res.json({ defaultPersona: DEFAULT_PERSONA, personas: personas.map(publicPersona) });
+  } catch (err) {
+    console.error('Personas server error', err);
+    return res.status(500).json({ error: 'Error' });
+  }
+}
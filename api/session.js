@@ -0,0 +1,50 @@
+import { issueSession, requireClient, sessionIdOf } from '../lib/auth.js';
+import { rateLimit } from '../lib/rateLimit.js';
+import { getSessionStore } from '../lib/sessionStore.js';
+
+/**
+ * /api/session — the caller's client session, used for rate limiting, for
+ * access to chat/TTS with API_AUTH=session (see lib/auth.js) and to keep the
+ * conversation on the server (lib/sessionStore.js).
+ *   POST    start a session (with API_AUTH set, only from this site or CORS_ORIGINS,
+ *           or with API_KEY): { sessionId, token, expiresAt } — send them back as
+ *           X-Session-Id and X-Session-Token; token is null when SESSION_SECRET is
+ *           not set. A client that still has a stored conversation (its old ID or
+ *           expired token in the headers) gets the same ID back, renewed.
+ *   GET     the caller's conversation: { sessionId, persona, createdAt, updatedAt, turns }
+ *   DELETE  forget the caller's conversation (the session itself stays valid)
+ */
+export default async function handler(req, res) {
+  try {
+    const store = getSessionStore();
+
+    if (req.method === 'POST') {
+      if (!requireClient(req, res, { issuing: true })) return;
+      if (!rateLimit(req, res, 'session')) return;
+      const previous = sessionIdOf(req, { allowExpired: true });
+      const resumable = previous && await store.get(previous);
+      return res.json(issueSession(resumable ? previous : undefined));
+    }
+
+    if (req.method !== 'GET' && req.method !== 'DELETE') return res.status(405).json({ error: 'Method not allowed' });
+    if (!requireClient(req, res)) return;
+    const sessionId = sessionIdOf(req);
+    if (!sessionId) return res.status(400).json({ error: 'No session: POST /api/session first', code: 'no_session' });
+
+    if (req.method === 'DELETE') {
+      await store.remove(sessionId);
+      return res.status(204).end();
+    }
+    const session = await store.get(sessionId);
+    return res.json({
+      sessionId,
+      persona: session?.persona || null,
+      createdAt: session?.createdAt || null,
+      updatedAt: session?.updatedAt || null,
+      turns: session?.turns || []
+    });
+  } catch (err) {
+    console.error('Session server error', err);
+    return res.status(500).json({ error: 'Error' });
+  }
+}
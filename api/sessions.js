@@ -0,0 +1,36 @@
+import { requireAdmin } from '../lib/auth.js';
+import { getSessionStore } from '../lib/sessionStore.js';
+
+/**
+ * /api/sessions — stored conversations (Authorization: Bearer <KB_ADMIN_TOKEN>).
+ *   GET    ?persona=&limit=50   list: [{ id, persona, createdAt, updatedAt, turns, title }],
+ *                               most recently active first
+ *   GET    ?id=                 one session with its turns
+ *   DELETE ?id=                 delete it
+ * Clients read and clear their own conversation through /api/session.
+ */
+export default async function handler(req, res) {
+  try {
+    if (!requireAdmin(req, res)) return;
+    const store = getSessionStore();
+    const query = req.query || {};
+
+    if (req.method === 'GET' && query.id) {
+      const session = await store.get(query.id);
+      return session ? res.json(session) : res.status(404).json({ error: 'Session not found' });
+    }
+    if (req.method === 'GET') {
+      const limit = Math.min(500, Math.max(1, Number(query.limit) || 50));
+      const sessions = await store.list({ limit, persona: query.persona });
+      return res.json({ enabled: store.enabled, sessions });
+    }
+    if (req.method === 'DELETE') {
+      if (!query.id) return res.status(400).json({ error: 'id is required' });
+      return (await store.remove(query.id)) ? res.status(204).end() : res.status(404).json({ error: 'Session not found' });
+    }
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (err) {
+    console.error('Sessions server error', err);
+    return res.status(500).json({ error: 'Error' });
+  }
+}
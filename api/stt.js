@@ -0,0 +1,102 @@
+import { getSTTProvider } from '../lib/stt/index.js';
+import { ProviderConfigError } from '../lib/llm/errors.js';
+import { requireClient, sessionIdOf } from '../lib/auth.js';
+import { rateLimit } from '../lib/rateLimit.js';
+import { logExchange } from '../lib/analytics.js';
+import { languageOf, detectLanguage } from '../lib/language.js';
+import { loadPersona, DEFAULT_PERSONA, PersonaNotFoundError } from '../lib/personas.js';
+
+/**
+ * /api/stt — speech to text through the configured provider (see lib/stt/),
+ * for browsers without the Web Speech API: the client records with
+ * MediaRecorder and uploads the clip here.
+ * Body: the raw audio, Content-Type audio/webm, audio/ogg, audio/mp4, audio/mpeg or audio/wav
+ * Query: lang? — BCP 47 tag of the speaker ("en-US"); the backend detects it otherwise
+ *        persona? — the persona being talked to (DEFAULT_PERSONA otherwise), for analytics
+ * Response: { text, language, provider } — language is the backend's answer, or
+ * detected from the transcript (lib/language.js) when it doesn't report one
+ * Requests go through lib/auth.js and lib/rateLimit.js like /api/tts, and each
+ * one is logged to lib/analytics.js with its transcription latency.
+ */
+
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+const AUDIO_TYPES = {
+  'audio/webm': 'audio/webm',
+  'audio/ogg': 'audio/ogg',
+  'audio/mp4': 'audio/mp4',
+  'audio/mpeg': 'audio/mpeg',
+  'audio/wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/x-wav': 'audio/wav',
+  'application/octet-stream': 'audio/webm'
+};
+
+// Express (server.js) hands over a Buffer; elsewhere read the stream ourselves
+async function readAudio(req) {
+  if (Buffer.isBuffer(req.body)) return req.body;
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_AUDIO_BYTES) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export default async function handler(req, res) {
+  const exchange = { type: 'stt', session: sessionIdOf(req) };
+  try {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (!requireClient(req, res)) return;
+    if (!rateLimit(req, res, 'stt')) return;
+
+    const mime = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const contentType = AUDIO_TYPES[mime];
+    if (!contentType) {
+      return res.status(415).json({ error: `Unsupported audio type; send one of: ${Object.keys(AUDIO_TYPES).join(', ')}` });
+    }
+    const { lang, persona: personaId } = req.query || {};
+    if (lang !== undefined && !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(lang)) {
+      return res.status(400).json({ error: 'Invalid lang' });
+    }
+    try {
+      exchange.persona = (await loadPersona(personaId || DEFAULT_PERSONA)).id;
+    } catch (err) {
+      if (err instanceof PersonaNotFoundError) return res.status(404).json({ error: err.message });
+      throw err;
+    }
+
+    const audio = await readAudio(req);
+    if (!audio || audio.length > MAX_AUDIO_BYTES) return res.status(413).json({ error: `Audio must be at most ${MAX_AUDIO_BYTES / 1024 / 1024} MB` });
+    if (!audio.length) return res.status(400).json({ error: 'No audio provided' });
+
+    let provider;
+    try {
+      provider = getSTTProvider();
+    } catch (err) {
+      if (err instanceof ProviderConfigError) return res.status(500).json({ error: err.message });
+      throw err;
+    }
+    Object.assign(exchange, { provider: provider.name, bytes: audio.length });
+
+    const started = Date.now();
+    let result;
+    try {
+      result = await provider.transcribe(audio, { contentType, language: lang?.split('-')[0] });
+    } catch (err) {
+      console.error('STT error', err?.message);
+      logExchange({ ...exchange, sttMs: Date.now() - started, error: String(err?.message || err) });
+      return res.status(502).json({ error: 'Transcription failed' });
+    }
+
+    const text = result.text || '';
+    const language = languageOf(result.language) || result.language || (text ? detectLanguage(text) : null);
+    logExchange({ ...exchange, language, sttMs: Date.now() - started });
+    return res.json({ text, language, provider: provider.name });
+  } catch (err) {
+    console.error('STT server error', err);
+    logExchange({ ...exchange, error: String(err?.message || err) });
+    return res.status(500).json({ error: 'Error' });
+  }
+}
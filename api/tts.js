@@ -1,63 +1,208 @@
-import fetch from 'node-fetch';
-
-export default async function handler(req, res) {
-  try {
-    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
-
-    // 1. Get the text (Change const to let so we can clean it)
-    let { text } = req.body || {};
-    if (!text || !text.trim()) return res.status(400).json({ error: 'No text provided' });
-
-    // 2. CLEAN THE TEXT (The "Anti-Robot" Fix)
-    // This removes Markdown, JSON, and special characters before sending to voice
-    text = text.replace(/```json/g, "")      // Remove ```json tag
-      .replace(/```/g, "")          // Remove backticks
-      .replace(/{/g, "")            // Remove curly braces
-      .replace(/}/g, "")            // Remove curly braces
-      .replace(/"answer":/g, "")    // Remove "answer": label
-      .replace(/Confidence: low/g, "")
-      .replace(/\\n/g, " ")         // Remove newlines
-      .trim();                      // Remove extra spaces
-
-    const apiKey = process.env.ELEVENLABS_API_KEY;
-    if (!apiKey) return res.status(500).json({ error: 'ELEVENLABS_API_KEY not set' });
-
-    // ---------------------------------------------------------
-    // THE FIX: HARDCODED ID (No process.env allowed here)
-    const voiceId = 'm8ysB8KEJV5BeYQnOtWN';
-
-    // THE TRUTH TEST: Watch your terminal when you run this
-    console.log("🚨 DEBUG - VOICE ID BEING USED:", voiceId);
-    // ---------------------------------------------------------
-
-    const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
-    const resp = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'xi-api-key': apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        text,
-        model_id: 'eleven_turbo_v2_5',
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.7
-        }
-      })
-    });
-
-    if (!resp.ok) {
-      const body = await resp.text().catch(() => '<no body>');
-      console.error('TTS error', resp.status, body);
-      return res.status(502).json({ error: 'TTS failed' });
-    }
-
-    const audio = Buffer.from(await resp.arrayBuffer());
-    res.setHeader('Content-Type', 'audio/mpeg');
-    return res.status(200).send(audio);
-  } catch (err) {
-    console.error('TTS server error', err);
-    return res.status(500).json({ error: 'Error' });
-  }
-}
\ No newline at end of file
+import { splitSentences } from '../lib/sentences.js';
+import { normalizeForSpeech } from '../lib/speechText.js';
+import { LANGUAGES, AUTO, resolveLanguage } from '../lib/language.js';
+import { getTTSProvider, DEFAULT_SPEEDS } from '../lib/tts/index.js';
+import { ProviderConfigError } from '../lib/llm/errors.js';
+import { concatWav, wavDuration } from '../lib/tts/wav.js';
+import { alignWords, estimateWords, visemeTimeline } from '../lib/alignment.js';
+import { loadPersona, DEFAULT_PERSONA, PersonaNotFoundError } from '../lib/personas.js';
+import { requireClient, sessionIdOf } from '../lib/auth.js';
+import { rateLimit } from '../lib/rateLimit.js';
+import { isOverBudget, recordSpend, secondsUntilReset } from '../lib/budget.js';
+import { createCache } from '../lib/cache.js';
+import { logExchange } from '../lib/analytics.js';
+
+/**
+ * /api/tts — text to speech through the configured provider (see lib/tts/).
+ * Body: { text, voice?, speed?, format?, persona?, language?, alignment? }
+ *   voice   provider voice id (GET /api/voices lists them); otherwise the persona's
+ *           voice for this provider (persona.json "voices": an id, or ids per
+ *           language like { "en": "...", "hi": "..." }), then the provider default
+ *   speed   1 = normal; 0.5–2, or the narrower range the provider takes
+ *           (ElevenLabs 0.7–1.2) — anything outside it is a 400, not clamped
+ *   format  one of the provider's formats ("mp3", "wav", "opus"); provider default otherwise
+ *   language "en", "hi", "kn" or "auto" (default: detected from the text); picks the
+ *           persona voice and the provider's model for it (see lib/language.js)
+ *   alignment true to get JSON instead of audio bytes:
+ *           { audio (base64), contentType, alignment: { words, visemes, source } | null }
+ *           — when each word of `text` is spoken and a viseme timeline for an avatar
+ *           (lib/alignment.js). Timings come from the provider when it has them
+ *           (provider.timestamps), otherwise they are estimated from the WAV length;
+ *           for MP3 without timestamps alignment is null and the client estimates
+ *           from the decoded duration.
+ * The text is made speakable first (lib/speechText.js): markdown, JSON leftovers
+ * and emoji are dropped, numbers, dates and acronyms written out with the
+ * persona's lexicon.json. Providers that take SSML get it, with breaks and
+ * emphasis; the rest get plain text.
+ * Requests go through lib/auth.js and lib/rateLimit.js like /api/chat. Once the
+ * provider's TTS_DAILY_BUDGET (characters) is spent, it answers 429 with
+ * code "tts_budget" and the client reads answers with the browser voice.
+ *
+ * Audio is cached by the normalized text, provider settings, voice, speed and format (X-Cache:
+ * HIT or MISS); cache hits don't count against the budget. Each request is logged
+ * to lib/analytics.js with its synthesis latency.
+ * Env:
+ *   TTS_CACHE_TTL_HOURS optional (default 168)
+ *   TTS_CACHE_MAX_MB    optional (default 64); CACHE_BACKEND / CACHE_DIR — see lib/cache.js
+ */
+
+const MAX_TEXT_CHARS = 1000;
+
+const audioCache = createCache({
+  namespace: 'tts',
+  ttlMs: (Number(process.env.TTS_CACHE_TTL_HOURS) || 168) * 3600 * 1000,
+  maxEntries: 5000,
+  maxBytes: (Number(process.env.TTS_CACHE_MAX_MB) || 64) * 1024 * 1024
+});
+
+// How many sentence requests to keep in flight against the provider at once
+const TTS_CONCURRENCY = 3;
+
+const round = (s) => Math.round(s * 1000) / 1000;
+
+// Word timings across the joined chunks: the provider's, or estimated from each
+// WAV chunk's length; null if a chunk has neither
+function alignmentFor(text, spoken, chunks, format) {
+  const words = [];
+  let offset = 0;
+  let estimated = false;
+  for (let i = 0; i < chunks.length; i++) {
+    const duration = format === 'wav' ? wavDuration(chunks[i].audio) : null;
+    let timed = chunks[i].words;
+    if (!timed?.length) {
+      if (!duration) return null;
+      timed = estimateWords(spoken[i], duration);
+      estimated = true;
+    }
+    words.push(...timed.map(w => ({ word: w.word, start: round(w.start + offset), end: round(w.end + offset) })));
+    offset += duration ?? timed[timed.length - 1]?.end ?? 0;
+  }
+  if (!words.length) return null;
+  return { words: alignWords(text, words), visemes: visemeTimeline(words), source: estimated ? 'estimate' : 'provider' };
+}
+
+// Run fn over items with at most `limit` in flight; results keep input order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export default async function handler(req, res) {
+  const exchange = { type: 'tts', session: sessionIdOf(req) };
+  try {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (!requireClient(req, res)) return;
+    if (!rateLimit(req, res, 'tts')) return;
+
+    // 1. Get the text
+    let { text, voice, speed, format, persona: personaId, language, alignment: wantsAlignment } = req.body || {};
+    if (!text || typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'No text provided' });
+    if (text.length > MAX_TEXT_CHARS) {
+      return res.status(413).json({ error: `text must be at most ${MAX_TEXT_CHARS} characters` });
+    }
+    language = resolveLanguage(language, text);
+    if (!language) {
+      return res.status(400).json({ error: `language must be one of: ${[AUTO, ...Object.keys(LANGUAGES)].join(', ')}` });
+    }
+
+    let provider;
+    try {
+      provider = getTTSProvider();
+    } catch (err) {
+      if (err instanceof ProviderConfigError) return res.status(500).json({ error: err.message });
+      throw err;
+    }
+
+    // 2. Validate the voice options against what the provider supports
+    if (voice !== undefined && (typeof voice !== 'string' || !/^[\w.-]{1,64}$/.test(voice))) {
+      return res.status(400).json({ error: 'Invalid voice id' });
+    }
+    const [minSpeed, maxSpeed] = provider.speeds || DEFAULT_SPEEDS;
+    if (speed !== undefined && (typeof speed !== 'number' || !(speed >= minSpeed && speed <= maxSpeed))) {
+      return res.status(400).json({ error: `speed must be a number between ${minSpeed} and ${maxSpeed} for ${provider.name}` });
+    }
+    format = format || provider.formats[0];
+    if (!provider.formats.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${provider.formats.join(', ')}` });
+    }
+    let persona;
+    try {
+      persona = await loadPersona(personaId || DEFAULT_PERSONA);
+    } catch (err) {
+      if (err instanceof PersonaNotFoundError) return res.status(404).json({ error: err.message });
+      throw err;
+    }
+    const personaVoice = persona.voices[provider.name];
+    voice = voice
+      || (typeof personaVoice === 'object' ? personaVoice?.[language] || personaVoice?.en : personaVoice)
+      || provider.defaultVoice;
+
+    // 3. Make it speakable, sentence by sentence so SSML documents stay whole
+    const normalize = (sentence, ssml) => normalizeForSpeech(sentence, { lexicon: persona.lexicon, ssml, language });
+    const sentences = splitSentences(text).filter(sentence => normalize(sentence, false));
+    const inputs = sentences.map(sentence => normalize(sentence, provider.ssml));
+    // the words the voice actually says, for timing estimates
+    const spoken = provider.ssml ? sentences.map(sentence => normalize(sentence, false)) : inputs;
+    if (!inputs.length) return res.status(400).json({ error: 'No text provided' });
+    const chars = inputs.reduce((n, s) => n + s.length, 0);
+    Object.assign(exchange, { persona: persona.id, provider: provider.name, voice, language, chars });
+
+    const cacheKey = ['tts', provider.name, provider.settings, voice, speed || 1, format, language, inputs];
+    const send = ({ audio, contentType, alignment }) => {
+      if (wantsAlignment === true) {
+        return res.status(200).json({ audio: audio.toString('base64'), contentType, alignment: alignment || null });
+      }
+      res.setHeader('Content-Type', contentType);
+      return res.status(200).send(audio);
+    };
+    const cached = await audioCache.get(cacheKey);
+    if (cached) {
+      logExchange({ ...exchange, cache: 'HIT' });
+      res.setHeader('X-Cache', 'HIT');
+      return send(cached);
+    }
+    if (isOverBudget('tts', provider.name)) {
+      res.setHeader('Retry-After', String(secondsUntilReset()));
+      return res.status(429).json({ error: 'The voice budget for today is used up.', code: 'tts_budget' });
+    }
+
+    // 4. Long answers are synthesized sentence-by-sentence in parallel, then
+    // joined (MP3 frames concatenate cleanly; WAV needs its headers merged).
+    // The client already sends one sentence per request while streaming,
+    // which takes the single-chunk path.
+    let chunks;
+    const ttsStarted = Date.now();
+    try {
+      chunks = await mapLimit(inputs, TTS_CONCURRENCY, (input, i) =>
+        provider.synthesize(input, { voice, speed, format, language, timestamps: provider.timestamps, previous: inputs[i - 1], next: inputs[i + 1] })
+      );
+    } catch (err) {
+      console.error('TTS error', err?.message);
+      logExchange({ ...exchange, ttsMs: Date.now() - ttsStarted, error: String(err?.message || err) });
+      return res.status(502).json({ error: 'TTS failed' });
+    }
+
+    recordSpend('tts', provider.name, chars);
+    logExchange({ ...exchange, cache: audioCache.enabled ? 'MISS' : 'BYPASS', ttsMs: Date.now() - ttsStarted });
+    const audio = format === 'wav'
+      ? concatWav(chunks.map(c => c.audio))
+      : Buffer.concat(chunks.map(c => c.audio));
+    // timings are worked out for every clip so a cached one can answer either kind of request
+    const clip = { audio, contentType: chunks[0].contentType, alignment: alignmentFor(text, spoken, chunks, format) };
+    audioCache.set(cacheKey, clip);
+    res.setHeader('X-Cache', audioCache.enabled ? 'MISS' : 'BYPASS');
+    return send(clip);
+  } catch (err) {
+    console.error('TTS server error', err);
+    logExchange({ ...exchange, error: String(err?.message || err) });
+    return res.status(500).json({ error: 'Error' });
+  }
+}
@@ -0,0 +1,27 @@
+import { getTTSProvider, DEFAULT_SPEEDS } from '../lib/tts/index.js';
+import { ProviderConfigError } from '../lib/llm/errors.js';
+
+/**
+ * /api/voices — voices offered by the configured TTS provider, for the UI picker.
+ * Response: { provider, defaultVoice, formats, speeds, voices: [{ id, name, provider }] }
+ * `speeds` is the [min, max] speed /api/tts accepts for this provider.
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+    let provider;
+    try {
+      provider = getTTSProvider();
+    } catch (err) {
+      if (err instanceof ProviderConfigError) return res.status(500).json({ error: err.message });
+      throw err;
+    }
+
+    const voices = await provider.listVoices();
+    return res.json({ provider: provider.name, defaultVoice: provider.defaultVoice, formats: provider.formats, speeds: provider.speeds || DEFAULT_SPEEDS, voices });
+  } catch (err) {
+    console.error('Voices server error', err);
+    return res.status(500).json({ error: 'Error' });
+  }
+}
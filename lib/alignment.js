@@ -0,0 +1,183 @@
+/**
+ * Timing alignment for spoken answers: when each word is said, and a viseme
+ * (mouth shape) timeline for an animated avatar. Shared by api/tts.js and the
+ * client, so keep it dependency-free.
+ *
+ * Alignment: { words, visemes, source }
+ *   words    [{ word, start, end, index }] — the words of the *displayed* text;
+ *            index is the character offset in it, times are seconds into the clip
+ *   visemes  [{ viseme, start, end }] — Oculus-style set: sil PP FF TH DD kk CH SS
+ *            nn RR aa E I O U
+ *   source   "provider" (the TTS engine's own timestamps) | "estimate"
+ *
+ * The voice reads the normalized text (lib/speechText.js: "2024" becomes
+ * "twenty twenty-four"), so timings are taken on the spoken words and mapped
+ * back onto the displayed ones; a displayed word that was rewritten gets the
+ * time of the spoken words it turned into.
+ */
+
+// numbers keep their separators ("1,200", "3.5") so they stay one displayed word
+const WORD_RE = /\p{N}+(?:[.,:]\p{N}+)*|[\p{L}\p{M}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu;
+
+// Words with their character offsets: [{ word, index }]
+export function tokenize(text = '') {
+  return [...String(text).matchAll(WORD_RE)].map(m => ({ word: m[0], index: m.index }));
+}
+
+const round = (s) => Math.round(s * 1000) / 1000;
+const key = (word) => word.toLowerCase().replace(/['’-]/g, '');
+
+/**
+ * Character timestamps (ElevenLabs style: parallel arrays of characters and
+ * their start/end seconds) -> spoken words [{ word, start, end }].
+ */
+export function wordsFromCharacters({ characters = [], starts = [], ends = [] } = {}) {
+  const text = characters.join('');
+  // characters may be multi-unit strings; map string offsets back to array positions
+  const position = [];
+  characters.forEach((ch, i) => { for (let k = 0; k < ch.length; k++) position.push(i); });
+  return tokenize(text).map(({ word, index }) => ({
+    word,
+    start: round(starts[position[index]] ?? 0),
+    end: round(ends[position[index + word.length - 1]] ?? starts[position[index]] ?? 0)
+  }));
+}
+
+// Rough speaking weight of a word: longer words and trailing punctuation take longer
+function weight(word, after) {
+  const pause = /^[.!?…।]/.test(after) ? 4 : /^[,;:—–]/.test(after) ? 2 : 0;
+  return Math.max(2, [...word].length) + 1 + pause;
+}
+
+/**
+ * No timestamps from the engine: spread `duration` seconds over the words of
+ * `text` by length, with a little extra after punctuation.
+ */
+export function estimateWords(text, duration) {
+  const tokens = tokenize(text);
+  if (!tokens.length || !(duration > 0)) return [];
+  const weights = tokens.map((t, i) => {
+    const end = t.index + t.word.length;
+    const after = String(text).slice(end, tokens[i + 1]?.index ?? undefined).trim();
+    return weight(t.word, after);
+  });
+  const total = weights.reduce((a, b) => a + b, 0);
+  let at = 0;
+  return tokens.map((t, i) => {
+    const start = at;
+    const speaking = (Math.max(2, [...t.word].length) + 1) / total * duration;
+    at += weights[i] / total * duration;
+    return { word: t.word, start: round(start), end: round(start + speaking) };
+  });
+}
+
+
+/**
+ * Put spoken-word timings onto the words of the displayed text. Words that
+ * match are paired in order; the ones in between (numbers, acronyms, anything
+ * the normalizer rewrote) share the time of the spoken words between the matches.
+ */
+export function alignWords(displayText, spoken = []) {
+  const shown = tokenize(displayText);
+  if (!shown.length || !spoken.length) return [];
+  const out = new Array(shown.length);
+  const LOOKAHEAD = 8;
+  let j = 0;
+  let pending = [];
+  const share = (indices, from, to) => {
+    if (!indices.length) return;
+    const start = from < spoken.length ? spoken[from].start : spoken[spoken.length - 1].end;
+    const end = to > from ? spoken[to - 1].end : start;
+    const step = (end - start) / indices.length;
+    indices.forEach((i, n) => {
+      out[i] = { word: shown[i].word, index: shown[i].index, start: round(start + n * step), end: round(start + (n + 1) * step) };
+    });
+  };
+  shown.forEach((s, i) => {
+    let m = -1;
+    for (let k = j; k < Math.min(spoken.length, j + LOOKAHEAD); k++) {
+      if (key(spoken[k].word) === key(s.word)) { m = k; break; }
+    }
+    if (m < 0) { pending.push(i); return; }
+    share(pending, j, m);
+    pending = [];
+    out[i] = { word: s.word, index: s.index, start: spoken[m].start, end: spoken[m].end };
+    j = m + 1;
+  });
+  share(pending, j, spoken.length);
+  return out;
+}
+
+const DIGRAPHS = { th: 'TH', ch: 'CH', sh: 'CH', ph: 'FF', ng: 'nn', ck: 'kk', qu: 'kk', oo: 'U', ou: 'U', ow: 'O', ee: 'I', ea: 'I', ai: 'E', ay: 'E' };
+const LETTERS = {
+  a: 'aa', e: 'E', i: 'I', o: 'O', u: 'U', y: 'I', w: 'U',
+  b: 'PP', m: 'PP', p: 'PP', f: 'FF', v: 'FF', t: 'DD', d: 'DD', n: 'nn', l: 'nn',
+  k: 'kk', g: 'kk', c: 'kk', q: 'kk', x: 'kk', j: 'CH', s: 'SS', z: 'SS', r: 'RR'
+};
+const OTHER_SCRIPT_CYCLE = ['aa', 'nn', 'E', 'DD', 'O', 'kk'];
+
+// Mouth shapes for one word, in order, without repeats
+function visemesOf(word) {
+  const lower = word.toLowerCase();
+  const shapes = [];
+  const push = (v) => { if (v && shapes[shapes.length - 1] !== v) shapes.push(v); };
+  if (!/[a-z]/.test(lower)) {
+    // no spelling rules for other scripts: alternate open and closed shapes per letter
+    [...word].filter(ch => /\p{L}/u.test(ch)).forEach((ch, i) => push(OTHER_SCRIPT_CYCLE[i % OTHER_SCRIPT_CYCLE.length]));
+    return shapes.length ? shapes : ['aa'];
+  }
+  for (let i = 0; i < lower.length; i++) {
+    const pair = DIGRAPHS[lower.slice(i, i + 2)];
+    if (pair) { push(pair); i++; continue; }
+    push(LETTERS[lower[i]]);
+  }
+  return shapes.length ? shapes : ['aa'];
+}
+
+/**
+ * Viseme timeline for timed spoken words: each word's time is split evenly
+ * over its mouth shapes, and the gaps between words are "sil".
+ */
+export function visemeTimeline(words = []) {
+  const timeline = [];
+  let at = 0;
+  for (const w of words) {
+    if (w.start > at) timeline.push({ viseme: 'sil', start: round(at), end: w.start });
+    const shapes = visemesOf(w.word);
+    const step = (w.end - w.start) / shapes.length;
+    shapes.forEach((viseme, n) => timeline.push({ viseme, start: round(w.start + n * step), end: round(w.start + (n + 1) * step) }));
+    at = Math.max(at, w.end);
+  }
+  return timeline;
+}
+
+/**
+ * Alignment for one clip. `spoken` is the text the voice read; `words` the
+ * engine's timings for it, if it had any, otherwise they are estimated from
+ * `duration`. Returns null when there is nothing to go on.
+ */
+export function buildAlignment(displayText, { spoken = displayText, words, duration } = {}) {
+  const timed = words?.length ? words : estimateWords(spoken, duration);
+  if (!timed.length) return null;
+  return {
+    words: alignWords(displayText, timed),
+    visemes: visemeTimeline(timed),
+    source: words?.length ? 'provider' : 'estimate'
+  };
+}
+
+// The entry of a timeline ({ start, end }[]) playing at `t` seconds, or null.
+// With `hold`, the last entry that started stays current through the gap after it.
+export function cueAt(timeline = [], t, { hold = false } = {}) {
+  let lo = 0;
+  let hi = timeline.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (timeline[mid].start <= t) lo = mid + 1;
+    else hi = mid - 1;
+  }
+  const cue = timeline[hi];
+  if (!cue) return null;
+  const last = timeline[timeline.length - 1];
+  return t < cue.end || (hold && t < last.end) ? cue : null;
+}
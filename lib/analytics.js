@@ -0,0 +1,123 @@
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { normalizeQuestion } from './retrieval.js';
+
+/**
+ * Exchange log: one JSON line per chat answer, TTS or STT request, appended to a
+ * local file, plus the summary behind /api/analytics and the #/analytics page.
+ *   chat  { ts, type, persona, session, question, intent, intentScore, retrieved,
+ *           sources, confidence, refused, cache, fallback, modelMs, totalMs, answer, error }
+ *   tts   { ts, type, persona, session, provider, chars, ttsMs, cache, error }
+ *   stt   { ts, type, persona, session, provider, bytes, language, sttMs, error }
+ * Questions and answers are stored as typed; turn it off where that isn't wanted.
+ * Env:
+ *   ANALYTICS       optional — "off" disables logging
+ *   ANALYTICS_FILE  optional (default data/analytics.jsonl, /tmp/voicebot-analytics.jsonl on Vercel)
+ */
+
+const DEFAULT_FILE = process.env.VERCEL
+  ? '/tmp/voicebot-analytics.jsonl'
+  : path.join(process.cwd(), 'data', 'analytics.jsonl');
+const MAX_ANSWER_CHARS = 500;
+
+const logFile = () => process.env.ANALYTICS_FILE || DEFAULT_FILE;
+
+// Appends are chained so lines never interleave
+let writing = Promise.resolve();
+let dirReady = null;
+
+export function logExchange(event) {
+  if (process.env.ANALYTICS === 'off') return writing;
+  const entry = { ts: new Date().toISOString(), ...event };
+  if (typeof entry.answer === 'string') entry.answer = entry.answer.slice(0, MAX_ANSWER_CHARS);
+  const file = logFile();
+  writing = writing
+    .then(() => (dirReady ||= fs.mkdir(path.dirname(file), { recursive: true })))
+    .then(() => fs.appendFile(file, `${JSON.stringify(entry)}\n`))
+    .catch(err => console.warn('Analytics write failed:', err?.message));
+  return writing;
+}
+
+export async function readExchanges({ since } = {}) {
+  await writing;
+  const events = [];
+  let input;
+  try {
+    await fs.access(logFile());
+    input = createReadStream(logFile(), 'utf8');
+  } catch {
+    return events;
+  }
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    try {
+      const e = JSON.parse(line);
+      if (!since || e.ts >= since) events.push(e);
+    } catch { /* torn last line after a crash */ }
+  }
+  return events;
+}
+
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+const latency = (values) => ({ p50: percentile(values, 50), p95: percentile(values, 95), count: values.length });
+
+/**
+ * events from readExchanges(); kb is the persona's KB, for "never retrieved".
+ * Returns { totals, latency, topQuestions, lowConfidence, neverRetrieved, errors }.
+ */
+export function summarize(events, kb = [], { top = 20 } = {}) {
+  const chats = events.filter(e => e.type === 'chat');
+  const tts = events.filter(e => e.type === 'tts');
+  const stt = events.filter(e => e.type === 'stt');
+
+  const questions = new Map();
+  for (const e of chats) {
+    if (!e.question) continue;
+    const key = normalizeQuestion(e.question);
+    const q = questions.get(key) || { question: e.question, count: 0, lowConfidence: 0 };
+    q.count++;
+    if (e.confidence === 'low') q.lowConfidence++;
+    questions.set(key, q);
+  }
+
+  const used = new Set();
+  for (const e of chats) {
+    for (const id of [...(e.retrieved || []), ...(e.sources || [])]) used.add(id);
+  }
+
+  const count = (list, pred) => list.filter(pred).length;
+  return {
+    totals: {
+      exchanges: chats.length,
+      sessions: new Set(chats.map(e => e.session).filter(Boolean)).size,
+      intents: count(chats, e => e.intent),
+      cacheHits: count(chats, e => e.cache === 'HIT'),
+      lowConfidence: count(chats, e => e.confidence === 'low'),
+      refused: count(chats, e => e.refused),
+      ttsRequests: tts.length,
+      ttsCacheHits: count(tts, e => e.cache === 'HIT'),
+      sttRequests: stt.length,
+      errors: count(events, e => e.error)
+    },
+    latency: {
+      model: latency(chats.map(e => e.modelMs).filter(Number.isFinite)),
+      chat: latency(chats.map(e => e.totalMs).filter(Number.isFinite)),
+      tts: latency(tts.map(e => e.ttsMs).filter(Number.isFinite)),
+      stt: latency(stt.map(e => e.sttMs).filter(Number.isFinite))
+    },
+    topQuestions: [...questions.values()].sort((a, b) => b.count - a.count).slice(0, top),
+    lowConfidence: chats
+      .filter(e => e.confidence === 'low' && !e.error)
+      .slice(-top)
+      .reverse()
+      .map(e => ({ ts: e.ts, question: e.question, answer: e.answer, refused: !!e.refused, retrieved: e.retrieved || [] })),
+    neverRetrieved: kb.map(k => k.id).filter(id => !used.has(id)),
+    errors: events.filter(e => e.error).slice(-top).reverse().map(e => ({ ts: e.ts, type: e.type, error: e.error }))
+  };
+}
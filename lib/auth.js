@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+
+/**
+ * Shared-secret checks for admin routes, and optional client auth for the
+ * public chat/TTS routes.
+ * Env:
+ *   KB_ADMIN_TOKEN    optional — admin routes are disabled (503) until it is set
+ *   API_AUTH          optional — unset: chat/TTS are open; "key": requests need API_KEY;
+ *                     "session": requests need API_KEY or a signed token from POST /api/session
+ *   API_KEY           shared secret for API_AUTH=key|session (X-Api-Key or Bearer)
+ *   SESSION_SECRET    HMAC key for session tokens; without it sessions are unsigned IDs
+ *   SESSION_TTL_HOURS optional (default 12)
+ *   CORS_ORIGINS      optional — besides this host, the pages that may start a session
+ *                     with API_AUTH=session (see server.js)
+ */
+
+const SESSION_ID_RE = /^[A-Za-z0-9-]{8,64}$/;
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+function bearer(req) {
+  const header = req.headers?.authorization || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : (req.headers?.['x-admin-token'] || '');
+}
+
+/**
+ * Returns true when the request carries the admin token; otherwise sends
+ * 401/503 and returns false, so handlers can `if (!requireAdmin(req, res)) return;`.
+ */
+export function requireAdmin(req, res) {
+  const expected = process.env.KB_ADMIN_TOKEN;
+  if (!expected) {
+    res.status(503).json({ error: 'Admin API disabled: set KB_ADMIN_TOKEN.' });
+    return false;
+  }
+  if (!safeEqual(bearer(req), expected)) {
+    res.status(401).json({ error: 'Invalid or missing admin token' });
+    return false;
+  }
+  return true;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * New client session: { sessionId, token, expiresAt (ms) }. The token is
+ * "<id>.<expiry>.<hmac>" when SESSION_SECRET is set, otherwise null. Pass an
+ * existing ID to renew that session instead of starting a new one.
+ */
+export function issueSession(sessionId = crypto.randomUUID()) {
+  const ttlHours = Number(process.env.SESSION_TTL_HOURS) || 12;
+  const expiresAt = Math.round(Date.now() + ttlHours * 3600 * 1000);
+  const secret = process.env.SESSION_SECRET;
+  const token = secret ? `${sessionId}.${expiresAt}.${sign(`${sessionId}.${expiresAt}`, secret)}` : null;
+  return { sessionId, token, expiresAt };
+}
+
+// Session ID from a valid, unexpired token (or expired too, with allowExpired); null otherwise
+export function verifySessionToken(token, { allowExpired = false } = {}) {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret || typeof token !== 'string') return null;
+  const [sessionId, expiresAt, sig] = token.split('.');
+  if (!sessionId || !sig || !(allowExpired || Number(expiresAt) > Date.now())) return null;
+  return safeEqual(sig, sign(`${sessionId}.${expiresAt}`, secret)) ? sessionId : null;
+}
+
+/**
+ * The caller's session: a verified token wins; without SESSION_SECRET the
+ * client-chosen X-Session-Id is accepted as is (good enough for rate limiting;
+ * lib/sessionStore.js keeps no conversations then).
+ * allowExpired also accepts a correctly signed but expired token, for renewal.
+ */
+export function sessionIdOf(req, { allowExpired = false } = {}) {
+  const fromToken = verifySessionToken(req.headers?.['x-session-token'], { allowExpired });
+  if (fromToken) return fromToken;
+  if (process.env.SESSION_SECRET) return null;
+  const id = req.headers?.['x-session-id'];
+  return typeof id === 'string' && SESSION_ID_RE.test(id) ? id : null;
+}
+
+// Browsers send Origin with every POST; a page on this host or in CORS_ORIGINS passes
+function fromAllowedOrigin(req) {
+  const origin = req.headers?.origin;
+  if (!origin) return false;
+  const origins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  if (origins.includes('*') || origins.includes(origin)) return true;
+  try {
+    return new URL(origin).host === (req.headers['x-forwarded-host'] || req.headers.host);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Client auth for chat/TTS per API_AUTH. Returns true when the request may
+ * proceed; otherwise sends 401/403/503 and returns false, like requireAdmin.
+ * With { issuing: true } (POST /api/session), API_AUTH=session also lets in a
+ * request from an allowed page origin, since that is how the page gets its
+ * first token; anything else still needs API_KEY.
+ */
+export function requireClient(req, res, { issuing = false } = {}) {
+  const mode = (process.env.API_AUTH || '').toLowerCase();
+  if (!mode || mode === 'off') return true;
+
+  const apiKey = process.env.API_KEY;
+  if (mode === 'key' && !apiKey) {
+    res.status(503).json({ error: 'API_AUTH=key needs API_KEY to be set.' });
+    return false;
+  }
+  if (mode === 'session' && !process.env.SESSION_SECRET) {
+    res.status(503).json({ error: 'API_AUTH=session needs SESSION_SECRET to be set.' });
+    return false;
+  }
+  const key = req.headers?.['x-api-key'] || bearer(req);
+  if (apiKey && key && safeEqual(key, apiKey)) return true;
+  if (mode === 'session' && verifySessionToken(req.headers?.['x-session-token'])) return true;
+  if (mode === 'session' && issuing) {
+    if (fromAllowedOrigin(req)) return true;
+    res.status(403).json({ error: 'Sessions can only be started from this site', code: 'forbidden_origin' });
+    return false;
+  }
+
+  res.status(401).json({
+    error: mode === 'session' ? 'Session expired or missing, reload the page to start a new one.' : 'Invalid or missing API key',
+    code: 'unauthorized'
+  });
+  return false;
+}
@@ -0,0 +1,82 @@
+import { promises as fs, readFileSync } from 'fs';
+
+/**
+ * Daily spend budgets for paid providers, counted in what they bill for:
+ * LLM tokens (estimated at ~4 chars each) and TTS characters. Counters reset
+ * at midnight UTC. When a budget runs out, /api/chat answers from the KB
+ * without the LLM (mock provider) and /api/tts answers 429 so the browser
+ * voice takes over. Free providers (mock, local) are never limited.
+ * Counters live in memory, per instance on Vercel.
+ * Env:
+ *   LLM_DAILY_BUDGET  optional tokens/day: "200000" for any provider, or per
+ *                     provider as "gemini=200000,openai=50000"
+ *   TTS_DAILY_BUDGET  optional characters/day, same format ("elevenlabs=20000")
+ *   BUDGET_FILE       optional JSON file that keeps today's counters across restarts
+ */
+
+const FREE_PROVIDERS = new Set(['mock', 'local']);
+const ENV_KEYS = { llm: 'LLM_DAILY_BUDGET', tts: 'TTS_DAILY_BUDGET' };
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+let state = null; // { day, spent: { 'llm:gemini': n } }
+
+function load() {
+  if (state && state.day === today()) return state;
+  state = { day: today(), spent: {} };
+  if (process.env.BUDGET_FILE) {
+    try {
+      const saved = JSON.parse(readFileSync(process.env.BUDGET_FILE, 'utf8'));
+      if (saved.day === state.day) state.spent = saved.spent || {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('Budget file unreadable:', err?.message);
+    }
+  }
+  return state;
+}
+
+// Writes are chained so the file always ends with the latest counters
+let saving = Promise.resolve();
+function save() {
+  if (!process.env.BUDGET_FILE) return;
+  const snapshot = JSON.stringify(state);
+  saving = saving
+    .then(() => fs.writeFile(process.env.BUDGET_FILE, snapshot))
+    .catch(err => console.warn('Budget file write failed:', err?.message));
+}
+
+// "200000" or "gemini=200000,openai=50000" -> limit for this provider (Infinity if none)
+export function dailyLimit(kind, provider) {
+  if (FREE_PROVIDERS.has(provider)) return Infinity;
+  const raw = (process.env[ENV_KEYS[kind]] || '').trim();
+  if (!raw) return Infinity;
+  if (/^\d+$/.test(raw)) return Number(raw);
+  for (const part of raw.split(',')) {
+    const [name, value] = part.split('=').map(s => s.trim());
+    if (name === provider && Number(value) >= 0) return Number(value);
+  }
+  return Infinity;
+}
+
+export function spentToday(kind, provider) {
+  return load().spent[`${kind}:${provider}`] || 0;
+}
+
+export function isOverBudget(kind, provider) {
+  return spentToday(kind, provider) >= dailyLimit(kind, provider);
+}
+
+export function recordSpend(kind, provider, amount) {
+  if (!amount || FREE_PROVIDERS.has(provider)) return;
+  const s = load();
+  const key = `${kind}:${provider}`;
+  s.spent[key] = (s.spent[key] || 0) + amount;
+  save();
+}
+
+// Seconds until the counters reset (for Retry-After)
+export function secondsUntilReset() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
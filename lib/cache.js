@@ -0,0 +1,168 @@
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * Small TTL + size-bounded cache with two backends:
+ *   memory  LRU Map per process (per warm instance on Vercel)
+ *   disk    one file per entry under CACHE_DIR/<namespace>/, shared across
+ *           restarts and processes on the same box
+ * Values are JSON-serializable objects, or { audio: Buffer, contentType, ...json } for audio.
+ * Keys are any JSON-serializable value; they are hashed, never stored.
+ * Env:
+ *   CACHE_BACKEND  optional — "memory" (default) | "disk" | "off"
+ *   CACHE_DIR      optional disk location (default .cache, /tmp/voicebot-cache on Vercel)
+ */
+
+const DEFAULT_DIR = process.env.VERCEL ? '/tmp/voicebot-cache' : path.join(process.cwd(), '.cache');
+
+export function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Buffers go to disk as raw bytes after a one-line JSON header (which carries the other fields)
+function encode(value, expires) {
+  if (Buffer.isBuffer(value?.audio)) {
+    const { audio, contentType, ...extra } = value;
+    const header = JSON.stringify({ expires, kind: 'audio', contentType, ...(Object.keys(extra).length ? { extra } : {}) });
+    return Buffer.concat([Buffer.from(`${header}\n`), audio]);
+  }
+  return Buffer.from(`${JSON.stringify({ expires, kind: 'json' })}\n${JSON.stringify(value)}`);
+}
+
+function decode(buf) {
+  const nl = buf.indexOf(0x0a);
+  const header = JSON.parse(buf.subarray(0, nl).toString('utf8'));
+  const body = buf.subarray(nl + 1);
+  const value = header.kind === 'audio'
+    ? { audio: Buffer.from(body), contentType: header.contentType, ...header.extra }
+    : JSON.parse(body.toString('utf8'));
+  return { expires: header.expires, value };
+}
+
+function sizeOf(value) {
+  return Buffer.isBuffer(value?.audio) ? value.audio.length : JSON.stringify(value).length;
+}
+
+function createMemoryBackend({ maxEntries, maxBytes }) {
+  const entries = new Map(); // key -> { value, expires, size }, oldest first
+  let bytes = 0;
+  const remove = (key) => {
+    const e = entries.get(key);
+    if (!e) return;
+    bytes -= e.size;
+    entries.delete(key);
+  };
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return undefined;
+      remove(key);
+      if (e.expires <= Date.now()) return undefined;
+      entries.set(key, e); // most recently used goes to the back
+      bytes += e.size;
+      return e.value;
+    },
+    async set(key, value, expires) {
+      remove(key);
+      const size = sizeOf(value);
+      if (size > maxBytes) return;
+      entries.set(key, { value, expires, size });
+      bytes += size;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && bytes <= maxBytes) break;
+        remove(oldest);
+      }
+    }
+  };
+}
+
+function createDiskBackend({ dir, maxEntries, maxBytes }) {
+  let ready = null;
+  const ensureDir = () => (ready ||= fs.mkdir(dir, { recursive: true }));
+  const file = (key) => path.join(dir, key);
+
+  // Oldest files (by mtime, refreshed on hits) go first when over the limits
+  const prune = async () => {
+    const names = (await fs.readdir(dir)).filter(n => !n.endsWith('.tmp'));
+    const stats = [];
+    for (const name of names) {
+      try {
+        const st = await fs.stat(file(name));
+        stats.push({ name, size: st.size, mtime: st.mtimeMs });
+      } catch { /* removed meanwhile */ }
+    }
+    stats.sort((a, b) => a.mtime - b.mtime);
+    let total = stats.reduce((n, s) => n + s.size, 0);
+    let count = stats.length;
+    for (const s of stats) {
+      if (count <= maxEntries && total <= maxBytes) break;
+      await fs.rm(file(s.name), { force: true });
+      total -= s.size;
+      count--;
+    }
+  };
+
+  let writes = 0;
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = decode(await fs.readFile(file(key)));
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.warn('Cache read failed:', err?.message);
+        return undefined;
+      }
+      if (entry.expires <= Date.now()) {
+        await fs.rm(file(key), { force: true });
+        return undefined;
+      }
+      const now = new Date();
+      fs.utimes(file(key), now, now).catch(() => {});
+      return entry.value;
+    },
+    async set(key, value, expires) {
+      await ensureDir();
+      const tmp = `${file(key)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, encode(value, expires));
+      await fs.rename(tmp, file(key));
+      // listing the directory on every write is wasteful; every 20th is plenty
+      if (++writes % 20 === 1) await prune();
+    }
+  };
+}
+
+/**
+ * createCache({ namespace, ttlMs, maxEntries, maxBytes }) ->
+ *   { enabled, get(key) -> value | undefined, set(key, value) }
+ * key is an array/object of the parts that make an entry unique. Cache errors
+ * are logged and treated as misses, never surfaced to the request.
+ */
+export function createCache({ namespace, ttlMs, maxEntries = 1000, maxBytes = 64 * 1024 * 1024 }) {
+  const backendName = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+  if (backendName === 'off') {
+    return { enabled: false, get: async () => undefined, set: async () => {} };
+  }
+  const backend = backendName === 'disk'
+    ? createDiskBackend({ dir: path.join(process.env.CACHE_DIR || DEFAULT_DIR, namespace), maxEntries, maxBytes })
+    : createMemoryBackend({ maxEntries, maxBytes });
+
+  return {
+    enabled: true,
+    async get(parts) {
+      try {
+        return await backend.get(cacheKey(parts));
+      } catch (err) {
+        console.warn(`${namespace} cache get failed:`, err?.message);
+        return undefined;
+      }
+    },
+    async set(parts, value) {
+      try {
+        await backend.set(cacheKey(parts), value, Date.now() + ttlMs);
+      } catch (err) {
+        console.warn(`${namespace} cache set failed:`, err?.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,86 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+/**
+ * Embedders used by the KB vector index.
+ * Env:
+ *   EMBEDDER optional — "hash" (default, offline) or "gemini"
+ *   GEMINI_EMBED_MODEL optional (default "text-embedding-004")
+ */
+
+export const HASH_DIM = 256;
+
+// FNV-1a 32-bit — fast and stable across runs/machines
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function normalize(vec) {
+  let norm = 0;
+  for (const v of vec) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (!norm) return vec;
+  return vec.map(v => v / norm);
+}
+
+/**
+ * Deterministic local embedding: hashed word unigrams + character trigrams.
+ * No network, so retrieval works (and can be checked) offline.
+ */
+export function hashEmbed(text = '', dim = HASH_DIM) {
+  const vec = new Array(dim).fill(0);
+  const words = String(text).toLowerCase().split(/\W+/).filter(w => w.length > 1);
+  const add = (feature, weight) => {
+    const h = fnv1a(feature);
+    // top bit picks the sign so collisions tend to cancel out instead of piling up
+    vec[h % dim] += (h & 0x80000000) ? -weight : weight;
+  };
+  for (const w of words) {
+    add(`w:${w}`, 1);
+    const padded = ` ${w} `;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.5);
+  }
+  return normalize(vec).map(v => Math.round(v * 1e4) / 1e4);
+}
+
+function createHashEmbedder() {
+  return {
+    name: `hash-${HASH_DIM}`,
+    local: true,
+    async embed(texts) {
+      return texts.map(t => hashEmbed(t));
+    }
+  };
+}
+
+function createGeminiEmbedder(modelName) {
+  const key = process.env.GEMINI_API_KEY;
+  if (!key) throw new Error('GEMINI_API_KEY is required for the gemini embedder');
+  const model = new GoogleGenerativeAI(key).getGenerativeModel({ model: modelName });
+  return {
+    name: `gemini:${modelName}`,
+    local: false,
+    async embed(texts) {
+      const result = await model.batchEmbedContents({
+        requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+      });
+      return (result?.embeddings || []).map(e => normalize(e.values || []));
+    }
+  };
+}
+
+/**
+ * Pick an embedder by name. Names match what gets stored on KB entries
+ * ("hash-256", "gemini:text-embedding-004") so the query side can follow the index.
+ */
+export function createEmbedder(name = process.env.EMBEDDER || 'hash') {
+  if (name === 'gemini' || name.startsWith('gemini:')) {
+    const modelName = name.split(':')[1] || process.env.GEMINI_EMBED_MODEL || 'text-embedding-004';
+    return createGeminiEmbedder(modelName);
+  }
+  return createHashEmbedder();
+}
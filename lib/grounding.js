@@ -0,0 +1,117 @@
+/**
+ * Post-generation grounding check. The twin speaks for a real person, so:
+ *   1. cited source IDs that were never in the retrieved context are dropped
+ *   2. first-person claims ("I built…", "my favourite…") are checked against the
+ *      retrieved chunks and the persona's own prompt facts by content-word
+ *      overlap (plus any numbers must appear)
+ *   3. confidence is lowered when claims are weakly supported, and the answer is
+ *      replaced with the persona's refusal when most claims state specifics
+ *      (numbers, names, dates) found in neither. Casual wording with little
+ *      overlap only costs confidence: the prompt asks for natural answers.
+ * Env:
+ *   GROUNDING optional — "off" disables the check
+ */
+
+const SUPPORT_THRESHOLD = 0.5;
+const REFUSE_RATIO = 0.5;
+const MIN_CLAIM_WORDS = 3;
+const DEFAULT_REFUSAL = "I don't have that in my notes, so I'd rather not guess. Ask me about my projects, skills or where I want to grow!";
+
+const STOPWORDS = new Set(['the', 'and', 'but', 'for', 'with', 'that', 'this', 'have', 'has', 'had', 'was', 'were', 'are', 'you', 'your', 'from', 'they', 'them', 'their', 'its', 'into', 'about', 'also', 'really', 'very', 'just', 'like', 'love', 'honestly', 'think', 'thing', 'things', 'some', 'more', 'most', 'much', 'what', 'when', 'which', 'while', 'where', 'who', 'how', 'can', 'could', 'would', 'should', 'will', 'been', 'being', 'than', 'then', 'there', 'here', 'all', 'any', 'not', 'out', 'get', 'got', 'make', 'made', 'lot', 'lots', 'way', 'ways', 'well', 'always', 'often', 'both', 'each', 'other', 'such', 'too', 'our', 'ours', 'yes', 'sure']);
+const FIRST_PERSON_RE = /\b(i|i'm|i’m|i've|i’ve|i'd|i’d|my|me|mine|myself)\b/i;
+const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+function stem(word) {
+  return word.length > 4 ? word.replace(/(ing|ed|es|s|ly)$/, '') : word;
+}
+
+function contentStems(text) {
+  return String(text).toLowerCase().split(/[^a-z0-9]+/)
+    .filter(w => w.length > 2 && !STOPWORDS.has(w) && !/^\d+$/.test(w))
+    .map(stem);
+}
+
+function numbers(text) {
+  return String(text).match(/\d+(?:\.\d+)?/g) || [];
+}
+
+// Capitalized words past the first one ("RainSafe", "Mysuru", "March"), lowercased
+function names(sentence) {
+  return String(sentence).split(/\s+/).slice(1)
+    .map(w => w.replace(/^[^\p{L}\d]+|[^\p{L}\d]+$/gu, ''))
+    .filter(w => /^\p{Lu}/u.test(w) && !/^I(?:['’]\w+)?$/.test(w))
+    .map(w => w.toLowerCase());
+}
+
+function wordsOf(text) {
+  return String(text).toLowerCase().split(/[^\p{L}\d]+/u).filter(Boolean);
+}
+
+// A number, name or date the evidence never mentions
+function invents(sentence, factWords, chunkNumbers) {
+  return numbers(sentence).some(n => !chunkNumbers.has(n)) || names(sentence).some(n => !factWords.has(n));
+}
+
+function sentencesOf(text) {
+  return String(text).split(/(?<=[.!?…])\s+/).map(s => s.trim()).filter(Boolean);
+}
+
+// Share of the sentence's content words that appear in the chunk vocabulary
+function support(sentence, vocab, chunkNumbers) {
+  const words = contentStems(sentence);
+  if (!words.length) return 1;
+  const hits = words.filter(w => vocab.has(w)).length;
+  const novelNumber = numbers(sentence).some(n => !chunkNumbers.has(n));
+  return novelNumber ? 0 : hits / words.length;
+}
+
+function capConfidence(confidence, max) {
+  return CONFIDENCE_RANK[confidence] > CONFIDENCE_RANK[max] ? max : confidence;
+}
+
+/**
+ * result    { answer, confidence, sources } parsed from the model
+ * retrieved KB entries that were in the prompt context ({ id, text })
+ * facts     other text the model was told is true (the persona's system prompt)
+ * Returns the adjusted result with a `grounding` summary:
+ *   { support, claims, unsupported, invented, droppedSources, refused }
+ */
+export function verifyAnswer(result, retrieved = [], { refusal, facts = '' } = {}) {
+  if (process.env.GROUNDING === 'off') return result;
+
+  const retrievedIds = new Set(retrieved.map(k => k.id));
+  const droppedSources = result.sources.filter(id => !retrievedIds.has(id));
+  const sources = result.sources.filter(id => retrievedIds.has(id));
+
+  const evidence = [...retrieved.map(k => k.text), facts];
+  const vocab = new Set(evidence.flatMap(contentStems));
+  const factWords = new Set(evidence.flatMap(wordsOf));
+  const chunkNumbers = new Set(evidence.flatMap(numbers));
+  const claims = sentencesOf(result.answer)
+    .filter(s => FIRST_PERSON_RE.test(s) && contentStems(s).length >= MIN_CLAIM_WORDS);
+  const scores = claims.map(s => support(s, vocab, chunkNumbers));
+  const unsupported = scores.filter(s => s < SUPPORT_THRESHOLD).length;
+  const invented = claims.filter((s, i) => scores[i] < SUPPORT_THRESHOLD && invents(s, factWords, chunkNumbers)).length;
+  const overall = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 1;
+
+  const grounding = {
+    support: Math.round(overall * 100) / 100,
+    claims: claims.length,
+    unsupported,
+    invented,
+    droppedSources,
+    refused: false
+  };
+
+  if (claims.length && invented / claims.length > REFUSE_RATIO) {
+    return { answer: refusal || DEFAULT_REFUSAL, confidence: 'low', sources: [], grounding: { ...grounding, refused: true } };
+  }
+
+  let confidence = result.confidence;
+  if (unsupported) confidence = 'low';
+  else if (droppedSources.length) confidence = capConfidence(confidence, 'medium');
+  // same rule as parsing: nothing cited means low confidence
+  if (!sources.length) confidence = 'low';
+
+  return { ...result, confidence, sources, grounding };
+}
@@ -0,0 +1,281 @@
+import { mutateKB, readKBFile, validateEntry, MAX_TEXT_CHARS } from './kbStore.js';
+import { splitSentences } from './sentences.js';
+
+/**
+ * Document ingestion: Markdown, plain text, PDF text and JSON Resume in,
+ * overlapping KB chunks out. Chunk IDs come from the source name and the
+ * section they were found in (KB_<SOURCE>_<SECTION>_<n>), so re-ingesting an
+ * updated resume refreshes the same entries instead of piling up new ones.
+ */
+
+export const FORMATS = ['markdown', 'text', 'pdf-text', 'json-resume'];
+const DEFAULT_CHUNK_CHARS = 600;
+const DEFAULT_OVERLAP_CHARS = 120;
+const DUPLICATE_JACCARD = 0.85;
+
+export class IngestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IngestError';
+  }
+}
+
+export function formatFromFilename(name = '') {
+  const ext = name.toLowerCase().split('.').pop();
+  if (ext === 'md' || ext === 'markdown') return 'markdown';
+  if (ext === 'json') return 'json-resume';
+  if (ext === 'pdf') return 'pdf-text';
+  return 'text';
+}
+
+function slug(str, max = 24) {
+  return String(str).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, max).replace(/_+$/, '') || 'MISC';
+}
+
+// Markdown to speakable plain text: drop syntax, keep the words
+function stripMarkdown(md) {
+  return md
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '')
+    .replace(/(\*\*|__|\*|_|~~)(.*?)\1/g, '$2')
+    .replace(/^\s*(?:-{3,}|\*{3,})\s*$/gm, ' ')
+    .replace(/<[^>]+>/g, ' ');
+}
+
+function parseMarkdown(md) {
+  const sections = [];
+  const stack = [];
+  let current = { section: 'Intro', lines: [] };
+  for (const line of md.split(/\r?\n/)) {
+    const h = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (h) {
+      sections.push(current);
+      const level = h[1].length;
+      stack.length = level - 1;
+      stack[level - 1] = stripMarkdown(h[2]).trim();
+      // top-level title (usually the person's name) is not a useful section label
+      const path = stack.filter(Boolean).slice(stack[0] && level > 1 ? 1 : 0);
+      current = { section: path.join(' ') || stack[level - 1], lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+  return sections.map(s => ({ section: s.section, text: stripMarkdown(s.lines.join('\n')) }));
+}
+
+// Plain text: an ALL CAPS line or a short line ending in ":" starts a new section
+function parseText(text) {
+  const sections = [];
+  let current = { section: 'Intro', lines: [] };
+  for (const line of text.split(/\r?\n/)) {
+    const t = line.trim();
+    const isHeading = t.length > 2 && t.length <= 40 && (/^[A-Z0-9 &/,-]+$/.test(t) && /[A-Z]/.test(t) || /^[\w &/-]+:$/.test(t));
+    if (isHeading) {
+      sections.push(current);
+      current = { section: t.replace(/:$/, ''), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+  return sections.map(s => ({ section: s.section, text: s.lines.join('\n') }));
+}
+
+// pdftotext output: form feeds between pages, hyphenated line breaks, bare page numbers
+function cleanPdfText(text) {
+  return text
+    .replace(/\f/g, '\n')
+    .replace(/^\s*(?:page\s+)?\d+(?:\s*(?:of|\/)\s*\d+)?\s*$/gim, '')
+    .replace(/(\w)-\n(\w)/g, '$1$2');
+}
+
+const range = (item) => [item.startDate, item.endDate || (item.startDate ? 'present' : '')].filter(Boolean).join(' – ');
+const sentence = (...parts) => parts.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+const list = (arr) => (Array.isArray(arr) && arr.length ? arr.join(', ') : '');
+
+// JSON Resume (jsonresume.org schema) -> one section per item, written as prose
+function parseJsonResume(raw) {
+  let r;
+  try {
+    r = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (err) {
+    throw new IngestError(`Invalid JSON Resume: ${err.message}`);
+  }
+  if (!r || typeof r !== 'object') throw new IngestError('Invalid JSON Resume: expected an object');
+  const out = [];
+  const b = r.basics || {};
+  if (b.name || b.summary || b.label) {
+    const where = [b.location?.city, b.location?.region, b.location?.countryCode].filter(Boolean).join(', ');
+    out.push({ section: 'Basics', text: sentence(b.name && `I am ${b.name}${b.label ? `, ${b.label}` : ''}.`, where && `Based in ${where}.`, b.summary) });
+  }
+  for (const w of r.work || []) {
+    out.push({
+      section: `Work ${w.name || w.company || ''}`,
+      text: sentence(`${w.position || 'Role'} at ${w.name || w.company || 'a company'}${range(w) ? ` (${range(w)})` : ''}.`, w.summary, list(w.highlights) && `Highlights: ${list(w.highlights)}.`)
+    });
+  }
+  for (const p of r.projects || []) {
+    out.push({
+      section: `Project ${p.name || ''}`,
+      text: sentence(`${p.name || 'Project'}:`, p.description, list(p.highlights) && `Highlights: ${list(p.highlights)}.`, list(p.keywords) && `Tech: ${list(p.keywords)}.`)
+    });
+  }
+  for (const e of r.education || []) {
+    out.push({
+      section: `Education ${e.institution || ''}`,
+      text: sentence(`Education: ${[e.studyType, e.area].filter(Boolean).join(' in ') || 'Studies'} at ${e.institution || 'university'}${range(e) ? ` (${range(e)})` : ''}.`, list(e.courses) && `Courses: ${list(e.courses)}.`)
+    });
+  }
+  if ((r.skills || []).length) {
+    out.push({ section: 'Skills', text: `Skills: ${r.skills.map(s => (list(s.keywords) ? `${s.name} (${list(s.keywords)})` : s.name)).join('; ')}.` });
+  }
+  for (const a of r.awards || []) {
+    out.push({ section: 'Awards', text: sentence(`Award: ${a.title}${a.awarder ? ` from ${a.awarder}` : ''}${a.date ? ` (${a.date})` : ''}.`, a.summary) });
+  }
+  for (const v of r.volunteer || []) {
+    out.push({ section: `Volunteer ${v.organization || ''}`, text: sentence(`Volunteering: ${v.position || 'volunteer'} at ${v.organization || 'an organization'}.`, v.summary) });
+  }
+  if ((r.languages || []).length) {
+    out.push({ section: 'Languages', text: `Languages: ${r.languages.map(l => [l.language, l.fluency && `(${l.fluency})`].filter(Boolean).join(' ')).join(', ')}.` });
+  }
+  if ((r.interests || []).length) {
+    out.push({ section: 'Interests', text: `Interests: ${r.interests.map(i => i.name).filter(Boolean).join(', ')}.` });
+  }
+  return out;
+}
+
+export function parseDocument(content, format) {
+  switch (format) {
+    case 'markdown': return parseMarkdown(content);
+    case 'text': return parseText(content);
+    case 'pdf-text': return parseText(cleanPdfText(content));
+    case 'json-resume': return parseJsonResume(content);
+    default: throw new IngestError(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Sentence-aware sliding window: chunks of up to `size` chars, each starting
+ * with the trailing sentences (up to `overlap` chars) of the previous one.
+ */
+export function chunkText(text, { size = DEFAULT_CHUNK_CHARS, overlap = DEFAULT_OVERLAP_CHARS } = {}) {
+  const sentences = splitSentences(text, size);
+  const chunks = [];
+  let current = [];
+  let length = 0;
+  for (const s of sentences) {
+    if (current.length && length + s.length + 1 > size) {
+      chunks.push(current.join(' '));
+      const carry = [];
+      let carried = 0;
+      for (let i = current.length - 1; i >= 0 && carried + current[i].length <= overlap; i--) {
+        carry.unshift(current[i]);
+        carried += current[i].length + 1;
+      }
+      current = carry;
+      length = carried;
+    }
+    current.push(s);
+    length += s.length + 1;
+  }
+  if (current.length) chunks.push(current.join(' '));
+  return chunks;
+}
+
+/**
+ * Document -> [{ id, text, section }] with stable IDs.
+ */
+export function documentToChunks(content, { format, source = 'doc', size, overlap } = {}) {
+  const prefix = `KB_${slug(source, 16)}`;
+  const counts = new Map();
+  const chunks = [];
+  for (const { section, text } of parseDocument(content, format)) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    if (clean.length < 20) continue;
+    const base = `${prefix}_${slug(section)}`;
+    for (const piece of chunkText(clean, { size, overlap })) {
+      const n = (counts.get(base) || 0) + 1;
+      counts.set(base, n);
+      chunks.push({ id: `${base}_${n}`, text: piece.slice(0, MAX_TEXT_CHARS), section });
+    }
+  }
+  return { prefix, chunks };
+}
+
+function wordSet(text) {
+  return new Set(text.toLowerCase().split(/\W+/).filter(w => w.length > 2));
+}
+
+function jaccard(a, b) {
+  let inter = 0;
+  for (const w of a) if (b.has(w)) inter++;
+  const union = a.size + b.size - inter;
+  return union ? inter / union : 0;
+}
+
+/**
+ * Merge chunks into a persona KB.
+ *   - same ID: text is refreshed (and re-embedded) if it changed
+ *   - near-duplicate of an entry with another ID: skipped
+ *   - replace: entries under the same source prefix that the document no
+ *     longer produces are removed
+ *   - dryRun: report only, nothing is written
+ * Returns { added, updated, unchanged, skipped, removed } as ID lists.
+ */
+export async function mergeChunks(personaId, { prefix, chunks }, { replace = false, dryRun = false } = {}) {
+  chunks.forEach(c => validateEntry(c));
+  const report = { added: [], updated: [], unchanged: [], skipped: [], removed: [] };
+
+  const apply = (kb) => {
+    const changed = [];
+    const keep = new Set(chunks.map(c => c.id));
+    const others = () => kb.filter(k => !keep.has(k.id)).map(k => ({ id: k.id, words: wordSet(k.text) }));
+    let existingWords = others();
+
+    for (const chunk of chunks) {
+      const existing = kb.find(k => k.id === chunk.id);
+      if (existing) {
+        if (existing.text === chunk.text) report.unchanged.push(chunk.id);
+        else {
+          existing.text = chunk.text;
+          changed.push(existing);
+          report.updated.push(chunk.id);
+        }
+        continue;
+      }
+      const words = wordSet(chunk.text);
+      const dup = existingWords.find(o => jaccard(words, o.words) >= DUPLICATE_JACCARD);
+      if (dup) {
+        report.skipped.push({ id: chunk.id, duplicateOf: dup.id });
+        continue;
+      }
+      const entry = { id: chunk.id, text: chunk.text };
+      kb.push(entry);
+      changed.push(entry);
+      existingWords = [...existingWords, { id: entry.id, words }];
+      report.added.push(chunk.id);
+    }
+
+    if (replace) {
+      for (let i = kb.length - 1; i >= 0; i--) {
+        if (kb[i].id.startsWith(`${prefix}_`) && !keep.has(kb[i].id)) {
+          report.removed.push(kb[i].id);
+          kb.splice(i, 1);
+        }
+      }
+    }
+    return changed;
+  };
+
+  if (dryRun) {
+    apply(await readKBFile(personaId));
+    return report;
+  }
+  await mutateKB(personaId, kb => ({ result: null, changed: apply(kb) }));
+  return report;
+}
@@ -0,0 +1,119 @@
+/**
+ * Intent classifier for canned answers. Shared by api/chat.js and the client's
+ * offline demo mode, so keep it dependency-free.
+ *
+ * Intents are data (personas/<id>/intents.json):
+ *   { id, examples: [utterances], kb?: KB ID, answer?: text, confidence?, threshold? }
+ * `kb` answers with that KB entry, `answer` with the given text ({{name}} is
+ * filled in by lib/personas.js). `threshold` (default 0.7) is the score the
+ * best match needs; below it the question falls through to the LLM.
+ *
+ * Scoring is fuzzy token matching, so STT slips ("boundries", "super powers")
+ * still land: for each example, recall = share of its words found in the
+ * question, precision = share of the question's words found in the example,
+ * score = recall * precision. A multi-word example that appears as a
+ * phrase in the question scores at least 0.9, but only when it makes up most
+ * of the question or the words around it match too: "how are you" inside
+ * "how are you handling backend scaling" is not a greeting. An intent scores
+ * its best example.
+ */
+
+export const DEFAULT_THRESHOLD = 0.7;
+const PHRASE_SCORE = 0.9;
+const PHRASE_COVERAGE = 0.5; // share of the question's words the phrase must exceed
+const PHRASE_PRECISION = 0.75;
+
+const STOPWORDS = new Set(['a', 'an', 'the', 'and', 'or', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'is', 'are', 'was', 'were', 'be', 'do', 'does', 'did', 'you', 'your', 'yours', 'i', 'me', 'my', 'we', 'us', 'our', 'it', 'this', 'that', 'what', 'whats', 'how', 'hows', 'can', 'could', 'would', 'will', 'please', 'tell', 'about', 'some', 'so', 'just', 'really', 'am', 'have', 'has', 'im', 'ive', 'id', 'youd', 'youre', 'youve']);
+
+export function normalizeText(text = '') {
+  return String(text).toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(ing|ed|es|s)$/, '');
+}
+
+// Content words of an utterance; all-stopword utterances ("how are you") keep every word
+function contentTokens(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  const content = words.filter(w => !STOPWORDS.has(w));
+  return (content.length ? content : words).map(stem);
+}
+
+// Levenshtein distance, stopping early once it exceeds `max`
+function withinEdits(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return false;
+    prev = row;
+  }
+  return prev[b.length] <= max;
+}
+
+function sameWord(a, b) {
+  if (a === b) return true;
+  return a.length >= 5 && b.length >= 5 && withinEdits(a, b, 1);
+}
+
+// Examples are tokenized once per intents array
+const PREPARED = new WeakMap();
+function prepare(intents) {
+  if (!PREPARED.has(intents)) {
+    PREPARED.set(intents, intents.map(intent => ({
+      intent,
+      examples: (intent.examples || []).map(ex => ({
+        phrase: normalizeText(ex),
+        words: normalizeText(ex).split(' ').length,
+        tokens: contentTokens(ex),
+        multiWord: normalizeText(ex).includes(' ')
+      })).filter(ex => ex.tokens.length)
+    })));
+  }
+  return PREPARED.get(intents);
+}
+
+function scoreTokens(exampleTokens, queryTokens) {
+  if (!queryTokens.length) return { recall: 0, precision: 0 };
+  const recall = exampleTokens.filter(e => queryTokens.some(q => sameWord(e, q))).length / exampleTokens.length;
+  const precision = queryTokens.filter(q => exampleTokens.some(e => sameWord(e, q))).length / queryTokens.length;
+  return { recall, precision };
+}
+
+function scoreExample(example, query, queryTokens) {
+  const { recall, precision } = scoreTokens(example.tokens, queryTokens);
+  const score = recall * precision;
+  const asPhrase = example.multiWord && ` ${query} `.includes(` ${example.phrase} `)
+    && (example.words / query.split(' ').length > PHRASE_COVERAGE || precision >= PHRASE_PRECISION);
+  return asPhrase ? Math.max(PHRASE_SCORE, score) : score;
+}
+
+/**
+ * Every intent with its best example score, highest first:
+ * [{ intent, score }] (scores rounded to 2 decimals, zeros dropped).
+ */
+export function scoreIntents(text, intents = []) {
+  const query = normalizeText(text);
+  const queryTokens = contentTokens(text);
+  return prepare(intents)
+    .map(({ intent, examples }) => ({
+      intent,
+      score: Math.round(Math.max(0, ...examples.map(ex => scoreExample(ex, query, queryTokens))) * 100) / 100
+    }))
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Best match if it clears its threshold, otherwise null (fall through to the LLM)
+export function matchIntent(text, intents = []) {
+  const [best] = scoreIntents(text, intents);
+  if (!best) return null;
+  return best.score >= (best.intent.threshold ?? DEFAULT_THRESHOLD) ? best : null;
+}
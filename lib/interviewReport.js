@@ -0,0 +1,166 @@
+/**
+ * Interview reports: built by /api/interview from the rubric scores
+ * (lib/rubric.js), rendered in the browser for download. Shared by both, so
+ * keep it dependency-free.
+ *   JSON      { interview, persona, startedAt, finishedAt, scoredBy, scale, overall,
+ *               summary, criteria, questions, totals }
+ *             criteria:  [{ id, label, description, weight, score, comment }]
+ *             questions: [{ id, text, timeLimitSec, answer, confidence, sources, ms,
+ *                          overtime, skipped, score, comment }]
+ *   Markdown  scores table, then each question with its answer and timing
+ *   HTML      self-contained and print-ready (save as PDF from the browser)
+ */
+
+export const REPORT_FORMATS = {
+  json: { ext: 'json', contentType: 'application/json; charset=utf-8' },
+  md: { ext: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { ext: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const seconds = (ms) => (ms == null ? '—' : `${(ms / 1000).toFixed(1)}s`);
+const stamp = (ts) => (ts ? `${new Date(ts).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '');
+
+// Weighted mean of the criterion scores, one decimal
+export function overallScore(criteria) {
+  const weight = criteria.reduce((n, c) => n + c.weight, 0);
+  return weight ? round1(criteria.reduce((n, c) => n + c.score * c.weight, 0) / weight) : 0;
+}
+
+/**
+ * scores: { criteria: Map(id -> { score, comment }), questions: Map, summary }
+ * answers as sent by the client (see lib/rubric.js).
+ */
+export function buildReport({ interview, persona, answers, scores, scoredBy, scale, startedAt = null, finishedAt = new Date() }) {
+  const byId = new Map(answers.map(a => [a.question, a]));
+  const criteria = interview.rubric.map(c => ({ ...c, ...scores.criteria.get(c.id) }));
+  const questions = interview.questions.map(q => {
+    const a = byId.get(q.id) || { skipped: true };
+    const scored = scores.questions.get(q.id);
+    return {
+      id: q.id,
+      text: q.text,
+      timeLimitSec: q.timeLimitSec,
+      answer: a.skipped ? null : a.answer || null,
+      confidence: a.confidence || null,
+      sources: a.sources || [],
+      ms: a.skipped ? null : a.ms,
+      overtime: Boolean(a.overtime),
+      skipped: Boolean(a.skipped),
+      score: scored?.score ?? null,
+      comment: scored?.comment || ''
+    };
+  });
+  const answered = questions.filter(q => !q.skipped);
+  return {
+    interview: { id: interview.id, title: interview.title, description: interview.description },
+    persona: { id: persona.id, name: persona.name },
+    startedAt,
+    finishedAt: finishedAt.toISOString(),
+    scoredBy,
+    scale,
+    overall: overallScore(criteria),
+    summary: scores.summary,
+    criteria,
+    questions,
+    totals: {
+      answered: answered.length,
+      skipped: questions.length - answered.length,
+      overtime: questions.filter(q => q.overtime).length,
+      totalMs: answered.reduce((n, q) => n + (q.ms || 0), 0)
+    }
+  };
+}
+
+const subtitleOf = (r) => [
+  r.persona.name,
+  r.startedAt && `started ${stamp(r.startedAt)}`,
+  `scored by ${r.scoredBy}`
+].filter(Boolean).join(' · ');
+
+const timingOf = (q) => (q.skipped ? 'skipped' : `${seconds(q.ms)} of ${q.timeLimitSec}s${q.overtime ? ' (over the limit)' : ''}`);
+
+export function toMarkdown(r) {
+  const lines = [
+    `# ${r.interview.title}: ${r.persona.name}`,
+    '',
+    `_${subtitleOf(r)}_`,
+    '',
+    `**Overall: ${r.overall} / ${r.scale}** · ${r.totals.answered} answered, ${r.totals.skipped} skipped, ${r.totals.overtime} over time`,
+    ''
+  ];
+  if (r.summary) lines.push(r.summary, '');
+  lines.push('| Criterion | Weight | Score | Comment |', '| --- | --- | --- | --- |');
+  for (const c of r.criteria) lines.push(`| ${c.label} | ${c.weight} | ${c.score} | ${c.comment.replace(/\|/g, '\\|')} |`);
+  lines.push('', '## Answers', '');
+  r.questions.forEach((q, i) => {
+    lines.push(`### ${i + 1}. ${q.text}`, '');
+    lines.push(q.answer ?? '_No answer._', '');
+    const meta = [timingOf(q), q.confidence && `confidence: ${q.confidence}`, q.sources.length && `sources: ${q.sources.join(', ')}`].filter(Boolean);
+    lines.push(`<sub>${meta.join(' · ')}</sub>`, '');
+    if (q.score != null) lines.push(`**Score: ${q.score} / ${r.scale}**${q.comment ? ` — ${q.comment}` : ''}`, '');
+  });
+  return lines.join('\n');
+}
+
+const escapeHtml = (s = '') => String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+export function toHTML(r) {
+  const criteria = r.criteria.map(c => `<tr><td>${escapeHtml(c.label)}</td><td>${c.weight}</td><td class="score">${c.score}</td><td>${escapeHtml(c.comment)}</td></tr>`).join('\n');
+  const questions = r.questions.map((q, i) => {
+    const meta = [timingOf(q), q.confidence && `confidence: ${q.confidence}`, q.sources.length && `sources: ${q.sources.join(', ')}`].filter(Boolean).join(' · ');
+    return `<div class="question${q.overtime ? ' overtime' : ''}">
+  <h3>${i + 1}. ${escapeHtml(q.text)}</h3>
+  <p class="answer">${q.answer == null ? '<em>No answer.</em>' : escapeHtml(q.answer)}</p>
+  <div class="meta">${escapeHtml(meta)}</div>
+  ${q.score != null ? `<div class="verdict"><strong>${q.score} / ${r.scale}</strong>${q.comment ? ` — ${escapeHtml(q.comment)}` : ''}</div>` : ''}
+</div>`;
+  }).join('\n');
+  const title = `${r.interview.title}: ${r.persona.name}`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 15px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2328; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h3 { font-size: 1rem; margin: 0 0 0.25rem; }
+  .subtitle, .meta { color: #656d76; font-size: 0.85rem; }
+  .overall { font-size: 1.25rem; margin: 1rem 0 0.5rem; }
+  table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+  th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+  td.score { font-weight: 600; }
+  .question { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 8px; background: #f6f8fa; break-inside: avoid; }
+  .question.overtime { border-left: 4px solid #d4a72c; }
+  .answer { white-space: pre-wrap; margin: 0.25rem 0; }
+  .verdict { margin-top: 0.25rem; }
+  @page { margin: 18mm; }
+  @media print { body { margin: 0; max-width: none; } .question { border: 1px solid #d0d7de; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="subtitle">${escapeHtml(subtitleOf(r))}</div>
+<div class="overall"><strong>Overall: ${r.overall} / ${r.scale}</strong></div>
+<div class="meta">${r.totals.answered} answered · ${r.totals.skipped} skipped · ${r.totals.overtime} over time · ${seconds(r.totals.totalMs)} in total</div>
+${r.summary ? `<p>${escapeHtml(r.summary)}</p>` : ''}
+<table>
+<thead><tr><th>Criterion</th><th>Weight</th><th>Score</th><th>Comment</th></tr></thead>
+<tbody>
+${criteria}
+</tbody>
+</table>
+<h2>Answers</h2>
+${questions}
+</body>
+</html>
+`;
+}
+
+export function renderReport(r, format) {
+  if (format === 'md') return toMarkdown(r);
+  if (format === 'html') return toHTML(r);
+  return `${JSON.stringify(r, null, 2)}\n`;
+}
@@ -0,0 +1,93 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Interviewer configs for the structured interview mode, one file per
+ * interview in interviews/<id>.json:
+ *   title, description  shown in the UI and on the report
+ *   timeLimitSec        default time allowed per answer (default 60)
+ *   questions           [{ id, text, timeLimitSec? }], asked in this order
+ *   rubric              [{ id, label, description, weight? }] criteria the
+ *                       answers are scored on (lib/rubric.js); weight defaults to 1
+ *   persona             optional — only offered with this persona
+ * Configs are read once per process; an invalid one is skipped with a warning.
+ */
+
+export const INTERVIEWS_DIR = path.join(process.cwd(), 'interviews');
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const DEFAULT_TIME_LIMIT_SEC = 60;
+const MAX_TIME_LIMIT_SEC = 600;
+
+export class InterviewNotFoundError extends Error {
+  constructor(id) {
+    super(`Unknown interview "${id}"`);
+    this.name = 'InterviewNotFoundError';
+  }
+}
+
+const timeLimit = (value, fallback) => {
+  const n = Number(value);
+  return n > 0 ? Math.min(MAX_TIME_LIMIT_SEC, Math.round(n)) : fallback;
+};
+
+// Checks the shape and fills in defaults; throws with what is wrong
+export function parseInterview(id, config) {
+  if (!config || typeof config !== 'object') throw new Error('config must be an object');
+  const defaultLimit = timeLimit(config.timeLimitSec, DEFAULT_TIME_LIMIT_SEC);
+  const questions = (Array.isArray(config.questions) ? config.questions : [])
+    .filter(q => q && typeof q.text === 'string' && q.text.trim())
+    .map((q, i) => ({ id: String(q.id || `q${i + 1}`), text: q.text.trim(), timeLimitSec: timeLimit(q.timeLimitSec, defaultLimit) }));
+  if (!questions.length) throw new Error('questions must list at least one { id, text }');
+  if (new Set(questions.map(q => q.id)).size !== questions.length) throw new Error('question ids must be unique');
+  const rubric = (Array.isArray(config.rubric) ? config.rubric : [])
+    .filter(c => c && c.id && c.label)
+    .map(c => ({ id: String(c.id), label: String(c.label), description: String(c.description || ''), weight: Number(c.weight) > 0 ? Number(c.weight) : 1 }));
+  if (!rubric.length) throw new Error('rubric must list at least one { id, label }');
+  return {
+    id,
+    title: config.title || id,
+    description: config.description || '',
+    persona: config.persona || null,
+    timeLimitSec: defaultLimit,
+    questions,
+    rubric
+  };
+}
+
+const CACHE = new Map();
+export async function loadInterview(id) {
+  if (!ID_RE.test(String(id))) throw new InterviewNotFoundError(id);
+  if (CACHE.has(id)) return CACHE.get(id);
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(path.join(INTERVIEWS_DIR, `${id}.json`), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new InterviewNotFoundError(id);
+    throw err;
+  }
+  const interview = parseInterview(id, config);
+  CACHE.set(id, interview);
+  return interview;
+}
+
+// Interviews for a persona: the ones tied to it plus the ones for any persona
+export async function listInterviews({ persona } = {}) {
+  let names = [];
+  try {
+    names = (await fs.readdir(INTERVIEWS_DIR)).filter(n => n.endsWith('.json')).sort();
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Interviews unreadable:', err?.message);
+  }
+  const interviews = [];
+  for (const name of names) {
+    const id = name.slice(0, -5);
+    if (!ID_RE.test(id)) continue;
+    try {
+      const interview = await loadInterview(id);
+      if (!persona || !interview.persona || interview.persona === persona) interviews.push(interview);
+    } catch (err) {
+      console.warn(`Skipping interview ${id}:`, err?.message);
+    }
+  }
+  return interviews;
+}
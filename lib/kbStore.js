@@ -0,0 +1,88 @@
+import { promises as fs } from 'fs';
+import { createEmbedder } from './embeddings.js';
+import { kbPath, invalidateKB } from './personas.js';
+
+/**
+ * Local file store for persona KBs (personas/<id>/kb_vectors.json).
+ * Writes are serialized per persona, written atomically (tmp + rename), and
+ * invalidate the chat handler's KB cache. If the KB is already indexed,
+ * changed entries are re-embedded with the same embedder.
+ * Note: serverless deployments have a read-only filesystem — edit locally or
+ * on the self-hosted server, then commit/redeploy.
+ */
+
+export const MAX_TEXT_CHARS = 2000;
+const ID_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+export class KBValidationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'KBValidationError';
+    this.status = status;
+  }
+}
+
+// One entry per line, same layout as the hand-written file
+export function serializeKB(kb) {
+  return `[\n${kb.map(k => `  ${JSON.stringify(k)}`).join(',\n')}\n]\n`;
+}
+
+export function validateEntry({ id, text } = {}) {
+  if (typeof id !== 'string' || !ID_RE.test(id)) {
+    throw new KBValidationError('id is required: 1-64 letters, digits, "_", "." or "-"');
+  }
+  if (typeof text !== 'string' || !text.trim()) throw new KBValidationError('text is required');
+  if (text.length > MAX_TEXT_CHARS) throw new KBValidationError(`text must be at most ${MAX_TEXT_CHARS} characters`);
+}
+
+export async function readKBFile(personaId) {
+  try {
+    return JSON.parse(await fs.readFile(kbPath(personaId), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+async function writeKBFile(personaId, kb) {
+  const file = kbPath(personaId);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, serializeKB(kb));
+  await fs.rename(tmp, file);
+}
+
+// Give changed entries a fresh vector from the embedder the KB already uses
+async function reembed(kb, changed) {
+  const indexed = kb.find(k => Array.isArray(k.vector) && k.embedder && !changed.includes(k));
+  for (const k of changed) { delete k.vector; delete k.embedder; }
+  if (!indexed || !changed.length) return;
+  try {
+    const embedder = createEmbedder(indexed.embedder);
+    const vectors = await embedder.embed(changed.map(k => k.text));
+    changed.forEach((k, i) => { k.vector = vectors[i]; k.embedder = embedder.name; });
+  } catch (err) {
+    // left without a vector: local embedders fill it at query time, remote ones on the next embed:kb run
+    console.warn('KB re-embed failed:', err?.message);
+  }
+}
+
+const LOCKS = new Map();
+
+/**
+ * Read-modify-write a persona KB. `fn(kb)` mutates the array in place and
+ * returns { result, changed } where changed lists entries whose text changed.
+ */
+export function mutateKB(personaId, fn) {
+  const run = async () => {
+    const kb = await readKBFile(personaId);
+    const { result, changed = [] } = await fn(kb);
+    await reembed(kb, changed);
+    await writeKBFile(personaId, kb);
+    invalidateKB(personaId);
+    return result;
+  };
+  const prev = LOCKS.get(personaId) || Promise.resolve();
+  const next = prev.then(run, run);
+  LOCKS.set(personaId, next.catch(() => {}));
+  return next;
+}
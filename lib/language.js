@@ -0,0 +1,68 @@
+/**
+ * Conversation languages. Shared by the API (chat prompt, TTS, STT) and the
+ * client (recognition locale, UI strings), so keep it dependency-free.
+ *
+ * A language is picked explicitly or left on "auto": then each question's
+ * language is detected from its script (Devanagari -> Hindi, Kannada script ->
+ * Kannada), with a few common romanized Hindi words counting as Hindi too.
+ * Everything else is English.
+ */
+
+export const LANGUAGES = {
+  en: { code: 'en', name: 'English', label: 'English', locale: 'en-US' },
+  hi: { code: 'hi', name: 'Hindi', label: 'हिन्दी', locale: 'hi-IN', script: 'Devanagari' },
+  kn: { code: 'kn', name: 'Kannada', label: 'ಕನ್ನಡ', locale: 'kn-IN', script: 'Kannada' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+export const AUTO = 'auto';
+
+const SCRIPTS = [
+  { code: 'hi', re: /[\u0900-\u097F]/g },
+  { code: 'kn', re: /[\u0C80-\u0CFF]/g }
+];
+const LATIN_RE = /[A-Za-z]/g;
+const ROMAN_HINDI = new Set(['hai', 'hain', 'kya', 'kyun', 'kyon', 'nahi', 'nahin', 'aap', 'aapka', 'aapki', 'aapke', 'kaise', 'kaun', 'kahan', 'mujhe', 'mera', 'meri', 'tum', 'tumhara', 'batao', 'bataiye', 'kuch', 'accha', 'achha', 'haan', 'bhi', 'karte', 'karti']);
+
+export function isLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+// "hi-IN", "HI", "hindi" (Whisper's verbose output) -> "hi"; null if unsupported
+export function languageOf(tag) {
+  if (!tag || typeof tag !== 'string') return null;
+  const lower = tag.toLowerCase();
+  const base = lower.split(/[-_]/)[0];
+  if (isLanguage(base)) return base;
+  return Object.values(LANGUAGES).find(l => l.name.toLowerCase() === lower)?.code || null;
+}
+
+/**
+ * Best guess at the language of `text`; `fallback` when there is nothing to go
+ * on (empty text, digits and punctuation only).
+ */
+export function detectLanguage(text, fallback = DEFAULT_LANGUAGE) {
+  const src = String(text || '');
+  const latin = (src.match(LATIN_RE) || []).length;
+  let best = null;
+  let bestCount = 0;
+  for (const { code, re } of SCRIPTS) {
+    const count = (src.match(re) || []).length;
+    if (count > bestCount) { best = code; bestCount = count; }
+  }
+  // a Hindi sentence with English project names in it is still Hindi
+  if (best && bestCount >= latin / 2) return best;
+  if (!latin) return best || fallback;
+  const words = src.toLowerCase().match(/[a-z]+/g) || [];
+  const hindiWords = words.filter(w => ROMAN_HINDI.has(w)).length;
+  return hindiWords >= 2 && hindiWords / words.length >= 0.2 ? 'hi' : DEFAULT_LANGUAGE;
+}
+
+/**
+ * The language to answer in: an explicit choice wins, "auto" (or nothing)
+ * detects it from the text. Returns null for an unsupported choice.
+ */
+export function resolveLanguage(requested, text, fallback = DEFAULT_LANGUAGE) {
+  if (requested == null || requested === '' || requested === AUTO) return detectLanguage(text, fallback);
+  return languageOf(requested);
+}
@@ -0,0 +1,7 @@
+// Thrown when a provider is selected but not configured — the handler maps it to a 500
+export class ProviderConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderConfigError';
+  }
+}
@@ -0,0 +1,64 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { ProviderConfigError } from './errors.js';
+
+/**
+ * Gemini adapter.
+ * Env:
+ *   GEMINI_API_KEY required
+ *   GEMINI_MODEL optional (default "gemini-2.5-flash")
+ */
+
+// Gemini wants alternating user/model turns starting with user
+function toGeminiContents(history = []) {
+  const contents = [];
+  for (const turn of history) {
+    const role = turn.role === 'assistant' ? 'model' : 'user';
+    if (!contents.length && role !== 'user') continue;
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts[0].text += `\n${turn.content}`;
+    } else {
+      contents.push({ role, parts: [{ text: turn.content }] });
+    }
+  }
+  return contents;
+}
+
+export function createGeminiProvider() {
+  const GEMINI_KEY = process.env.GEMINI_API_KEY;
+  const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+  if (!GEMINI_KEY) throw new ProviderConfigError('Server not configured: set GEMINI_API_KEY.');
+
+  const genAI = new GoogleGenerativeAI(GEMINI_KEY);
+
+  const buildRequest = ({ system, history = [], prompt, options = {} }) => ({
+    model: genAI.getGenerativeModel({ model: GEMINI_MODEL, systemInstruction: system }),
+    body: {
+      contents: toGeminiContents([...history, { role: 'user', content: prompt }]),
+      generationConfig: {
+        temperature: options.temperature ?? 0.3,
+        maxOutputTokens: options.maxOutputTokens ?? 250,
+        ...(options.json ? { responseMimeType: "application/json" } : {})
+      }
+    }
+  });
+
+  return {
+    name: 'gemini',
+    async generate(request) {
+      const { model, body } = buildRequest(request);
+      const result = await model.generateContent(body);
+      const response = result?.response;
+      const candidates = response?.candidates || [];
+      if (candidates.length && candidates[0]?.content?.parts?.length) {
+        return candidates[0].content.parts.map(p => p.text || '').join('\n');
+      }
+      return response?.text?.() || '';
+    },
+    async *stream(request) {
+      const { model, body } = buildRequest(request);
+      const result = await model.generateContentStream(body);
+      for await (const chunk of result.stream) yield chunk.text();
+    }
+  };
+}
@@ -0,0 +1,43 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { createRecordedProvider } from './recorded.js';
+import { ProviderConfigError } from './errors.js';
+
+/**
+ * LLM provider registry.
+ * Env:
+ *   LLM_PROVIDER optional — "gemini" (default) | "openai" | "mock" | "recorded" (evals)
+ *
+ * Every provider implements:
+ *   generate(request) -> Promise<string>   raw model text (expected to be the JSON contract)
+ *   stream(request)   -> AsyncIterable<string> raw text chunks
+ * where request = { system, history, prompt, question, matches, options }
+ *   history  [{ role: 'user'|'assistant', content }]
+ *   matches  retrieved KB entries, best first ({ id, text, score })
+ *   options  { temperature, maxOutputTokens, json }
+ * The handler turns the raw text into { answer, confidence, sources }.
+ */
+
+export { ProviderConfigError };
+
+const FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+  // replays saved outputs, or records them from LLM_RECORD_FROM
+  recorded: () => createRecordedProvider({
+    liveProvider: process.env.LLM_RECORD_FROM && process.env.LLM_RECORD_FROM !== 'recorded' ? getProvider(process.env.LLM_RECORD_FROM) : null
+  })
+};
+
+// The configured provider's name, without building it (no key needed): cache keys use it
+export function providerName() {
+  return (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+}
+
+export function getProvider(name = providerName()) {
+  const factory = FACTORIES[name.toLowerCase()];
+  if (!factory) throw new ProviderConfigError(`Unknown LLM_PROVIDER "${name}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+  return factory();
+}
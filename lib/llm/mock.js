@@ -0,0 +1,40 @@
+/**
+ * Deterministic offline provider: answers straight from the retrieved KB
+ * chunks in the same JSON shape the real models return, or declines with
+ * low confidence when nothing retrieved scores well. Handy for local runs
+ * without keys and for repeatable checks of the retrieval and refusal paths.
+ */
+
+const MAX_WORDS = 80;
+// below this retrieval score the best chunk is only loosely related: decline, like a model would
+const MIN_SCORE = 0.2;
+const NO_MATCH = "I don't have that in my notes yet. Ask me about my projects, skills or where I want to grow!";
+
+function limitWords(text, max = MAX_WORDS) {
+  const words = text.split(/\s+/);
+  return words.length > max ? `${words.slice(0, max).join(' ')}…` : text;
+}
+
+export function createMockProvider() {
+  const respond = ({ matches = [] }) => {
+    const [top, second] = matches;
+    if (!top || top.score < MIN_SCORE) return JSON.stringify({ answer: NO_MATCH, confidence: 'low', sources: [] });
+    // best chunk, plus the runner-up when it scores close enough to be on topic
+    const used = second && second.score >= top.score * 0.8 ? [top, second] : [top];
+    const answer = limitWords(used.map(m => m.text).join(' '));
+    const confidence = top.score >= 0.5 ? 'high' : 'medium';
+    return JSON.stringify({ answer, confidence, sources: used.map(m => m.id) });
+  };
+
+  return {
+    name: 'mock',
+    async generate(request) {
+      return respond(request);
+    },
+    async *stream(request) {
+      const text = respond(request);
+      // emit in small slices so the streaming path gets exercised like a real model
+      for (let i = 0; i < text.length; i += 12) yield text.slice(i, i + 12);
+    }
+  };
+}
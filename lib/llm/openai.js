@@ -0,0 +1,76 @@
+/**
+ * OpenAI-compatible chat completions adapter — works with llama.cpp server,
+ * Ollama (/v1), vLLM, LM Studio or OpenAI itself.
+ * Env:
+ *   LLM_BASE_URL optional (default "http://localhost:11434/v1")
+ *   LLM_MODEL optional (default "llama3.1")
+ *   LLM_API_KEY optional — sent as a Bearer token when set
+ *   LLM_TIMEOUT_MS optional (default 30000)
+ */
+
+function toMessages({ system, history = [], prompt }) {
+  return [
+    { role: 'system', content: system },
+    ...history.map(t => ({ role: t.role, content: t.content })),
+    { role: 'user', content: prompt }
+  ];
+}
+
+export function createOpenAIProvider() {
+  const baseUrl = (process.env.LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const model = process.env.LLM_MODEL || 'llama3.1';
+  const apiKey = process.env.LLM_API_KEY;
+  const timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || 30000;
+
+  const post = async (request, stream) => {
+    const { options = {} } = request;
+    const resp = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        messages: toMessages(request),
+        temperature: options.temperature ?? 0.3,
+        max_tokens: options.maxOutputTokens ?? 250,
+        stream,
+        ...(options.json ? { response_format: { type: 'json_object' } } : {})
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!resp.ok) {
+      const body = await resp.text().catch(() => '<no body>');
+      throw new Error(`LLM endpoint ${resp.status}: ${body.slice(0, 300)}`);
+    }
+    return resp;
+  };
+
+  return {
+    name: 'openai',
+    async generate(request) {
+      const resp = await post(request, false);
+      const json = await resp.json();
+      return json?.choices?.[0]?.message?.content || '';
+    },
+    async *stream(request) {
+      const resp = await post(request, true);
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const bytes of resp.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        let nl;
+        while ((nl = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, nl).trim();
+          buffer = buffer.slice(nl + 1);
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+          const delta = JSON.parse(data)?.choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,66 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { ProviderConfigError } from './errors.js';
+import { normalizeQuestion } from '../retrieval.js';
+
+/**
+ * Record/replay provider for evals (scripts/eval.js). Replays raw model output
+ * saved in LLM_RECORDINGS, keyed by the normalized question (and prior turns).
+ * With LLM_RECORD_FROM=<provider> it calls that provider instead and saves
+ * what it returns, so a live run can be frozen and replayed offline.
+ * Env:
+ *   LLM_RECORDINGS   required — JSON file { key: rawModelOutput }
+ *   LLM_RECORD_FROM  optional — "gemini" | "openai" | "mock" to record from
+ */
+
+export function recordingKey({ question = '', history = [] }) {
+  const turns = history.map(t => `${t.role}: ${normalizeQuestion(t.content)}`);
+  return [...turns, normalizeQuestion(question)].join(' | ');
+}
+
+function readRecordings(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+export function createRecordedProvider({ liveProvider } = {}) {
+  const file = process.env.LLM_RECORDINGS;
+  if (!file) throw new ProviderConfigError('LLM_RECORDINGS not set');
+  const recordings = readRecordings(file);
+
+  const save = (key, text) => {
+    recordings[key] = text;
+    writeFileSync(file, `${JSON.stringify(recordings, null, 2)}\n`);
+  };
+  const replay = (request) => {
+    const key = recordingKey(request);
+    if (!(key in recordings)) throw new Error(`No recording for "${key}"`);
+    return recordings[key];
+  };
+
+  return {
+    name: 'recorded',
+    async generate(request) {
+      if (!liveProvider) return replay(request);
+      const text = await liveProvider.generate(request);
+      save(recordingKey(request), text);
+      return text;
+    },
+    async *stream(request) {
+      if (!liveProvider) {
+        const text = replay(request);
+        for (let i = 0; i < text.length; i += 12) yield text.slice(i, i + 12);
+        return;
+      }
+      let text = '';
+      for await (const piece of liveProvider.stream(request)) {
+        text += piece;
+        yield piece;
+      }
+      save(recordingKey(request), text);
+    }
+  };
+}
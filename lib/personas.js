@@ -0,0 +1,148 @@
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * Personas (digital twins) live in personas/<id>/:
+ *   persona.json     name, title/subtitle, voices per TTS provider, anchor KB IDs,
+ *                    refusal line for unsupported answers, quick prompts and
+ *                    demo answers for the UI
+ *   prompt.md        system prompt template; {{name}} is filled from persona.json
+ *   kb_vectors.json  knowledge base entries ({ id, text, vector?, embedder? })
+ *   intents.json     canned intents as data: { id, examples, kb } answers with that
+ *                    KB entry, { id, examples, answer, confidence? } answers directly
+ *                    ({{name}} filled in); optional threshold — see lib/intents.js
+ *   lexicon.json     optional pronunciations for TTS: { "RAG": "rag", "Nitya": { say, ipa } }
+ *                    — see lib/speechText.js
+ * Env:
+ *   DEFAULT_PERSONA optional (default "nitya")
+ */
+
+export const PERSONAS_DIR = path.join(process.cwd(), 'personas');
+export const DEFAULT_PERSONA = process.env.DEFAULT_PERSONA || 'nitya';
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+export class PersonaNotFoundError extends Error {
+  constructor(id) {
+    super(`Unknown persona "${id}"`);
+    this.name = 'PersonaNotFoundError';
+  }
+}
+
+async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (fallback !== undefined && err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (key in vars ? String(vars[key]) : m));
+}
+
+export function kbPath(id) {
+  return path.join(PERSONAS_DIR, id, 'kb_vectors.json');
+}
+
+const PERSONA_CACHE = new Map();
+export async function loadPersona(id = DEFAULT_PERSONA) {
+  if (!ID_RE.test(String(id))) throw new PersonaNotFoundError(id);
+  if (PERSONA_CACHE.has(id)) return PERSONA_CACHE.get(id);
+
+  const dir = path.join(PERSONAS_DIR, id);
+  let config;
+  try {
+    config = await readJSON(path.join(dir, 'persona.json'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new PersonaNotFoundError(id);
+    throw err;
+  }
+  const template = await fs.readFile(path.join(dir, 'prompt.md'), 'utf8');
+  const vars = { name: config.name || id };
+  const intents = (await readJSON(path.join(dir, 'intents.json'), []))
+    .filter(i => i && i.id && Array.isArray(i.examples) && (i.kb || i.answer))
+    .map(i => (i.answer ? { ...i, answer: renderTemplate(i.answer, vars) } : i));
+  const lexicon = await readJSON(path.join(dir, 'lexicon.json'), {});
+
+  const persona = {
+    id,
+    name: config.name || id,
+    title: config.title || `${config.name || id} — Voice Assistant`,
+    subtitle: config.subtitle || '',
+    voices: config.voices || {},
+    anchors: config.anchors || [],
+    quickPrompts: config.quickPrompts || [],
+    demoAnswers: config.demoAnswers || {},
+    refusal: config.refusal || '',
+    systemPrompt: renderTemplate(template, vars),
+    intents,
+    lexicon
+  };
+  PERSONA_CACHE.set(id, persona);
+  return persona;
+}
+
+// What the browser gets — no prompt or KB; intents are included for the offline demo
+// mode and the lexicon for the browser voice
+export function publicPersona(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    title: p.title,
+    subtitle: p.subtitle,
+    quickPrompts: p.quickPrompts,
+    demoAnswers: p.demoAnswers,
+    intents: p.intents.map(({ id, examples, answer, confidence, threshold }) => ({ id, examples, answer, confidence, threshold })),
+    lexicon: p.lexicon
+  };
+}
+
+export async function listPersonas() {
+  let entries = [];
+  try {
+    entries = await fs.readdir(PERSONAS_DIR, { withFileTypes: true });
+  } catch (err) {
+    console.warn('No personas directory:', err?.message);
+  }
+  const ids = entries.filter(e => e.isDirectory() && ID_RE.test(e.name)).map(e => e.name).sort();
+  const personas = [];
+  for (const id of ids) {
+    try {
+      personas.push(await loadPersona(id));
+    } catch (err) {
+      console.warn(`Skipping persona ${id}:`, err?.message);
+    }
+  }
+  return personas;
+}
+
+// KB per persona, cached; a missing file just means an empty KB
+const KB_CACHE = new Map();
+export async function loadKB(id = DEFAULT_PERSONA) {
+  if (KB_CACHE.has(id)) return KB_CACHE.get(id);
+  let kb = [];
+  try {
+    kb = await readJSON(kbPath(id));
+  } catch (err) {
+    console.warn(`KB load failed for persona ${id}:`, err?.message);
+  }
+  KB_CACHE.set(id, kb);
+  return kb;
+}
+
+// Short content hash of a KB; caches keyed on it miss after any edit
+const KB_VERSIONS = new WeakMap();
+export function kbVersion(kb) {
+  if (!KB_VERSIONS.has(kb)) {
+    const content = JSON.stringify(kb.map(k => [k.id, k.text]));
+    KB_VERSIONS.set(kb, crypto.createHash('sha1').update(content).digest('hex').slice(0, 12));
+  }
+  return KB_VERSIONS.get(kb);
+}
+
+// Drop the cached KB so the next request re-reads the file (after admin edits)
+export function invalidateKB(id) {
+  KB_CACHE.delete(id);
+}
@@ -0,0 +1,97 @@
+import { sessionIdOf } from './auth.js';
+
+/**
+ * Token-bucket rate limits per client IP and per session, kept in memory.
+ * Each scope has its own buckets; a request spends one token from both its IP
+ * bucket and (when it has one) its session bucket, and buckets refill evenly
+ * over a minute. On Vercel every warm instance keeps its own buckets, so the
+ * limits are best effort there; the self-hosted server (server.js) shares one set.
+ * Env:
+ *   RATE_LIMIT          optional — "off" disables it; any limit below set to 0 turns just that one off
+ *   CHAT_RATE_IP        optional chat requests per minute per IP (default 30)
+ *   CHAT_RATE_SESSION   optional chat requests per minute per session (default 12)
+ *   TTS_RATE_IP         optional TTS requests per minute per IP (default 120)
+ *   TTS_RATE_SESSION    optional TTS requests per minute per session (default 60)
+ *   STT_RATE_IP         optional transcriptions per minute per IP (default 30)
+ *   STT_RATE_SESSION    optional transcriptions per minute per session (default 15)
+ *   SESSION_RATE_IP     optional new sessions per minute per IP (default 10)
+ *   EXPORT_RATE_IP      optional transcript exports per minute per IP (default 20)
+ *   EXPORT_RATE_SESSION optional transcript exports per minute per session (default 10)
+ *   INTERVIEW_RATE_IP   optional interview scorings per minute per IP (default 10)
+ *   INTERVIEW_RATE_SESSION optional interview scorings per minute per session (default 4)
+ *   TRUST_PROXY         optional — "1" trusts X-Forwarded-For (always on for Vercel)
+ */
+
+const DEFAULT_LIMITS = {
+  chat: { ip: 30, session: 12 },
+  tts: { ip: 120, session: 60 },
+  stt: { ip: 30, session: 15 },
+  session: { ip: 10, session: 0 },
+  export: { ip: 20, session: 10 },
+  interview: { ip: 10, session: 4 }
+};
+const MAX_BUCKETS = 10000;
+
+// Unset or non-numeric settings keep the default; 0 is kept and means no limit
+function limitsFor(scope) {
+  const defaults = DEFAULT_LIMITS[scope] || DEFAULT_LIMITS.chat;
+  const env = (kind) => {
+    const raw = process.env[`${scope.toUpperCase()}_RATE_${kind.toUpperCase()}`];
+    const value = raw?.trim() ? Number(raw) : NaN;
+    return Number.isFinite(value) && value >= 0 ? value : defaults[kind];
+  };
+  return { ip: env('ip'), session: env('session') };
+}
+
+export function clientIp(req) {
+  const trustProxy = process.env.VERCEL || process.env.TRUST_PROXY === '1';
+  const forwarded = trustProxy && String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.socket?.remoteAddress || 'unknown';
+}
+
+const buckets = new Map();
+
+// Full buckets carry no state worth keeping; drop them when the map grows
+function prune(now) {
+  for (const [key, b] of buckets) {
+    if (b.tokens + ((now - b.updated) / 60000) * b.perMinute >= b.perMinute) buckets.delete(key);
+  }
+}
+
+// Spend one token; returns 0 when allowed, otherwise seconds until one is available
+function take(key, perMinute, now) {
+  if (!perMinute) return 0;
+  let b = buckets.get(key);
+  if (!b) {
+    if (buckets.size >= MAX_BUCKETS) prune(now);
+    b = { tokens: perMinute, updated: now, perMinute };
+    buckets.set(key, b);
+  }
+  b.tokens = Math.min(perMinute, b.tokens + ((now - b.updated) / 60000) * perMinute);
+  b.updated = now;
+  if (b.tokens < 1) return Math.ceil(((1 - b.tokens) * 60) / perMinute);
+  b.tokens -= 1;
+  return 0;
+}
+
+/**
+ * Returns true when the request is within its limits; otherwise sends 429
+ * with Retry-After and returns false: `if (!rateLimit(req, res, 'chat')) return;`
+ */
+export function rateLimit(req, res, scope) {
+  if (process.env.RATE_LIMIT === 'off') return true;
+  const limits = limitsFor(scope);
+  const now = Date.now();
+  const sessionId = sessionIdOf(req);
+  const wait = take(`${scope}:ip:${clientIp(req)}`, limits.ip, now)
+    || (sessionId ? take(`${scope}:session:${sessionId}`, limits.session, now) : 0);
+  if (!wait) return true;
+
+  res.setHeader('Retry-After', String(wait));
+  res.status(429).json({
+    error: `Too many requests. Please wait ${wait} second${wait === 1 ? '' : 's'} and try again.`,
+    code: 'rate_limited',
+    retryAfter: wait
+  });
+  return false;
+}
@@ -0,0 +1,263 @@
+import { WebSocketServer } from 'ws';
+import chatHandler from '../api/chat.js';
+import ttsHandler from '../api/tts.js';
+import sttHandler from '../api/stt.js';
+import { createSentenceBuffer } from './sentences.js';
+
+/**
+ * Realtime voice channel for the self-hosted server (server.js): one WebSocket
+ * per browser at /api/realtime carries a whole turn (the question, the answer
+ * tokens and the answer's audio) instead of a chain of HTTP requests. Vercel
+ * has no WebSockets; the client falls back to /api/chat and /api/tts there.
+ *
+ * Browsers can't set headers on a WebSocket, so every ask and transcribe
+ * message carries the session itself (session = X-Session-Id, token =
+ * X-Session-Token) and a token renewed mid-connection applies from the next
+ * message on. Other clients may send X-Api-Key on the upgrade request instead;
+ * credentials never go in the URL, where proxies and access logs would keep
+ * them. Each turn runs the same handlers as HTTP (api/chat.js, api/tts.js,
+ * api/stt.js) in-process, so auth, rate limits, budgets, caching, grounding
+ * and the stored conversation all apply as usual.
+ *
+ * Client -> server (JSON text frames):
+ *   { type: "ask", id, session?, token?, text, history?, persona?, language?, speak?, voice?, speechLanguage? }
+ *       answer a question; with speak: true each sentence is synthesized as
+ *       soon as it has streamed in (speechLanguage picks the voice, default language)
+ *   { type: "transcribe", id, session?, token?, contentType, lang?, persona? } followed by one binary frame
+ *       with the recorded clip
+ *   { type: "cancel", id? }
+ *       the user interrupted: stop synthesizing that turn (every turn without
+ *       an id); its text answer still completes so the conversation stays whole
+ * Server -> client:
+ *   { type: "ready" }
+ *   { type: "token", id, text }                  answer text as it streams
+ *   { type: "audio", id, seq, text, audio, contentType, alignment }
+ *       one sentence of speech, in order (the /api/tts alignment response);
+ *       { type: "audio", id, seq, text, error, status } when it couldn't be
+ *       synthesized, so the client reads that sentence with the browser voice
+ *   { type: "done", id, ...answer }              the /api/chat `done` payload,
+ *       sent after the turn's last audio frame
+ *   { type: "transcript", id, text, language }   the /api/stt response
+ *   { type: "error", id?, status, error, code? } the request failed (status as over HTTP)
+ * Env:
+ *   CORS_ORIGINS  the same allow-list as HTTP (see server.js); otherwise only
+ *                 same-host origins may connect
+ */
+
+export const REALTIME_PATH = '/api/realtime';
+const MAX_PAYLOAD_BYTES = 10 * 1024 * 1024;
+const HEARTBEAT_MS = 30000;
+
+// Vercel-style req/res pair for calling a handler in-process; SSE writes are
+// parsed back into events for onEvent(event, data)
+function createResponse(onEvent) {
+  let buffer = '';
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    getHeader(k) { return this.headers[k.toLowerCase()]; },
+    json(payload) { this.body = payload; return this; },
+    send(payload) { this.body = payload; return this; },
+    end() { return this; },
+    write(chunk) {
+      buffer += chunk;
+      let sep;
+      while ((sep = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+        let event = 'message';
+        let data = '';
+        for (const line of raw.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (data) onEvent?.(event, JSON.parse(data));
+      }
+      return true;
+    }
+  };
+}
+
+function allowedOrigin(req, origins) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (origins.includes('*') || origins.includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+// The upgrade request's headers, with the session the message was sent under
+function messageHeaders(req, { session, token }) {
+  const headers = { ...req.headers };
+  if (typeof session === 'string') headers['x-session-id'] = session;
+  if (typeof token === 'string') headers['x-session-token'] = token;
+  return headers;
+}
+
+function createConnection(ws, req) {
+  const turns = new Map(); // id -> { speaking }
+  let pendingClip = null; // the transcribe message waiting for its binary frame
+  let nextId = 1;
+
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+  const call = async (handler, msg, { body, query = {}, headers: extra = {} }, onEvent) => {
+    const res = createResponse(onEvent);
+    await handler({ method: 'POST', headers: { ...messageHeaders(req, msg), ...extra }, query, body, socket: req.socket }, res);
+    return res;
+  };
+  const fail = (id, res) => send({ type: 'error', id, status: res.statusCode, error: res.body?.error || 'Error', code: res.body?.code });
+
+  const synthesize = async (text, msg) => {
+    const res = await call(ttsHandler, msg, {
+      body: { text, voice: msg.voice, persona: msg.persona, language: msg.speechLanguage || msg.language, alignment: true }
+    });
+    return res.statusCode === 200 ? res.body : { error: res.body?.error || 'Error', status: res.statusCode };
+  };
+
+  // Sentences are synthesized as they complete, in parallel, and sent in order
+  async function ask(msg) {
+    const id = msg.id ?? nextId++;
+    const turn = { speaking: msg.speak === true };
+    turns.set(id, turn);
+    const sentences = createSentenceBuffer();
+    let seq = 0;
+    let audio = Promise.resolve();
+    let streamed = '';
+    let final = null;
+    let streamError = null;
+    const say = (text) => {
+      if (!turn.speaking) return;
+      const n = seq++;
+      const clip = synthesize(text, msg);
+      audio = audio.then(async () => {
+        const result = await clip;
+        if (turn.speaking) send({ type: 'audio', id, seq: n, text, ...result });
+      });
+    };
+    try {
+      const res = await call(chatHandler, msg, {
+        body: { text: msg.text, history: msg.history, persona: msg.persona, language: msg.language, stream: true }
+      }, (event, data) => {
+        if (event === 'token') {
+          streamed += data.text;
+          send({ type: 'token', id, text: data.text });
+          sentences.push(data.text).forEach(say);
+        } else if (event === 'done') {
+          final = data;
+        } else if (event === 'error') {
+          streamError = data.error;
+        }
+      });
+      if (res.statusCode !== 200) return fail(id, res);
+      if (!final) return send({ type: 'error', id, status: 502, error: streamError || 'Stream ended without an answer' });
+      // a replaced answer (grounding check) is re-spoken by the client from its final text
+      if (final.answer?.trim() === streamed.trim()) sentences.flush().forEach(say);
+      else turn.speaking = false;
+      await audio;
+      send({ type: 'done', id, ...final });
+    } finally {
+      turns.delete(id);
+    }
+  }
+
+  async function transcribe(msg, clip) {
+    const res = await call(sttHandler, msg, {
+      body: clip,
+      query: { lang: msg.lang || undefined, persona: msg.persona || undefined },
+      headers: { 'content-type': msg.contentType || 'application/octet-stream' }
+    });
+    if (res.statusCode !== 200) return fail(msg.id, res);
+    send({ type: 'transcript', id: msg.id, text: res.body.text, language: res.body.language });
+  }
+
+  const cancel = ({ id } = {}) => {
+    for (const [turnId, turn] of turns) {
+      if (id == null || turnId === id) turn.speaking = false;
+    }
+  };
+
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) {
+      const msg = pendingClip;
+      pendingClip = null;
+      if (!msg) return send({ type: 'error', status: 400, error: 'Audio frame without a transcribe message' });
+      transcribe(msg, Buffer.from(data)).catch(err => {
+        console.error('Realtime transcribe error', err);
+        send({ type: 'error', id: msg.id, status: 500, error: 'Error' });
+      });
+      return;
+    }
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      return send({ type: 'error', status: 400, error: 'Invalid JSON message' });
+    }
+    if (msg?.type === 'ask') {
+      ask(msg).catch(err => {
+        console.error('Realtime ask error', err);
+        send({ type: 'error', id: msg.id, status: 500, error: 'Error' });
+      });
+    } else if (msg?.type === 'transcribe') {
+      pendingClip = msg;
+    } else if (msg?.type === 'cancel') {
+      cancel(msg);
+    } else {
+      send({ type: 'error', id: msg?.id, status: 400, error: 'type must be one of: ask, transcribe, cancel' });
+    }
+  });
+  ws.on('close', () => cancel());
+  send({ type: 'ready' });
+}
+
+/**
+ * Serves the realtime channel on `server` (an http.Server) at REALTIME_PATH.
+ * Returns { close() } to disconnect every client on shutdown.
+ */
+export function attachRealtime(server, { origins = [] } = {}) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== REALTIME_PATH) return socket.destroy();
+    if (!allowedOrigin(req, origins)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+  });
+
+  wss.on('connection', (ws, req) => {
+    ws.alive = true;
+    ws.on('pong', () => { ws.alive = true; });
+    ws.on('error', err => console.warn('Realtime socket error:', err?.message));
+    createConnection(ws, req);
+  });
+
+  // Drop connections that stopped answering pings (sleeping laptops, dead proxies)
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.alive) ws.terminate();
+      else {
+        ws.alive = false;
+        ws.ping();
+      }
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return {
+    close() {
+      clearInterval(heartbeat);
+      for (const ws of wss.clients) ws.close(1001, 'Server shutting down');
+      wss.close();
+    }
+  };
+}
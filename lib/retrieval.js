@@ -0,0 +1,256 @@
+import { createEmbedder, normalize } from './embeddings.js';
+
+/**
+ * KB retrieval: BM25 (lexical), cosine top-k (vector) and a hybrid of both.
+ * Env:
+ *   RETRIEVAL_MODE optional — "lexical" | "vector" | "hybrid" (default "hybrid")
+ *   HYBRID_ALPHA optional (default 0.5) — weight of the vector score in hybrid mode
+ *     (0 ranks by BM25 only, 1 by cosine only)
+ *   MIN_RETRIEVAL_SCORE optional (default 0.15) — combined score a match needs to
+ *     count as context; below it the question has no matches (0 keeps every hit)
+ */
+
+const MIN_SIMILARITY = 0.1;
+const DEFAULT_MIN_SCORE = 0.15;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const VARIANT_MIN_LENGTH = 4;
+const VARIANT_WEIGHT = 0.8;
+
+// Plurals and -ing/-ed forms share a term ("tools" matches "Tooling"), as in lib/intents.js
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(ing|ed|es|s)$/, '');
+}
+
+export function tokenize(str = '') {
+  return String(str).toLowerCase().split(/\W+/).filter(t => t.length > 2).map(stem);
+}
+
+export function cosine(a = [], b = []) {
+  const n = Math.min(a.length, b.length);
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < n; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+// Index is cached per KB array so a KB reload rebuilds it automatically
+const BM25_CACHE = new WeakMap();
+function bm25Index(kb) {
+  if (BM25_CACHE.has(kb)) return BM25_CACHE.get(kb);
+  const df = new Map();
+  const docs = kb.map(item => {
+    const toks = tokenize(item.text);
+    const tf = new Map();
+    for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+    return { id: item.id, tf, len: toks.length };
+  });
+  const avgdl = docs.reduce((sum, d) => sum + d.len, 0) / (docs.length || 1);
+  const index = { docs, df, avgdl, N: docs.length, variants: new Map() };
+  BM25_CACHE.set(kb, index);
+  return index;
+}
+
+const idfOf = ({ df, N }, term) => {
+  const n = df.get(term) || 0;
+  return Math.log(1 + (N - n + 0.5) / (n + 0.5));
+};
+
+// KB terms that extend a query term or that it extends ("grow" and "growth",
+// "educational" and "education") — what the stemmer above leaves apart
+function variantsOf(index, term) {
+  if (!index.variants.has(term)) {
+    const variants = term.length < VARIANT_MIN_LENGTH ? [] : [...index.df.keys()].filter(t => t !== term
+      && t.length >= VARIANT_MIN_LENGTH && (t.startsWith(term) || term.startsWith(t)));
+    index.variants.set(term, variants);
+  }
+  return index.variants.get(term);
+}
+
+/**
+ * BM25 scores for weighted query terms (Map term -> weight).
+ * A term counts once per doc: its own match, else its best variant at VARIANT_WEIGHT.
+ * Returns Map id -> score, only for docs with a non-zero score.
+ */
+export function bm25Scores(kb, terms) {
+  const index = bm25Index(kb);
+  const { docs, avgdl } = index;
+  const termScore = (doc, term) => {
+    const f = doc.tf.get(term);
+    if (!f) return 0;
+    return idfOf(index, term) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * doc.len / avgdl));
+  };
+  const scores = new Map();
+  for (const doc of docs) {
+    let score = 0;
+    for (const [term, weight] of terms) {
+      const exact = termScore(doc, term);
+      const variant = exact ? 0 : Math.max(0, ...variantsOf(index, term).map(v => termScore(doc, v)));
+      score += weight * (exact || VARIANT_WEIGHT * variant);
+    }
+    if (score > 0) scores.set(doc.id, score);
+  }
+  return scores;
+}
+
+/**
+ * What an average-length entry mentioning every query term once would score.
+ * Lexical scores are scaled by this, so they say how much of the question an
+ * entry covers: one shared word out of five stays small even when it is the
+ * best lexical hit. Terms the KB never uses count too (at the highest idf).
+ */
+function bm25Ceiling(kb, terms) {
+  const index = bm25Index(kb);
+  let ceiling = 0;
+  for (const [term, weight] of terms) ceiling += weight * idfOf(index, term);
+  return ceiling;
+}
+
+/**
+ * Make sure every entry has a vector from the same embedder.
+ * Entries without one are only filled in for local embedders — remote ones
+ * are expected to come from `npm run embed:kb`.
+ */
+async function ensureVectors(kb) {
+  const indexed = kb.find(k => Array.isArray(k.vector) && k.embedder);
+  const embedder = createEmbedder(indexed ? indexed.embedder : undefined);
+  const missing = kb.filter(k => !Array.isArray(k.vector) || k.embedder !== embedder.name);
+  if (missing.length && embedder.local) {
+    const vectors = await embedder.embed(missing.map(k => k.text));
+    missing.forEach((k, i) => { k.vector = vectors[i]; k.embedder = embedder.name; });
+  }
+  return embedder;
+}
+
+/**
+ * Cosine scores against a query built from weighted texts ([{ text, weight }]).
+ * Returns Map id -> similarity for entries above MIN_SIMILARITY.
+ */
+export async function vectorScores(kb, queryTexts) {
+  const embedder = await ensureVectors(kb);
+  const vectors = await embedder.embed(queryTexts.map(q => q.text));
+  const dim = vectors[0]?.length || 0;
+  const query = new Array(dim).fill(0);
+  vectors.forEach((v, i) => v.forEach((x, j) => { query[j] += x * queryTexts[i].weight; }));
+  const qv = normalize(query);
+
+  const scores = new Map();
+  for (const item of kb) {
+    if (!Array.isArray(item.vector) || item.embedder !== embedder.name) continue;
+    const sim = cosine(qv, item.vector);
+    if (sim >= MIN_SIMILARITY) scores.set(item.id, sim);
+  }
+  return scores;
+}
+
+// A numeric env setting, where 0 is a real value (pure BM25, no score floor); unset or junk -> fallback
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  const value = raw?.trim() ? Number(raw) : NaN;
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Rank KB entries for a query.
+ *   terms       Map term -> weight (lexical side)
+ *   queryTexts  [{ text, weight }] (vector side)
+ * Returns [{ ...item, score }] sorted best-first, at most `k` long.
+ */
+export async function rankKB(kb, { terms, queryTexts }, k = 5, mode = process.env.RETRIEVAL_MODE || 'hybrid') {
+  const lexical = mode === 'vector' ? new Map() : bm25Scores(kb, terms);
+  let vector = new Map();
+  if (mode !== 'lexical') {
+    try {
+      vector = await vectorScores(kb, queryTexts);
+    } catch (err) {
+      // e.g. remote embedder without a key — lexical still gives usable context
+      console.warn('Vector retrieval unavailable, using lexical only:', err?.message);
+    }
+  }
+
+  const alpha = mode === 'vector' ? 1 : mode === 'lexical' ? 0 : envNumber('HYBRID_ALPHA', 0.5);
+  const minScore = envNumber('MIN_RETRIEVAL_SCORE', DEFAULT_MIN_SCORE);
+  const ceiling = bm25Ceiling(kb, terms) || 1;
+  const scored = kb
+    .filter(item => lexical.has(item.id) || vector.has(item.id))
+    .map(item => {
+      const lex = Math.min(1, (lexical.get(item.id) || 0) / ceiling);
+      const vec = vector.get(item.id) || 0;
+      return { ...item, score: alpha * vec + (1 - alpha) * lex };
+    })
+    .filter(item => item.score >= minScore);
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, k);
+}
+
+const STOPWORDS = new Set(['the', 'and', 'you', 'your', 'are', 'was', 'what', 'how', 'can', 'about', 'more', 'tell', 'that', 'this', 'with', 'for', 'did', 'does', 'who', 'why', 'when', 'where', 'which', 'have', 'has', 'there', 'them', 'they', 'its', 'those', 'these', 'one']);
+const FOLLOW_UP_RE = /\b(it|its|that|this|those|these|they|them|there|he|she|one|more|else|also|again)\b/;
+
+// "What's your superpower?" and "what is your superpower" compare equal (cache keys, analytics)
+export function normalizeQuestion(text = '') {
+  return text.toLowerCase().replace(/['’]s\b/g, ' is').replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// What gets embedded for a question: its words minus stopwords, which every
+// entry shares and which would otherwise drown the hash embedder's signal
+function contentText(text = '') {
+  const words = String(text).toLowerCase().split(/\W+/).filter(w => w.length > 2);
+  const content = words.filter(w => !STOPWORDS.has(w));
+  return (content.length ? content : words).join(' ');
+}
+
+// A question is "vague" when it leans on earlier turns: pronouns/follow-up words or almost no content words
+export function isVagueQuery(query = '') {
+  const q = query.toLowerCase();
+  const content = tokenize(q).filter(t => !STOPWORDS.has(t));
+  return FOLLOW_UP_RE.test(q) || content.length < 2;
+}
+
+/**
+ * Retrieval for one question: ranked matches plus the persona's anchor entries,
+ * formatted as a prompt CONTEXT block. Vague follow-ups borrow terms from the
+ * last few history turns.
+ * Returns { context, sources, matches } — matches are the ranked hits, best first.
+ */
+export async function buildContext(query = '', kb = [], maxChunks = 5, history = [], anchorIds = []) {
+  // Current question counts fully; earlier turns only help resolve follow-ups
+  const terms = new Map();
+  const queryTokens = tokenize(query);
+  const contentTokens = queryTokens.filter(t => !STOPWORDS.has(t));
+  // a bare "tell me more about it" has no content words; let history carry retrieval then
+  let seeds = contentTokens;
+  if (!seeds.length && !history.length) seeds = queryTokens;
+  for (const tok of seeds) terms.set(tok, 1);
+  const queryTexts = [{ text: contentText(query), weight: 1 }];
+  if (history.length && isVagueQuery(query)) {
+    const recent = history.slice(-4);
+    for (const turn of recent) {
+      const weight = turn.role === 'user' ? 0.6 : 0.4;
+      queryTexts.push({ text: contentText(turn.content), weight: weight / 2 });
+      for (const tok of tokenize(turn.content)) {
+        if (STOPWORDS.has(tok) || terms.has(tok)) continue;
+        terms.set(tok, weight);
+      }
+    }
+  }
+
+  const scored = await rankKB(kb, { terms, queryTexts }, maxChunks);
+  const anchors = kb.filter(k => anchorIds.includes(k.id));
+  const seen = new Set();
+  const merged = [...anchors, ...scored].filter(k => !seen.has(k.id) && seen.add(k.id));
+
+  const matches = scored.map(({ id, text, score }) => ({ id, text, score }));
+  if (!merged.length) return { context: '', sources: [], matches };
+
+  return {
+    context: merged.map(k => `[${k.id}] ${k.text}`).join("\n\n"),
+    sources: merged.map(k => k.id),
+    matches
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Scores a finished interview (lib/interviews.js) against its rubric. The LLM
+ * provider reads the questions, answers and timings and returns a 1–5 score
+ * with a comment per criterion and per question, plus a short summary. When no
+ * model can do it (mock provider, daily budget spent, unusable output) the
+ * scores are estimated from each answer's grounding confidence and timing
+ * instead, and the report says so (`scoredBy: "heuristic"`).
+ *
+ * answers: [{ question, answer, ms, overtime?, skipped?, confidence?, sources? }]
+ *   question is the question id; ms the time from asking to the end of the answer
+ */
+
+export const SCALE = 5;
+
+const SCORING_CONTRACT = `Return ONLY valid JSON: {"criteria": [{"id", "score", "comment"}], "questions": [{"id", "score", "comment"}], "summary": string}.
+- One "criteria" entry per rubric id and one "questions" entry per question id.
+- "score" is a whole number from 1 (poor) to ${SCALE} (excellent); "comment" is at most 25 words.
+- "summary" is at most 80 words: overall impression, the strongest answer and what to probe next.`;
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+const clampScore = (n) => Math.min(SCALE, Math.max(1, Math.round(Number(n))));
+
+/**
+ * The provider request (see lib/llm/index.js) asking for rubric scores.
+ * There is no retrieval here: the answers themselves are the evidence.
+ */
+export function buildScoringRequest({ interview, persona, answers }) {
+  const byId = new Map(answers.map(a => [a.question, a]));
+  const system = `You are an experienced interviewer scoring ${persona.name}'s answers in "${interview.title}" against a rubric. Judge only what the answers say, be strict and specific, and take the time limits into account.\n${SCORING_CONTRACT}`;
+  const rubric = interview.rubric
+    .map(c => `- ${c.id} (${c.label}, weight ${c.weight}): ${c.description}`)
+    .join('\n');
+  const transcript = interview.questions.map(q => {
+    const a = byId.get(q.id);
+    const said = a && !a.skipped && a.answer ? a.answer : '(no answer)';
+    const timing = a && !a.skipped
+      ? `${seconds(a.ms)} of ${q.timeLimitSec}s${a.overtime ? ' — over the limit' : ''}`
+      : 'skipped';
+    return `[${q.id}] Q: ${q.text}\nA: ${said}\nTime: ${timing}`;
+  }).join('\n\n');
+  const prompt = `${interview.description ? `INTERVIEW:\n${interview.description}\n\n` : ''}RUBRIC:\n${rubric}\n\nANSWERS:\n${transcript}\n\nReply now with ONLY the JSON object requested.`;
+  return {
+    system,
+    history: [],
+    prompt,
+    question: `interview:${interview.id}`,
+    matches: [],
+    options: { temperature: 0.2, maxOutputTokens: 1200, json: true }
+  };
+}
+
+/**
+ * Model output -> { criteria, questions, summary }, or null when it doesn't
+ * score every rubric criterion. Unknown ids are dropped and scores clamped.
+ */
+export function parseScores(generated = '', interview) {
+  let cleaned = String(generated).trim();
+  const fence = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fence && fence[1]) cleaned = fence[1].trim();
+  const match = cleaned.match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+  const scored = (list, ids) => new Map((Array.isArray(list) ? list : [])
+    .filter(s => s && ids.has(String(s.id)) && Number.isFinite(Number(s.score)))
+    .map(s => [String(s.id), { score: clampScore(s.score), comment: String(s.comment || '').trim() }]));
+  const criteria = scored(parsed.criteria, new Set(interview.rubric.map(c => c.id)));
+  if (criteria.size !== interview.rubric.length) return null;
+  return {
+    criteria,
+    questions: scored(parsed.questions, new Set(interview.questions.map(q => q.id))),
+    summary: typeof parsed.summary === 'string' ? parsed.summary.trim() : ''
+  };
+}
+
+const CONFIDENCE_SCORE = { high: 4, medium: 3, low: 2 };
+
+// No model: grounded, cited answers inside the time limit score best
+export function heuristicScores(interview, answers) {
+  const byId = new Map(answers.map(a => [a.question, a]));
+  const questions = new Map(interview.questions.map(q => {
+    const a = byId.get(q.id);
+    if (!a || a.skipped || !a.answer) return [q.id, { score: 1, comment: 'Not answered.' }];
+    let score = CONFIDENCE_SCORE[a.confidence] ?? 3;
+    if (a.sources?.length && a.confidence === 'high') score += 1;
+    if (a.overtime) score -= 1;
+    const notes = [`${a.confidence || 'unknown'} confidence`, a.sources?.length ? `${a.sources.length} source(s) cited` : 'no sources', a.overtime && 'over the time limit'];
+    return [q.id, { score: clampScore(score), comment: `${notes.filter(Boolean).join(', ')}.` }];
+  }));
+  const mean = [...questions.values()].reduce((n, s) => n + s.score, 0) / questions.size;
+  const comment = 'Estimated from answer confidence, citations and timing; no model scored this criterion.';
+  return {
+    criteria: new Map(interview.rubric.map(c => [c.id, { score: Math.round(mean * 10) / 10, comment }])),
+    questions,
+    summary: ''
+  };
+}
+
+/**
+ * Scores with `provider` (null to skip the model) and returns
+ * { scores, scoredBy, tokens } (tokens: rough model spend, ~4 chars each);
+ * never throws for model failures.
+ */
+export async function scoreInterview({ interview, persona, answers, provider }) {
+  let tokens = 0;
+  if (provider && provider.name !== 'mock') {
+    try {
+      const request = buildScoringRequest({ interview, persona, answers });
+      const generated = await provider.generate(request);
+      tokens = Math.ceil((request.system.length + request.prompt.length + String(generated).length) / 4);
+      const scores = parseScores(generated, interview);
+      if (scores) return { scores, scoredBy: provider.name, tokens };
+      console.warn('Interview scoring: unusable model output, using heuristic scores');
+    } catch (err) {
+      console.warn('Interview scoring failed, using heuristic scores:', String(err));
+    }
+  }
+  return { scores: heuristicScores(interview, answers), scoredBy: 'heuristic', tokens };
+}
@@ -0,0 +1,89 @@
+/**
+ * Sentence splitting for TTS chunking. Shared by api/tts.js and the client,
+ * so keep it dependency-free.
+ */
+
+const MIN_CHARS = 20;
+const MAX_CHARS = 240;
+
+// Periods that usually don't end a sentence: initials ("B.E."), e.g., i.e., titles
+const ABBREV_RE = /(?:\b[A-Za-z]|\be\.g|\bi\.e|\betc|\bvs|\bDr|\bMr|\bMrs|\bMs)\.$/;
+// "।" and "॥" end Hindi sentences
+const BOUNDARY_RE = /[.!?…।॥]+["')\]]*(?=\s|$)/g;
+
+// Break an over-long sentence at the last comma/semicolon (or space) before the limit
+function wrapLong(sentence, maxChars) {
+  const parts = [];
+  let rest = sentence;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    let cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '), window.lastIndexOf(' — '));
+    if (cut < MIN_CHARS) cut = window.lastIndexOf(' ');
+    if (cut < MIN_CHARS) cut = maxChars - 1;
+    parts.push(rest.slice(0, cut + 1).trim());
+    rest = rest.slice(cut + 1).trim();
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+/**
+ * Split text into speakable sentences. Tiny fragments are merged into the
+ * following sentence so every TTS request has enough prosody context.
+ */
+export function splitSentences(text = '', maxChars = MAX_CHARS) {
+  const src = String(text).replace(/\s+/g, ' ').trim();
+  if (!src) return [];
+
+  const raw = [];
+  let start = 0;
+  for (const m of src.matchAll(BOUNDARY_RE)) {
+    const end = m.index + m[0].length;
+    const candidate = src.slice(start, end);
+    if (m[0] === '.' && ABBREV_RE.test(candidate)) continue;
+    raw.push(candidate.trim());
+    start = end;
+  }
+  if (start < src.length) raw.push(src.slice(start).trim());
+
+  const merged = [];
+  let carry = '';
+  for (const s of raw.filter(Boolean)) {
+    const joined = carry ? `${carry} ${s}` : s;
+    if (joined.length < MIN_CHARS) { carry = joined; continue; }
+    merged.push(joined);
+    carry = '';
+  }
+  if (carry) {
+    if (merged.length) merged[merged.length - 1] += ` ${carry}`;
+    else merged.push(carry);
+  }
+
+  return merged.flatMap(s => wrapLong(s, maxChars));
+}
+
+/**
+ * Incremental splitter for streamed text: push(delta) returns the sentences
+ * that are definitely complete; flush() returns whatever is left.
+ */
+export function createSentenceBuffer(maxChars = MAX_CHARS) {
+  let buffer = '';
+  return {
+    push(delta) {
+      buffer += delta;
+      const sentences = splitSentences(buffer, maxChars);
+      // the last piece may still be growing (or be "2." of "2.5"), so hold it back
+      if (sentences.length < 2) return [];
+      const held = sentences.pop();
+      // keep the raw tail (including trailing whitespace) so the next delta joins cleanly
+      const normalized = buffer.replace(/\s+/g, ' ');
+      buffer = normalized.slice(normalized.lastIndexOf(held));
+      return sentences;
+    },
+    flush() {
+      const rest = splitSentences(buffer, maxChars);
+      buffer = '';
+      return rest;
+    }
+  };
+}
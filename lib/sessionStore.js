@@ -0,0 +1,189 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Conversation history per client session (the IDs from /api/session), kept on
+ * the server so a reload or a later visit picks up the same transcript and
+ * /api/chat builds the prompt history from it. Two backends:
+ *   memory  Map per process (per warm instance on Vercel); oldest sessions are evicted
+ *   file    one JSON file per session under SESSION_DIR, survives restarts
+ * Session: { id, persona, createdAt, updatedAt,
+ *            turns: [{ role, content, ts, confidence?, sources?, intent?, fallback? }] }
+ * A session holds one conversation with one persona; appending turns for
+ * another persona starts it over.
+ * Conversations are only kept when SESSION_SECRET is set: without it session
+ * IDs are unsigned and chosen by the client (lib/auth.js), so anyone who knew
+ * or guessed one could read or delete that conversation.
+ * Env:
+ *   SESSION_STORE     optional — "memory" (default) | "file" | "off"; off without SESSION_SECRET
+ *   SESSION_DIR       optional (default data/sessions, /tmp/voicebot-sessions on Vercel)
+ *   SESSION_KEEP_DAYS optional — sessions idle for longer are dropped (default 30)
+ */
+
+const DEFAULT_DIR = process.env.VERCEL ? '/tmp/voicebot-sessions' : path.join(process.cwd(), 'data', 'sessions');
+const SESSION_ID_RE = /^[A-Za-z0-9-]{8,64}$/;
+const MAX_TURNS = 200;
+const MAX_MEMORY_SESSIONS = 1000;
+
+function summarizeSession(s) {
+  const first = s.turns.find(t => t.role === 'user');
+  return {
+    id: s.id,
+    persona: s.persona,
+    createdAt: s.createdAt,
+    updatedAt: s.updatedAt,
+    turns: s.turns.length,
+    title: first ? first.content.slice(0, 80) : ''
+  };
+}
+
+function createMemoryBackend() {
+  const sessions = new Map(); // id -> session, least recently written first
+  return {
+    async get(id) {
+      return sessions.get(id) || null;
+    },
+    async put(session) {
+      sessions.delete(session.id);
+      sessions.set(session.id, session);
+      for (const oldest of sessions.keys()) {
+        if (sessions.size <= MAX_MEMORY_SESSIONS) break;
+        sessions.delete(oldest);
+      }
+    },
+    async remove(id) {
+      return sessions.delete(id);
+    },
+    async all() {
+      return [...sessions.values()];
+    }
+  };
+}
+
+function createFileBackend({ dir }) {
+  let ready = null;
+  const ensureDir = () => (ready ||= fs.mkdir(dir, { recursive: true }));
+  const file = (id) => path.join(dir, `${id}.json`);
+  const read = async (name) => {
+    try {
+      return JSON.parse(await fs.readFile(path.join(dir, name), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('Session read failed:', err?.message);
+      return null;
+    }
+  };
+  return {
+    get: (id) => read(`${id}.json`),
+    async put(session) {
+      await ensureDir();
+      const tmp = `${file(session.id)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(session));
+      await fs.rename(tmp, file(session.id));
+    },
+    async remove(id) {
+      try {
+        await fs.unlink(file(id));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    },
+    async all() {
+      let names;
+      try {
+        names = (await fs.readdir(dir)).filter(n => n.endsWith('.json'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      return (await Promise.all(names.map(read))).filter(Boolean);
+    }
+  };
+}
+
+/**
+ * createSessionStore() -> { enabled, get(id), append(id, persona, turns), list({ limit, persona }), remove(id) }
+ * get/append return the full session (or null); list returns summaries, most
+ * recently active first. IDs that could not have come from /api/session are
+ * treated as unknown.
+ */
+export function createSessionStore() {
+  const backendName = (process.env.SESSION_STORE || 'memory').toLowerCase();
+  if (backendName !== 'off' && !process.env.SESSION_SECRET) {
+    console.warn('Session store off: set SESSION_SECRET to keep conversations on the server');
+  }
+  if (backendName === 'off' || !process.env.SESSION_SECRET) {
+    return { enabled: false, get: async () => null, append: async () => null, list: async () => [], remove: async () => false };
+  }
+  const backend = backendName === 'file'
+    ? createFileBackend({ dir: process.env.SESSION_DIR || DEFAULT_DIR })
+    : createMemoryBackend();
+  const keepMs = (Number(process.env.SESSION_KEEP_DAYS) || 30) * 24 * 3600 * 1000;
+  const expired = (s) => Date.parse(s.updatedAt) + keepMs <= Date.now();
+
+  // Writes to one session are serialized so concurrent answers don't drop turns
+  const queues = new Map();
+  const serialize = (id, fn) => {
+    const run = (queues.get(id) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    queues.set(id, settled);
+    settled.then(() => { if (queues.get(id) === settled) queues.delete(id); });
+    return run;
+  };
+
+  const load = async (id) => {
+    if (typeof id !== 'string' || !SESSION_ID_RE.test(id)) return null;
+    const session = await backend.get(id);
+    if (!session) return null;
+    if (expired(session)) {
+      await backend.remove(id);
+      return null;
+    }
+    return session;
+  };
+
+  return {
+    enabled: true,
+    // waits for pending writes, so a follow-up question sees the previous answer
+    async get(id) {
+      await queues.get(id);
+      return load(id);
+    },
+    append(id, persona, turns) {
+      if (typeof id !== 'string' || !SESSION_ID_RE.test(id)) return Promise.resolve(null);
+      return serialize(id, async () => {
+        const now = new Date().toISOString();
+        let session = await load(id);
+        if (!session || session.persona !== persona) {
+          session = { id, persona, createdAt: now, updatedAt: now, turns: [] };
+        }
+        session.turns = [...session.turns, ...turns.map(t => ({ ts: now, ...t }))].slice(-MAX_TURNS);
+        session.updatedAt = now;
+        await backend.put(session);
+        return session;
+      });
+    },
+    async list({ limit = 50, persona } = {}) {
+      const live = [];
+      for (const s of await backend.all()) {
+        if (expired(s)) await backend.remove(s.id);
+        else if (!persona || s.persona === persona) live.push(s);
+      }
+      return live
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .slice(0, limit)
+        .map(summarizeSession);
+    },
+    remove(id) {
+      if (typeof id !== 'string' || !SESSION_ID_RE.test(id)) return Promise.resolve(false);
+      return serialize(id, () => backend.remove(id));
+    }
+  };
+}
+
+// One store per process, shared by /api/chat, /api/session and /api/sessions
+let shared = null;
+export function getSessionStore() {
+  return (shared ||= createSessionStore());
+}
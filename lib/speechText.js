@@ -0,0 +1,267 @@
+/**
+ * Text normalization for TTS. Shared by api/tts.js and the client's browser-voice
+ * fallback, so keep it dependency-free.
+ *
+ * normalizeForSpeech(text, { lexicon, ssml }) turns an answer into what a voice
+ * should read: JSON and markdown leftovers, URLs and emoji go; numbers, years,
+ * dates, times, money and percentages are written out; ALL-CAPS acronyms are
+ * spelled letter by letter unless the persona's lexicon says how to say them.
+ * Version numbers ("2.0.1") and slashed numbers ("12/05", "24/7") are left as
+ * written, since only the voice's own rules can tell a date from a score.
+ * With `ssml: true` the result is an SSML document with breaks for dashes, list
+ * items and line breaks, emphasis for **bold**, and <sub>/<phoneme>/<say-as>
+ * for lexicon entries and acronyms; otherwise it is plain text with the same words.
+ * Numbers, dates and symbols are only written out for English (`language: "en"`,
+ * the default); for Hindi and Kannada the voice reads them in its own language.
+ *
+ * Lexicon (personas/<id>/lexicon.json):
+ *   { "RAG": "rag", "OvaBloom": "Ova Bloom", "Nitya": { "say": "Nithya", "ipa": "nɪθjɑː" } }
+ * `say` is what gets read, `ipa` (optional) is used for SSML <phoneme>. ALL-CAPS
+ * keys match case-sensitively (plurals too: "LLMs"), other keys in any case.
+ */
+
+// Private-use markers carried through the rewrites and turned into markup at the end
+const EM_OPEN = '\uE001';
+const EM_CLOSE = '\uE002';
+const PAUSE = '\uE003';
+const LONG_PAUSE = '\uE004';
+const SLOT_BASE = 0xE100; // one character per lexicon hit or acronym
+const SLOT_RE = /[\uE100-\uE8FF]/g;
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+const ORDINAL_WORDS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTH_RE = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const CURRENCIES = { '₹': ['rupee', 'rupees'], Rs: ['rupee', 'rupees'], $: ['dollar', 'dollars'], '€': ['euro', 'euros'], '£': ['pound', 'pounds'] };
+const MULTIPLIERS = { k: 'thousand', K: 'thousand', M: 'million', L: 'lakh', lakh: 'lakh', lakhs: 'lakh', crore: 'crore', crores: 'crore', million: 'million', billion: 'billion' };
+const EMOJI_RE = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}‍️⃣]/gu;
+
+function underThousand(n) {
+  const words = [];
+  if (n >= 100) {
+    words.push(ONES[Math.floor(n / 100)], 'hundred');
+    n %= 100;
+  }
+  if (n >= 20) words.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ''));
+  else if (n > 0) words.push(ONES[n]);
+  return words.join(' ');
+}
+
+const digitWords = (digits) => [...digits].map(d => ONES[Number(d)]).join(' ');
+
+export function numberToWords(n) {
+  if (n >= 1e15) return digitWords(String(n));
+  if (n === 0) return 'zero';
+  const words = [];
+  for (const [size, name] of SCALES) {
+    if (n >= size) {
+      words.push(underThousand(Math.floor(n / size)), name);
+      n %= size;
+    }
+  }
+  if (n) words.push(underThousand(n));
+  return words.join(' ');
+}
+
+export function ordinalToWords(n) {
+  return numberToWords(n).replace(/([a-z]+)$/, (w) => ORDINAL_WORDS[w] || (w.endsWith('y') ? `${w.slice(0, -1)}ieth` : `${w}th`));
+}
+
+// 1999 -> nineteen ninety-nine, 2005 -> two thousand five, 2024 -> twenty twenty-four
+export function yearToWords(y) {
+  if (y >= 2000 && y < 2010) return numberToWords(y);
+  const hi = Math.floor(y / 100);
+  const lo = y % 100;
+  if (lo === 0) return `${numberToWords(hi)} hundred`;
+  return `${numberToWords(hi)} ${lo < 10 ? `oh ${ONES[lo]}` : numberToWords(lo)}`;
+}
+
+// "1,200" -> one thousand two hundred, "3.25" -> three point two five, "007" -> zero zero seven
+function numberPhrase(raw) {
+  const [int, frac] = raw.replace(/,/g, '').split('.');
+  const whole = int.length > 1 && int.startsWith('0') ? digitWords(int) : numberToWords(Number(int));
+  return frac ? `${whole} point ${digitWords(frac)}` : whole;
+}
+
+const monthName = (m) => MONTHS.find(name => name.toLowerCase().startsWith(m.slice(0, 3).toLowerCase()));
+
+function timePhrase(h, m, meridiem) {
+  const hour = numberToWords(Number(h));
+  const minutes = !m || (m === '00' && meridiem) ? '' : m === '00' ? " o'clock" : ` ${m.startsWith('0') ? `oh ${ONES[Number(m)]}` : numberToWords(Number(m))}`;
+  return `${hour}${minutes}${meridiem ? ` ${meridiem.toLowerCase()} m` : ''}`;
+}
+
+// Whether a dot at `end` closes the sentence rather than an abbreviation ("9 p.m. tomorrow")
+const endsSentence = (str, end) => !/^\s+[a-z0-9]/.test(str.slice(end));
+
+function stripFormatting(text) {
+  return String(text)
+    .replace(/```(?:json)?/g, ' ')
+    .replace(/,?\s*"(?:confidence|sources)"\s*:\s*(?:"[^"]*"|\[[^\]]*\])/g, ' ')
+    .replace(/"answer"\s*:/g, ' ')
+    .replace(/"/g, '')
+    .replace(/\bConfidence:\s*(?:high|medium|low)\b/gi, ' ')
+    .replace(/[{}]/g, ' ')
+    .replace(/\\n/g, '\n')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\bhttps?:\/\/\S+|\bwww\.\S+/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/^[ \t]*#{1,6}[ \t]+(.*)$/gm, `$1${LONG_PAUSE}`)
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/^[ \t]*(?:[-*+•]|\d{1,2}[.)])[ \t]+/gm, LONG_PAUSE)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, `${EM_OPEN}$2${EM_CLOSE}`)
+    .replace(/(^|[\s(])\*(?=\S)([^*\n]*?\S)\*(?=[\s).,!?;:]|$)/g, `$1${EM_OPEN}$2${EM_CLOSE}`)
+    .replace(/\*+/g, ' ')
+    .replace(EMOJI_RE, ' ')
+    .replace(/[ \t]*\n+[ \t]*/g, LONG_PAUSE)
+    .replace(/\s+(?:—|–|--?)\s+|—/g, PAUSE);
+}
+
+function expandDatesAndNumbers(text) {
+  return text
+    // 2024-05-12
+    .replace(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, (m, y, mo, d) => (
+      MONTHS[mo - 1] && d >= 1 && d <= 31 ? `${MONTHS[mo - 1]} ${ordinalToWords(Number(d))}, ${yearToWords(Number(y))}` : m
+    ))
+    // May 12, 2024 / May 12th
+    .replace(new RegExp(`\\b${MONTH_RE}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'g'), (m, mo, d, y) => (
+      `${monthName(mo)} ${ordinalToWords(Number(d))}${y ? `, ${yearToWords(Number(y))}` : ''}`
+    ))
+    // 12 May 2024 / 12th of May
+    .replace(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE}(?:,?\\s+(\\d{4})\\b)?`, 'g'), (m, d, mo, y) => (
+      `the ${ordinalToWords(Number(d))} of ${monthName(mo)}${y ? ` ${yearToWords(Number(y))}` : ''}`
+    ))
+    // May 2024
+    .replace(new RegExp(`\\b${MONTH_RE}\\s+(\\d{4})\\b`, 'g'), (m, mo, y) => `${monthName(mo)} ${yearToWords(Number(y))}`)
+    // 2022-2024
+    .replace(/\b((?:19|20)\d\d)\s*(?:-|–|to)\s*((?:19|20)\d\d)\b/g, (m, a, b) => `${yearToWords(Number(a))} to ${yearToWords(Number(b))}`)
+    // 10:30, 9:05 pm, 9am; a dot after "pm" or "p.m." that ends the sentence stays
+    .replace(/\b(\d{1,2}):(\d{2})(?:\s*([ap])\.?m\b(\.)?)?/gi, (m, h, min, ap, dot, i, str) => (
+      `${timePhrase(h, min, ap)}${dot && endsSentence(str, i + m.length) ? '.' : ''}`
+    ))
+    .replace(/\b(\d{1,2})\s*([ap])\.?m\b(\.)?/gi, (m, h, ap, dot, i, str) => (
+      `${timePhrase(h, null, ap)}${dot && endsSentence(str, i + m.length) ? '.' : ''}`
+    ))
+    // ₹500, $2.5M, Rs. 40,000
+    .replace(/(₹|\$|€|£|\bRs\b\.?)\s?(\d[\d,]*(?:\.\d+)?)(?:\s?(k|K|M|L|lakhs?|crores?|million|billion)\b)?/g, (m, sym, num, mult) => {
+      const [one, many] = CURRENCIES[sym.replace('.', '')];
+      const amount = numberPhrase(num);
+      return ` ${amount}${mult ? ` ${MULTIPLIERS[mult]}` : ''} ${amount === 'one' && !mult ? one : many} `;
+    })
+    .replace(/(\d[\d,]*(?:\.\d+)?)\s?%/g, (m, num) => ` ${numberPhrase(num)} percent `)
+    .replace(/\b(\d+)(?:st|nd|rd|th)\b/gi, (m, n) => ordinalToWords(Number(n)))
+    // versions (2.0.1) and slashed numbers (12/05, 24/7) are left for the voice to read as written
+    .replace(/\b((?:19|20)\d\d)\b(?<!\/\d+)(?![.,]?\d|\/\d)/g, (m, y) => yearToWords(Number(y)))
+    .replace(/(?<![\d./])\d+(?:,\d{2,3})*(?:\.\d+)?(?![\d/]|\.\d)/g, (m) => ` ${numberPhrase(m)} `);
+}
+
+function expandSymbols(text) {
+  return text
+    .replace(/\be\.g\.(?=\s|,|$)/gi, 'for example')
+    .replace(/\bi\.e\.(?=\s|,|$)/gi, 'that is')
+    .replace(/\betc\.(?=\s|$)/gi, 'et cetera.')
+    .replace(/\bvs\.?(?=\s)/gi, 'versus')
+    .replace(/\s*&\s*/g, ' and ')
+    .replace(/\s*(?:->|→)\s*/g, ' to ')
+    .replace(/~\s*(?=\d)/g, 'about ')
+    .replace(/(\w)\/(?=\w)/g, (m, ch, i, str) => (/\d/.test(ch) && /\d/.test(str[i + 2]) ? m : `${ch} `))
+    .replace(/(\w)\s*\+\s*(?=\w)/g, '$1 plus ');
+}
+
+function parseLexicon(lexicon = {}) {
+  return Object.entries(lexicon || {})
+    .map(([term, v]) => ({ term, say: typeof v === 'string' ? v : (v?.say || term), ipa: typeof v === 'object' ? v?.ipa : undefined }))
+    .filter(e => e.term && e.say)
+    .sort((a, b) => b.term.length - a.term.length);
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const escapeXml = (s) => s.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+
+// Lexicon hits and acronyms become single slot characters so later rewrites leave them alone
+function extractTerms(text, lexicon, slots) {
+  const slot = (entry) => {
+    slots.push(entry);
+    return String.fromCharCode(SLOT_BASE + slots.length - 1);
+  };
+  let out = text;
+  const entries = parseLexicon(lexicon);
+  if (entries.length) {
+    const caps = entries.filter(e => /^[A-Z0-9]+$/.test(e.term));
+    const other = entries.filter(e => !/^[A-Z0-9]+$/.test(e.term));
+    const lookup = new Map(entries.map(e => [e.term.toLowerCase(), e]));
+    if (caps.length) {
+      out = out.replace(new RegExp(`\\b(${caps.map(e => escapeRe(e.term)).join('|')})(s?)\\b`, 'g'), (m, term, plural) => (
+        slot({ kind: 'lexicon', text: term, ...lookup.get(term.toLowerCase()), plural: !!plural })
+      ));
+    }
+    if (other.length) {
+      out = out.replace(new RegExp(`(?<![\\w-])(${other.map(e => escapeRe(e.term)).join('|')})(?![\\w-])`, 'gi'), (m) => (
+        slot({ kind: 'lexicon', ...lookup.get(m.toLowerCase()), text: m })
+      ));
+    }
+  }
+  return out
+    .replace(/\b(?:[A-Z]\.){2,}(?!\w)/g, (m) => slot({ kind: 'spell', text: m.replace(/\./g, '') }))
+    .replace(/\b([A-Z]{2,6})(s?)\b/g, (m, letters, plural) => slot({ kind: 'spell', text: letters, plural: !!plural }));
+}
+
+function renderPlain(text, slots) {
+  return text
+    .replace(SLOT_RE, (ch) => {
+      const s = slots[ch.charCodeAt(0) - SLOT_BASE];
+      const spoken = s.kind === 'spell' ? s.text.split('').join(' ') : s.say;
+      return `${spoken}${s.plural ? 's' : ''}`;
+    })
+    .replace(/[\uE001\uE002]/g, '')
+    .replace(/\uE003/g, ', ')
+    .replace(/\uE004/g, '. ')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .replace(/([,.!?;:])(?:\s*[,.])+/g, '$1')
+    .replace(/^[\s,.;:]+/, '')
+    .trim();
+}
+
+function renderSSML(text, slots) {
+  const body = escapeXml(text)
+    .replace(SLOT_RE, (ch) => {
+      const s = slots[ch.charCodeAt(0) - SLOT_BASE];
+      const plural = s.plural ? 's' : '';
+      if (s.kind === 'spell') return `<say-as interpret-as="characters">${escapeXml(s.text)}</say-as>${plural}`;
+      if (s.ipa) return `<phoneme alphabet="ipa" ph="${escapeXml(s.ipa)}">${escapeXml(s.text)}</phoneme>${plural}`;
+      return `<sub alias="${escapeXml(s.say)}${plural}">${escapeXml(s.text)}${plural}</sub>`;
+    })
+    .replace(/\uE001/g, '<emphasis level="moderate">')
+    .replace(/\uE002/g, '</emphasis>')
+    .replace(/\s*\uE003\s*/g, ' <break time="250ms"/> ')
+    .replace(/\s*\uE004\s*/g, ' <break time="500ms"/> ')
+    .replace(/(?:\s*<break time="\d+ms"\/>)+\s*$/, '')
+    .replace(/^\s*(?:<break time="\d+ms"\/>\s*)+/, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .trim();
+  return `<speak>${body}</speak>`;
+}
+
+/**
+ * The speakable form of `text`: plain text, or an SSML document when `ssml` is
+ * true. Returns '' when nothing speakable is left.
+ */
+export function normalizeForSpeech(text, { lexicon, ssml = false, language = 'en' } = {}) {
+  const english = language === 'en';
+  const slots = [];
+  let out = stripFormatting(text);
+  if (english) out = expandSymbols(out);
+  out = extractTerms(out, lexicon, slots);
+  if (english) out = expandDatesAndNumbers(out);
+  out = out
+    // back-to-back breaks (a heading followed by a list) collapse into the longest
+    .replace(/\s*[\uE003\uE004][\s\uE003\uE004]*/g, (m) => ` ${m.includes(LONG_PAUSE) ? LONG_PAUSE : PAUSE} `);
+  if (!renderPlain(out, slots)) return '';
+  return ssml ? renderSSML(out, slots) : renderPlain(out, slots);
+}
@@ -0,0 +1,29 @@
+import { createWhisperCppProvider } from './whisper.js';
+import { createOpenAITranscriptionProvider } from './openai.js';
+import { createStubProvider } from './stub.js';
+import { ProviderConfigError } from '../llm/errors.js';
+
+/**
+ * STT provider registry, behind /api/stt for browsers without the Web Speech API.
+ * Env:
+ *   STT_PROVIDER optional — "openai" (default) | "whisper" | "stub"
+ *
+ * Every provider implements:
+ *   settings         provider-wide options (model, ...), for logs and debugging
+ *   transcribe(audio, { contentType, language })
+ *                    -> Promise<{ text, language? }>
+ * `audio` is the uploaded Buffer as recorded (WebM/Opus, Ogg, MP4 or WAV);
+ * `language` is an ISO 639-1 hint ("en") or undefined to let the backend detect it.
+ */
+
+const FACTORIES = {
+  openai: createOpenAITranscriptionProvider,
+  whisper: createWhisperCppProvider,
+  stub: createStubProvider
+};
+
+export function getSTTProvider(name = process.env.STT_PROVIDER || 'openai') {
+  const factory = FACTORIES[name.toLowerCase()];
+  if (!factory) throw new ProviderConfigError(`Unknown STT_PROVIDER "${name}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+  return factory();
+}
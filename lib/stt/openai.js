@@ -0,0 +1,46 @@
+import { ProviderConfigError } from '../llm/errors.js';
+
+/**
+ * OpenAI-compatible /audio/transcriptions adapter (OpenAI Whisper, Groq, or
+ * local servers that mirror the endpoint such as faster-whisper-server).
+ * Env:
+ *   STT_API_KEY optional (falls back to OPENAI_API_KEY; required for api.openai.com)
+ *   STT_BASE_URL optional (default "https://api.openai.com/v1")
+ *   STT_MODEL optional (default "whisper-1")
+ */
+
+const EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'mp4', 'audio/mpeg': 'mp3', 'audio/wav': 'wav' };
+
+export function createOpenAITranscriptionProvider() {
+  const baseUrl = (process.env.STT_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = process.env.STT_API_KEY || process.env.OPENAI_API_KEY;
+  if (!apiKey && baseUrl.includes('api.openai.com')) {
+    throw new ProviderConfigError('STT_API_KEY (or OPENAI_API_KEY) not set');
+  }
+  const model = process.env.STT_MODEL || 'whisper-1';
+
+  return {
+    name: 'openai',
+    settings: { baseUrl, model },
+    async transcribe(audio, { contentType = 'audio/webm', language } = {}) {
+      // the endpoint goes by the file extension, so name the upload after its type
+      const ext = EXTENSIONS[contentType] || 'webm';
+      const form = new FormData();
+      form.append('file', new Blob([audio], { type: contentType }), `speech.${ext}`);
+      form.append('model', model);
+      form.append('response_format', 'json');
+      if (language) form.append('language', language);
+      const resp = await fetch(`${baseUrl}/audio/transcriptions`, {
+        method: 'POST',
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: form
+      });
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => '<no body>');
+        throw new Error(`Transcription endpoint ${resp.status}: ${body.slice(0, 300)}`);
+      }
+      const data = await resp.json();
+      return { text: (data.text || '').trim(), language: data.language || language };
+    }
+  };
+}
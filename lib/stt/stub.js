@@ -0,0 +1,19 @@
+/**
+ * Fixed transcript, no speech engine: exercises recording, upload and the chat
+ * round trip offline and in tests.
+ * Env:
+ *   STT_STUB_TEXT optional (default "Hello there")
+ */
+
+export function createStubProvider() {
+  const text = process.env.STT_STUB_TEXT || 'Hello there';
+
+  return {
+    name: 'stub',
+    settings: {},
+    async transcribe(audio, { language } = {}) {
+      // without a hint, /api/stt detects the language from the text
+      return { text: audio.length ? text : '', language };
+    }
+  };
+}
@@ -0,0 +1,62 @@
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProviderConfigError } from '../llm/errors.js';
+
+/**
+ * Local transcription with whisper.cpp. The upload is converted to the 16 kHz
+ * mono WAV whisper.cpp expects with ffmpeg, written to a temp file and
+ * transcribed by the whisper-cli binary; nothing leaves the machine.
+ * Env:
+ *   WHISPER_MODEL required — path to a ggml model (e.g. models/ggml-base.en.bin)
+ *   WHISPER_BIN optional (default "whisper-cli")
+ *   WHISPER_THREADS optional (default 4)
+ *   FFMPEG_BIN optional (default "ffmpeg")
+ */
+
+// Runs bin with args, feeding `input` on stdin; resolves with stdout
+function run(bin, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args);
+    const out = [];
+    const err = [];
+    child.stdout.on('data', c => out.push(c));
+    child.stderr.on('data', c => err.push(c));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) return resolve(Buffer.concat(out));
+      const detail = Buffer.concat(err).toString().trim().split('\n').pop();
+      reject(new Error(`${bin} exited with ${code}${detail ? `: ${detail}` : ''}`));
+    });
+    child.stdin.on('error', () => {}); // the process may exit before reading everything
+    child.stdin.end(input);
+  });
+}
+
+export function createWhisperCppProvider() {
+  const model = process.env.WHISPER_MODEL;
+  if (!model) throw new ProviderConfigError('WHISPER_MODEL not set (path to a whisper.cpp ggml model)');
+  const bin = process.env.WHISPER_BIN || 'whisper-cli';
+  const ffmpeg = process.env.FFMPEG_BIN || 'ffmpeg';
+  const threads = String(Number(process.env.WHISPER_THREADS) || 4);
+
+  return {
+    name: 'whisper',
+    settings: { model: path.basename(model) },
+    async transcribe(audio, { language } = {}) {
+      const wav = await run(ffmpeg, ['-hide_banner', '-loglevel', 'error', '-i', 'pipe:0', '-ar', '16000', '-ac', '1', '-f', 'wav', 'pipe:1'], audio);
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'voicebot-stt-'));
+      try {
+        const file = path.join(dir, 'speech.wav');
+        await fs.writeFile(file, wav);
+        const out = await run(bin, ['-m', model, '-f', file, '-t', threads, '-l', language || 'auto', '-nt', '-np'], '');
+        // drop non-speech markers such as [BLANK_AUDIO]
+        const text = out.toString().replace(/\[[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim();
+        return { text, language };
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Conversation transcripts for /api/export: one model, three renderings.
+ *   JSON      { persona, sessionId, startedAt, exportedAt, messages, citations }
+ *             messages: [{ role, speaker, text, ts, confidence?, sources?: [{ id, ref, text }] }]
+ *   Markdown  the messages with footnote citations, KB text under "Sources"
+ *   HTML      self-contained and print-ready (save as PDF from the browser)
+ * Cited KB IDs are expanded to the entry's current text; an ID that is no longer
+ * in the KB keeps `text: null`.
+ */
+
+export const FORMATS = {
+  json: { ext: 'json', contentType: 'application/json; charset=utf-8' },
+  md: { ext: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { ext: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const MISSING_SOURCE = '(no longer in the knowledge base)';
+
+const stamp = (ts) => (ts ? `${new Date(ts).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '');
+
+/**
+ * turns: [{ role: 'user'|'assistant', content, ts?, confidence?, sources? }] as
+ * stored by lib/sessionStore.js; kb: the persona's KB entries.
+ */
+export function buildTranscript({ persona, kb = [], turns, sessionId = null, exportedAt = new Date() }) {
+  const kbText = new Map(kb.map(k => [k.id, k.text]));
+  const citations = [];
+  const refs = new Map();
+  const cite = (id) => {
+    if (!refs.has(id)) {
+      refs.set(id, citations.length + 1);
+      citations.push({ ref: citations.length + 1, id, text: kbText.get(id) ?? null });
+    }
+    return refs.get(id);
+  };
+
+  const messages = turns.map(t => {
+    const message = { role: t.role, speaker: t.role === 'user' ? 'You' : persona.name, text: t.content, ts: t.ts || null };
+    if (t.role !== 'assistant') return message;
+    const sources = (t.sources || []).filter(id => typeof id === 'string');
+    return {
+      ...message,
+      confidence: t.confidence || null,
+      sources: sources.map(id => ({ id, ref: cite(id), text: kbText.get(id) ?? null }))
+    };
+  });
+
+  return {
+    persona: { id: persona.id, name: persona.name, title: persona.title },
+    sessionId,
+    startedAt: turns[0]?.ts || null,
+    exportedAt: exportedAt.toISOString(),
+    messages,
+    citations
+  };
+}
+
+export function toMarkdown(t) {
+  const lines = [
+    `# Conversation with ${t.persona.name}`,
+    '',
+    `_${[t.persona.title, t.startedAt && `started ${stamp(t.startedAt)}`, `exported ${stamp(t.exportedAt)}`].filter(Boolean).join(' · ')}_`,
+    ''
+  ];
+  for (const m of t.messages) {
+    const when = m.ts ? ` (${stamp(m.ts).slice(11)})` : '';
+    const refs = (m.sources || []).map(s => `[^${s.ref}]`).join('');
+    lines.push(`**${m.speaker}**${when}: ${m.text}${refs ? ` ${refs}` : ''}`);
+    if (m.confidence) lines.push(`<sub>Confidence: ${m.confidence}</sub>`);
+    lines.push('');
+  }
+  if (t.citations.length) {
+    lines.push('---', '', '## Sources', '');
+    for (const c of t.citations) lines.push(`[^${c.ref}]: **${c.id}** — ${c.text ?? MISSING_SOURCE}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+const escapeHtml = (s = '') => String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+export function toHTML(t) {
+  const messages = t.messages.map(m => {
+    const refs = (m.sources || []).map(s => `<sup><a href="#src-${s.ref}">[${s.ref}]</a></sup>`).join('');
+    const meta = [stamp(m.ts).slice(11), m.confidence && `confidence: ${m.confidence}`].filter(Boolean).join(' · ');
+    return `<div class="msg ${m.role}">
+  <div class="who">${escapeHtml(m.speaker)}${meta ? ` <span class="meta">${escapeHtml(meta)}</span>` : ''}</div>
+  <p>${escapeHtml(m.text)}${refs}</p>
+</div>`;
+  }).join('\n');
+  const sources = t.citations.length
+    ? `<h2>Sources</h2>\n<ol class="sources">\n${t.citations.map(c => `<li id="src-${c.ref}"><strong>${escapeHtml(c.id)}</strong> — ${escapeHtml(c.text ?? MISSING_SOURCE)}</li>`).join('\n')}\n</ol>`
+    : '';
+  const subtitle = [t.persona.title, t.startedAt && `started ${stamp(t.startedAt)}`, `exported ${stamp(t.exportedAt)}`].filter(Boolean).join(' · ');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Conversation with ${escapeHtml(t.persona.name)}</title>
+<style>
+  body { font: 15px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: #1f2328; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  .subtitle, .meta { color: #656d76; font-size: 0.85rem; font-weight: normal; }
+  .msg { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 8px; break-inside: avoid; }
+  .msg.user { background: #eef4ff; }
+  .msg.assistant { background: #f6f8fa; }
+  .msg p { margin: 0.25rem 0 0; white-space: pre-wrap; }
+  .who { font-weight: 600; }
+  sup a { text-decoration: none; margin-left: 2px; }
+  .sources li { margin-bottom: 0.5rem; }
+  @page { margin: 18mm; }
+  @media print { body { margin: 0; max-width: none; } .msg { border: 1px solid #d0d7de; } }
+</style>
+</head>
+<body>
+<h1>Conversation with ${escapeHtml(t.persona.name)}</h1>
+<div class="subtitle">${escapeHtml(subtitle)}</div>
+${messages}
+${sources}
+</body>
+</html>
+`;
+}
+
+export function renderTranscript(t, format) {
+  if (format === 'md') return toMarkdown(t);
+  if (format === 'html') return toHTML(t);
+  return `${JSON.stringify(t, null, 2)}\n`;
+}
@@ -0,0 +1,109 @@
+import { ProviderConfigError } from '../llm/errors.js';
+import { wrapPcm } from './wav.js';
+import { wordsFromCharacters } from '../alignment.js';
+
+/**
+ * ElevenLabs adapter. Asked for timestamps, it uses the /with-timestamps
+ * endpoint, which returns the audio as base64 next to per-character times.
+ * Env:
+ *   ELEVENLABS_API_KEY required
+ *   ELEVENLABS_VOICE_ID optional (default "m8ysB8KEJV5BeYQnOtWN", the Nitya voice)
+ *   ELEVENLABS_MODEL optional (default "eleven_turbo_v2_5")
+ *   ELEVENLABS_LANGUAGE_MODELS optional — model per language, "kn=eleven_v3,hi=eleven_multilingual_v2";
+ *                    languages not listed use ELEVENLABS_MODEL
+ *   ELEVENLABS_STABILITY / ELEVENLABS_SIMILARITY optional (default 0.5 / 0.7)
+ */
+
+const API = 'https://api.elevenlabs.io/v1';
+const PCM_RATE = 22050;
+const OUTPUT_FORMATS = { mp3: 'mp3_44100_128', wav: `pcm_${PCM_RATE}` };
+// models that accept language_code to force the language
+const LANGUAGE_CODE_MODELS = new Set(['eleven_turbo_v2_5', 'eleven_flash_v2_5']);
+// voice_settings.speed range the API takes
+const SPEEDS = [0.7, 1.2];
+
+// "kn=eleven_v3,hi=eleven_multilingual_v2" -> { kn: 'eleven_v3', hi: 'eleven_multilingual_v2' }
+function parseLanguageModels(raw = '') {
+  const models = {};
+  for (const part of raw.split(',')) {
+    const [lang, model] = part.split('=').map(s => s.trim());
+    if (lang && model) models[lang] = model;
+  }
+  return models;
+}
+
+export function createElevenLabsProvider() {
+  const apiKey = process.env.ELEVENLABS_API_KEY;
+  if (!apiKey) throw new ProviderConfigError('ELEVENLABS_API_KEY not set');
+  const defaultVoice = process.env.ELEVENLABS_VOICE_ID || 'm8ysB8KEJV5BeYQnOtWN';
+  const modelId = process.env.ELEVENLABS_MODEL || 'eleven_turbo_v2_5';
+  const languageModels = parseLanguageModels(process.env.ELEVENLABS_LANGUAGE_MODELS);
+  const stability = Number(process.env.ELEVENLABS_STABILITY ?? 0.5);
+  const similarity = Number(process.env.ELEVENLABS_SIMILARITY ?? 0.7);
+
+  return {
+    name: 'elevenlabs',
+    formats: ['mp3', 'wav'],
+    speeds: SPEEDS,
+    ssml: false,
+    timestamps: true,
+    defaultVoice,
+    settings: { modelId, languageModels, stability, similarity },
+    async listVoices() {
+      const fallback = [{ id: defaultVoice, name: 'Default voice', provider: 'elevenlabs' }];
+      try {
+        const resp = await fetch(`${API}/voices`, { headers: { 'xi-api-key': apiKey } });
+        if (!resp.ok) return fallback;
+        const { voices = [] } = await resp.json();
+        const list = voices.map(v => ({ id: v.voice_id, name: v.name, provider: 'elevenlabs' }));
+        return list.some(v => v.id === defaultVoice) ? list : [...fallback, ...list];
+      } catch {
+        return fallback;
+      }
+    },
+    async synthesize(text, { voice = defaultVoice, speed, format = 'mp3', previous, next, language = 'en', timestamps } = {}) {
+      const model = languageModels[language] || modelId;
+      const endpoint = timestamps ? '/with-timestamps' : '';
+      const url = `${API}/text-to-speech/${encodeURIComponent(voice)}${endpoint}?output_format=${OUTPUT_FORMATS[format]}`;
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'xi-api-key': apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          text,
+          model_id: model,
+          language_code: language !== 'en' && LANGUAGE_CODE_MODELS.has(model) ? language : undefined,
+          // neighbouring sentences keep intonation continuous across chunks
+          previous_text: previous || undefined,
+          next_text: next || undefined,
+          voice_settings: {
+            stability,
+            similarity_boost: similarity,
+            ...(speed ? { speed } : {})
+          }
+        })
+      });
+
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => '<no body>');
+        throw new Error(`ElevenLabs ${resp.status}: ${body}`);
+      }
+      let raw;
+      let words;
+      if (timestamps) {
+        const data = await resp.json();
+        raw = Buffer.from(data.audio_base64 || '', 'base64');
+        const a = data.alignment;
+        if (a) words = wordsFromCharacters({ characters: a.characters, starts: a.character_start_times_seconds, ends: a.character_end_times_seconds });
+      } else {
+        raw = Buffer.from(await resp.arrayBuffer());
+      }
+      const clip = format === 'wav'
+        ? { audio: wrapPcm(raw, PCM_RATE), contentType: 'audio/wav' }
+        : { audio: raw, contentType: 'audio/mpeg' };
+      return words ? { ...clip, words } : clip;
+    }
+  };
+}
@@ -0,0 +1,44 @@
+import { createElevenLabsProvider } from './elevenlabs.js';
+import { createOpenAISpeechProvider } from './openai.js';
+import { createLocalProvider } from './local.js';
+import { ProviderConfigError } from '../llm/errors.js';
+
+/**
+ * TTS provider registry.
+ * Env:
+ *   TTS_PROVIDER optional — "elevenlabs" (default) | "openai" | "local"
+ *
+ * Every provider implements:
+ *   formats          audio formats it can return, first is the default ("mp3", "wav", ...)
+ *   speeds           optional [min, max] speed it accepts; /api/tts rejects speeds
+ *                    outside it (default DEFAULT_SPEEDS, [0.5, 2])
+ *   defaultVoice     voice id used when the request doesn't name one
+ *   timestamps       true if synthesize() can report when each word is spoken
+ *   ssml             true if synthesize() takes SSML (<speak>…</speak>); otherwise it
+ *                    gets plain text (see lib/speechText.js)
+ *   settings         provider-wide options that change the audio (model, ...); part of
+ *                    the TTS cache key
+ *   listVoices()     -> Promise<[{ id, name, provider }]>
+ *   synthesize(text, { voice, speed, format, previous, next, language, timestamps })
+ *                    -> Promise<{ audio: Buffer, contentType, words? }>
+ *                    words: [{ word, start, end }] in seconds, when `timestamps` was
+ *                    asked for and the provider has them (see lib/alignment.js)
+ * `previous`/`next` are the neighbouring sentences; providers that can use
+ * them for smoother prosody do, the rest ignore them. `language` is the text's
+ * language code (lib/language.js); providers pick a model or voice for it where
+ * they need to.
+ */
+
+export const DEFAULT_SPEEDS = [0.5, 2];
+
+const FACTORIES = {
+  elevenlabs: createElevenLabsProvider,
+  openai: createOpenAISpeechProvider,
+  local: createLocalProvider
+};
+
+export function getTTSProvider(name = process.env.TTS_PROVIDER || 'elevenlabs') {
+  const factory = FACTORIES[name.toLowerCase()];
+  if (!factory) throw new ProviderConfigError(`Unknown TTS_PROVIDER "${name}" (expected ${Object.keys(FACTORIES).join(', ')})`);
+  return factory();
+}
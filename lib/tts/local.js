@@ -0,0 +1,102 @@
+import { spawn } from 'child_process';
+import { wrapPcm } from './wav.js';
+
+/**
+ * Offline TTS. With TTS_LOCAL_ENGINE=espeak it shells out to espeak-ng;
+ * otherwise it renders a deterministic tone per word, which is enough to
+ * exercise playback, queuing and timing without any speech engine (and its
+ * word timestamps are exact).
+ * espeak-ng reads SSML (-m), so with it the provider takes SSML input.
+ * Hindi and Kannada text is read with espeak-ng's own "hi"/"kn" voices when
+ * the requested voice is an English one.
+ * Env:
+ *   TTS_LOCAL_ENGINE optional — "tone" (default) | "espeak"
+ *   ESPEAK_BIN optional (default "espeak-ng")
+ */
+
+const SAMPLE_RATE = 16000;
+const WORD_SECONDS = 0.3;
+const GAP_SECONDS = 0.08;
+
+function toneLengths(speed = 1) {
+  return {
+    wordLen: Math.round(SAMPLE_RATE * WORD_SECONDS / speed),
+    gapLen: Math.round(SAMPLE_RATE * GAP_SECONDS / speed)
+  };
+}
+
+function renderTones(text, speed = 1) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const { wordLen, gapLen } = toneLengths(speed);
+  const pcm = Buffer.alloc((wordLen + gapLen) * words.length * 2);
+  let offset = 0;
+  words.forEach(word => {
+    // pitch follows word length so different sentences sound different
+    const freq = 220 + (word.length % 8) * 40;
+    for (let i = 0; i < wordLen; i++) {
+      const fade = Math.min(1, i / 200, (wordLen - i) / 200);
+      pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * freq * i / SAMPLE_RATE) * 8000 * fade), offset);
+      offset += 2;
+    }
+    offset += gapLen * 2;
+  });
+  return wrapPcm(pcm, SAMPLE_RATE);
+}
+
+// One tone per whitespace-separated word, so every word's time is known
+function toneTimestamps(text, speed = 1) {
+  const { wordLen, gapLen } = toneLengths(speed);
+  return text.split(/\s+/).filter(Boolean).map((word, i) => ({
+    word,
+    start: i * (wordLen + gapLen) / SAMPLE_RATE,
+    end: (i * (wordLen + gapLen) + wordLen) / SAMPLE_RATE
+  }));
+}
+
+function runEspeak(text, { voice, speed = 1 }) {
+  const bin = process.env.ESPEAK_BIN || 'espeak-ng';
+  return new Promise((resolve, reject) => {
+    const markup = text.startsWith('<speak>') ? ['-m'] : [];
+    const child = spawn(bin, ['--stdout', ...markup, '-v', voice, '-s', String(Math.round(175 * speed)), text]);
+    const chunks = [];
+    child.stdout.on('data', c => chunks.push(c));
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve(Buffer.concat(chunks)) : reject(new Error(`${bin} exited with ${code}`))));
+  });
+}
+
+export function createLocalProvider() {
+  const engine = process.env.TTS_LOCAL_ENGINE || 'tone';
+  const voices = engine === 'espeak'
+    ? [
+      { id: 'en-us', name: 'English (US)', provider: 'local' },
+      { id: 'en-gb', name: 'English (UK)', provider: 'local' },
+      { id: 'en-in', name: 'English (India)', provider: 'local' },
+      { id: 'hi', name: 'Hindi', provider: 'local' },
+      { id: 'kn', name: 'Kannada', provider: 'local' }
+    ]
+    : [{ id: 'tone', name: 'Test tone', provider: 'local' }];
+
+  return {
+    name: 'local',
+    formats: ['wav'],
+    ssml: engine === 'espeak',
+    timestamps: engine !== 'espeak',
+    defaultVoice: voices[0].id,
+    settings: { engine },
+    async listVoices() {
+      return voices;
+    },
+    async synthesize(text, { voice = voices[0].id, speed, language = 'en', timestamps } = {}) {
+      if (engine === 'espeak') {
+        const spoken = language !== 'en' && voice.startsWith('en') ? language : voice;
+        return { audio: await runEspeak(text, { voice: spoken, speed }), contentType: 'audio/wav' };
+      }
+      return {
+        audio: renderTones(text, speed),
+        contentType: 'audio/wav',
+        ...(timestamps ? { words: toneTimestamps(text, speed) } : {})
+      };
+    }
+  };
+}
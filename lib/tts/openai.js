@@ -0,0 +1,53 @@
+import { ProviderConfigError } from '../llm/errors.js';
+
+/**
+ * OpenAI-compatible /audio/speech adapter (OpenAI, or local servers that
+ * mirror the endpoint such as openedai-speech / Kokoro-FastAPI).
+ * Env:
+ *   TTS_API_KEY optional (falls back to OPENAI_API_KEY; required for api.openai.com)
+ *   TTS_BASE_URL optional (default "https://api.openai.com/v1")
+ *   TTS_MODEL optional (default "tts-1")
+ *   TTS_VOICE optional (default "nova")
+ *   TTS_VOICES optional — comma-separated voice ids to advertise
+ */
+
+const CONTENT_TYPES = { mp3: 'audio/mpeg', wav: 'audio/wav', opus: 'audio/ogg' };
+const OPENAI_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+
+export function createOpenAISpeechProvider() {
+  const baseUrl = (process.env.TTS_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+  const apiKey = process.env.TTS_API_KEY || process.env.OPENAI_API_KEY;
+  if (!apiKey && baseUrl.includes('api.openai.com')) {
+    throw new ProviderConfigError('TTS_API_KEY (or OPENAI_API_KEY) not set');
+  }
+  const model = process.env.TTS_MODEL || 'tts-1';
+  const defaultVoice = process.env.TTS_VOICE || 'nova';
+  const voices = process.env.TTS_VOICES ? process.env.TTS_VOICES.split(',').map(v => v.trim()).filter(Boolean) : OPENAI_VOICES;
+
+  return {
+    name: 'openai',
+    formats: ['mp3', 'wav', 'opus'],
+    ssml: false,
+    timestamps: false,
+    defaultVoice,
+    settings: { baseUrl, model },
+    async listVoices() {
+      return voices.map(id => ({ id, name: id[0].toUpperCase() + id.slice(1), provider: 'openai' }));
+    },
+    async synthesize(text, { voice = defaultVoice, speed, format = 'mp3' } = {}) {
+      const resp = await fetch(`${baseUrl}/audio/speech`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, input: text, voice, speed: speed || 1, response_format: format })
+      });
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => '<no body>');
+        throw new Error(`Speech endpoint ${resp.status}: ${body.slice(0, 300)}`);
+      }
+      return { audio: Buffer.from(await resp.arrayBuffer()), contentType: CONTENT_TYPES[format] };
+    }
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Minimal WAV (RIFF, 16-bit PCM mono) helpers for providers that return raw
+ * PCM or generate audio locally, and for joining per-sentence WAV chunks.
+ */
+
+export function wrapPcm(pcm, sampleRate = 22050, channels = 1, bitsPerSample = 16) {
+  const header = Buffer.alloc(44);
+  const byteRate = sampleRate * channels * bitsPerSample / 8;
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(channels * bitsPerSample / 8, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+// Walk the RIFF chunks and return { sampleRate, channels, bitsPerSample, pcm }
+export function parseWav(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('not a WAV buffer');
+  }
+  let offset = 12;
+  let fmt = null;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    // streamed WAVs (e.g. espeak --stdout) can carry a placeholder size; clamp to the buffer
+    const size = Math.min(buf.readUInt32LE(offset + 4), buf.length - offset - 8);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      fmt = {
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        bitsPerSample: buf.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data' && fmt) {
+      return { ...fmt, pcm: buf.subarray(body, body + size) };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV buffer has no data chunk');
+}
+
+export function concatWav(buffers) {
+  if (buffers.length === 1) return buffers[0];
+  const parts = buffers.map(parseWav);
+  const { sampleRate, channels, bitsPerSample } = parts[0];
+  return wrapPcm(Buffer.concat(parts.map(p => p.pcm)), sampleRate, channels, bitsPerSample);
+}
+
+// Seconds of audio in a WAV buffer
+export function wavDuration(buf) {
+  const { sampleRate, channels, bitsPerSample, pcm } = parseWav(buf);
+  return pcm.length / (sampleRate * channels * bitsPerSample / 8);
+}
@@ -0,0 +1,84 @@
+import chatHandler from '../api/chat.js';
+import ttsHandler from '../api/tts.js';
+import { issueSession } from './auth.js';
+import { dailyLimit } from './budget.js';
+import { getProvider } from './llm/index.js';
+import { getTTSProvider } from './tts/index.js';
+import { listPersonas } from './personas.js';
+import { splitSentences } from './sentences.js';
+
+/**
+ * Fills the chat and TTS caches for every persona's quick prompts the way the
+ * UI asks for them (JSON chat answer, then one TTS request per sentence with
+ * the picker's default voice), so the first visitor who taps a quick prompt
+ * gets cached audio. Runs once at startup from server.js.
+ *
+ * The handlers are called in-process, with credentials minted here, so
+ * API_AUTH applies as usual and the rate limits are spent from a bucket of
+ * their own rather than a visitor's. Warm-up is skipped when LLM_DAILY_BUDGET
+ * or TTS_DAILY_BUDGET covers the configured providers: the budget is for
+ * visitors, not for every restart. With CACHE_BACKEND=disk, later restarts
+ * are mostly cache hits and cost nothing.
+ */
+
+const WARM_CLIENT = 'cache-warm-up';
+
+// Each request gets a session of its own, so the prompts aren't stored as one conversation
+function credentials() {
+  if (process.env.API_KEY) return { 'x-api-key': process.env.API_KEY };
+  const { sessionId, token } = issueSession();
+  return token ? { 'x-session-id': sessionId, 'x-session-token': token } : {};
+}
+
+// Minimal Vercel-style req/res pair, like scripts/eval.js
+async function call(handler, body) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    getHeader(k) { return this.headers[k.toLowerCase()]; },
+    json(payload) { this.body = payload; return this; },
+    send(payload) { this.body = payload; return this; },
+    write() {},
+    end() {}
+  };
+  const req = { method: 'POST', headers: credentials(), query: {}, body, socket: { remoteAddress: WARM_CLIENT } };
+  await handler(req, res);
+  if (res.statusCode !== 200) throw new Error(`${res.statusCode} ${res.body?.error || ''}`.trim());
+  return res;
+}
+
+// The daily budgets warm-up would spend from ("LLM_DAILY_BUDGET (gemini)"), or null
+export function budgetedProviders() {
+  const llm = getProvider().name;
+  const tts = getTTSProvider().name;
+  const budgeted = [];
+  if (dailyLimit('llm', llm) !== Infinity) budgeted.push(`LLM_DAILY_BUDGET (${llm})`);
+  if (dailyLimit('tts', tts) !== Infinity) budgeted.push(`TTS_DAILY_BUDGET (${tts})`);
+  return budgeted.length ? budgeted.join(' and ') : null;
+}
+
+export async function warmQuickPrompts() {
+  const voice = getTTSProvider().defaultVoice;
+  const stats = { answers: 0, clips: 0, hits: 0, failed: 0 };
+  for (const persona of await listPersonas()) {
+    for (const prompt of persona.quickPrompts) {
+      try {
+        const chatRes = await call(chatHandler, { text: prompt.text, persona: persona.id });
+        if (chatRes.getHeader('X-Cache') === 'HIT') stats.hits++;
+        stats.answers++;
+        for (const sentence of splitSentences(chatRes.body.answer || '')) {
+          const ttsRes = await call(ttsHandler, { text: sentence, voice, persona: persona.id });
+          if (ttsRes.getHeader('X-Cache') === 'HIT') stats.hits++;
+          stats.clips++;
+        }
+      } catch (err) {
+        stats.failed++;
+        console.warn(`Cache warm-up failed for ${persona.id} "${prompt.key}":`, err?.message);
+      }
+    }
+  }
+  return stats;
+}
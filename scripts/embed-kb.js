@@ -0,0 +1,62 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createEmbedder } from '../lib/embeddings.js';
+import { listPersonas, kbPath } from '../lib/personas.js';
+import { serializeKB } from '../lib/kbStore.js';
+
+/**
+ * Offline indexer: adds `vector` + `embedder` to every entry of each persona's
+ * personas/<id>/kb_vectors.json.
+ * Usage:
+ *   node scripts/embed-kb.js [--embedder hash|gemini] [--force] [--persona id] [--file path]
+ * Without --persona (or --file) every persona is indexed. Entries that already
+ * carry a vector from the same embedder are skipped unless --force.
+ */
+
+function parseArgs(argv) {
+  const args = { embedder: process.env.EMBEDDER || 'hash', force: false, persona: null, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--force') args.force = true;
+    else if (argv[i] === '--embedder') args.embedder = argv[++i];
+    else if (argv[i] === '--persona') args.persona = argv[++i];
+    else if (argv[i] === '--file') args.file = argv[++i];
+  }
+  return args;
+}
+
+async function embedFile(file, embedder, force) {
+  const kb = JSON.parse(await fs.readFile(file, 'utf8'));
+  const label = path.relative(process.cwd(), file);
+
+  const todo = kb.filter(k => force || k.embedder !== embedder.name || !Array.isArray(k.vector));
+  if (!todo.length) {
+    console.log(`${label}: all ${kb.length} entries already embedded with ${embedder.name}.`);
+    return;
+  }
+
+  const BATCH = 50;
+  for (let i = 0; i < todo.length; i += BATCH) {
+    const batch = todo.slice(i, i + BATCH);
+    const vectors = await embedder.embed(batch.map(k => k.text));
+    batch.forEach((k, j) => { k.vector = vectors[j]; k.embedder = embedder.name; });
+  }
+
+  await fs.writeFile(file, serializeKB(kb));
+  console.log(`${label}: embedded ${todo.length}/${kb.length} entries with ${embedder.name}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const embedder = createEmbedder(args.embedder);
+  let files;
+  if (args.file) files = [path.resolve(process.cwd(), args.file)];
+  else if (args.persona) files = [kbPath(args.persona)];
+  else files = (await listPersonas()).map(p => kbPath(p.id));
+
+  for (const file of files) await embedFile(file, embedder, args.force);
+}
+
+main().catch(err => {
+  console.error('embed-kb failed:', err?.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,215 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Offline eval for twin answers: runs a golden set through the chat handler
+ * in-process and scores retrieval recall (expected KB IDs in the prompt
+ * context), source accuracy (expected IDs cited), the 80-word rule and
+ * required/forbidden phrases, then compares with the saved baseline.
+ * Usage:
+ *   node scripts/eval.js [--persona id] [--llm mock|recorded] [--record gemini|openai]
+ *                        [--golden file] [--update-baseline] [--json]
+ *   --llm mock       deterministic answers from the retrieved chunks (default)
+ *   --llm recorded   replay evals/<persona>.recordings.json; add --record <provider>
+ *                    to call a real model and save its outputs there first
+ * Golden cases (evals/<persona>.golden.json):
+ *   { id, question, history?, expectSources? ([KB IDs]; [] expects none, leave it out
+ *     to skip the source checks), mustInclude?, mustNotInclude?,
+ *     expectConfidence?, expectIntent? (canned intent ID, or null when the question
+ *     must reach the LLM), maxWords? (default 80) }
+ * The baseline is evals/<persona>.<llm>.baseline.json. Exits 1 when a case that
+ * passed in the baseline fails now, or an overall metric drops.
+ */
+
+const EVALS_DIR = path.join(process.cwd(), 'evals');
+const DEFAULT_MAX_WORDS = 80;
+const METRICS = ['passRate', 'recall', 'sourceAccuracy', 'sourcePrecision', 'withinWords'];
+
+function parseArgs(argv) {
+  const args = { persona: process.env.DEFAULT_PERSONA || 'nitya', llm: 'mock', record: null, golden: null, updateBaseline: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--persona') args.persona = argv[++i];
+    else if (a === '--llm') args.llm = argv[++i];
+    else if (a === '--record') args.record = argv[++i];
+    else if (a === '--golden') args.golden = argv[++i];
+    else if (a === '--update-baseline') args.updateBaseline = true;
+    else if (a === '--json') args.json = true;
+    else throw new Error(`unknown argument ${a}`);
+  }
+  return args;
+}
+
+async function readJSON(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (fallback !== undefined && err.code === 'ENOENT') return fallback;
+    throw err;
+  }
+}
+
+// Minimal Vercel-style req/res pair; the handler's JSON reply lands in `res.body`
+function callHandler(handler, body) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    getHeader(k) { return this.headers[k.toLowerCase()]; },
+    json(payload) { this.body = payload; return this; },
+    send(payload) { this.body = payload; return this; },
+    write() {},
+    end() {}
+  };
+  const req = { method: 'POST', headers: {}, query: {}, body, socket: { remoteAddress: '127.0.0.1' } };
+  return Promise.resolve(handler(req, res)).then(() => res);
+}
+
+const includes = (text, phrase) => text.toLowerCase().includes(phrase.toLowerCase());
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+const round = (n) => Math.round(n * 1000) / 1000;
+
+function scoreCase(c, { answer = '', sources = [], confidence, intent = null }, contextIds, error) {
+  const checkSources = Array.isArray(c.expectSources);
+  const expected = c.expectSources || [];
+  const found = expected.filter(id => contextIds.includes(id));
+  const cited = sources.filter(id => expected.includes(id));
+  const words = answer.split(/\s+/).filter(Boolean).length;
+  const result = {
+    id: c.id,
+    question: c.question,
+    recall: expected.length ? found.length / expected.length : 1,
+    sourceHit: !checkSources || (expected.length ? cited.length > 0 : sources.length === 0),
+    sourcePrecision: !checkSources ? 1 : sources.length ? cited.length / sources.length : (expected.length ? 0 : 1),
+    words,
+    withinWords: words <= (c.maxWords || DEFAULT_MAX_WORDS),
+    missing: (c.mustInclude || []).filter(p => !includes(answer, p)),
+    forbidden: (c.mustNotInclude || []).filter(p => includes(answer, p)),
+    confidence,
+    confidenceOk: !c.expectConfidence || confidence === c.expectConfidence,
+    intent,
+    intentOk: c.expectIntent === undefined || intent === c.expectIntent,
+    sources,
+    answer,
+    error
+  };
+  result.pass = !error && result.recall === 1 && result.sourceHit && result.withinWords
+    && !result.missing.length && !result.forbidden.length && result.confidenceOk && result.intentOk;
+  return result;
+}
+
+function summarize(results) {
+  return {
+    cases: results.length,
+    passed: results.filter(r => r.pass).length,
+    passRate: round(mean(results.map(r => (r.pass ? 1 : 0)))),
+    recall: round(mean(results.map(r => r.recall))),
+    sourceAccuracy: round(mean(results.map(r => (r.sourceHit ? 1 : 0)))),
+    sourcePrecision: round(mean(results.map(r => r.sourcePrecision))),
+    withinWords: round(mean(results.map(r => (r.withinWords ? 1 : 0))))
+  };
+}
+
+function compare(summary, results, baseline) {
+  const regressions = [];
+  const improvements = [];
+  const before = new Map((baseline.cases || []).map(c => [c.id, c]));
+  for (const r of results) {
+    const b = before.get(r.id);
+    if (!b) continue;
+    if (b.pass && !r.pass) regressions.push(`${r.id}: passed in baseline, fails now`);
+    else if (!b.pass && r.pass) improvements.push(`${r.id}: now passes`);
+    if (r.recall < b.recall) regressions.push(`${r.id}: recall ${b.recall} -> ${round(r.recall)}`);
+  }
+  for (const m of METRICS) {
+    if (summary[m] < baseline.summary[m]) regressions.push(`${m}: ${baseline.summary[m]} -> ${summary[m]}`);
+  }
+  return { regressions, improvements };
+}
+
+function failureReasons(r) {
+  const reasons = [];
+  if (r.error) reasons.push(`error: ${r.error}`);
+  if (r.recall < 1) reasons.push(`recall ${round(r.recall)}`);
+  if (!r.sourceHit) reasons.push(`cited [${r.sources.join(', ')}]`);
+  if (!r.withinWords) reasons.push(`${r.words} words`);
+  if (r.missing.length) reasons.push(`missing "${r.missing.join('", "')}"`);
+  if (r.forbidden.length) reasons.push(`forbidden "${r.forbidden.join('", "')}"`);
+  if (!r.confidenceOk) reasons.push(`confidence ${r.confidence}`);
+  if (!r.intentOk) reasons.push(`intent ${r.intent}`);
+  return reasons.join('; ');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // In-process runs: no limits, caches or logs between the handler and the answers
+  process.env.LLM_PROVIDER = args.llm;
+  process.env.RATE_LIMIT = 'off';
+  process.env.CACHE_BACKEND = 'off';
+  process.env.ANALYTICS = 'off';
+  process.env.SESSION_STORE = 'off';
+  delete process.env.API_AUTH;
+  delete process.env.LLM_DAILY_BUDGET;
+  if (args.llm === 'recorded') {
+    process.env.LLM_RECORDINGS ||= path.join(EVALS_DIR, `${args.persona}.recordings.json`);
+    if (args.record) process.env.LLM_RECORD_FROM = args.record;
+  }
+
+  const { default: chatHandler } = await import('../api/chat.js');
+  const { loadPersona, loadKB } = await import('../lib/personas.js');
+  const { buildContext } = await import('../lib/retrieval.js');
+
+  const persona = await loadPersona(args.persona);
+  const kb = await loadKB(persona.id);
+  const goldenFile = args.golden || path.join(EVALS_DIR, `${persona.id}.golden.json`);
+  const golden = await readJSON(goldenFile);
+  const baselineFile = path.join(EVALS_DIR, `${persona.id}.${args.llm}.baseline.json`);
+
+  const results = [];
+  for (const c of golden) {
+    const history = c.history || [];
+    const { sources: contextIds } = await buildContext(c.question, kb, 5, history, persona.anchors);
+    let res;
+    let error = null;
+    try {
+      res = await callHandler(chatHandler, { text: c.question, history, persona: persona.id });
+      if (res.statusCode !== 200) error = `HTTP ${res.statusCode}: ${res.body?.error || ''}`;
+    } catch (err) {
+      error = String(err?.message || err);
+    }
+    results.push(scoreCase(c, (!error && res.body) || {}, contextIds, error));
+  }
+
+  const summary = summarize(results);
+  const baseline = await readJSON(baselineFile, null);
+  const { regressions, improvements } = baseline ? compare(summary, results, baseline) : { regressions: [], improvements: [] };
+
+  if (args.json) {
+    console.log(JSON.stringify({ persona: persona.id, llm: args.llm, summary, regressions, improvements, results }, null, 2));
+  } else {
+    console.log(`Eval ${persona.id} (${args.llm} LLM, ${path.relative(process.cwd(), goldenFile)})`);
+    for (const r of results) {
+      console.log(`  ${r.pass ? 'PASS' : 'FAIL'}  ${r.id.padEnd(16)} ${r.pass ? `${r.words} words` : failureReasons(r)}`);
+    }
+    console.log(`\n  passed ${summary.passed}/${summary.cases} · recall ${summary.recall} · source accuracy ${summary.sourceAccuracy} · source precision ${summary.sourcePrecision} · within ${DEFAULT_MAX_WORDS} words ${summary.withinWords}`);
+    if (!baseline) console.log(`  no baseline yet (${path.relative(process.cwd(), baselineFile)}); run with --update-baseline to save one`);
+    for (const line of improvements) console.log(`  improved: ${line}`);
+    for (const line of regressions) console.log(`  REGRESSION: ${line}`);
+  }
+
+  if (args.updateBaseline) {
+    const cases = results.map(({ id, pass, recall, sourceHit, words }) => ({ id, pass, recall: round(recall), sourceHit, words }));
+    await fs.writeFile(baselineFile, `${JSON.stringify({ llm: args.llm, summary, cases }, null, 2)}\n`);
+    console.log(`  baseline saved to ${path.relative(process.cwd(), baselineFile)}`);
+    return;
+  }
+  if (regressions.length) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('eval failed:', err?.message || err);
+  process.exit(1);
+});
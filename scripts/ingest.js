@@ -0,0 +1,66 @@
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import path from 'path';
+import { DEFAULT_PERSONA, loadPersona } from '../lib/personas.js';
+import { documentToChunks, mergeChunks, formatFromFilename, FORMATS } from '../lib/ingest.js';
+
+/**
+ * Ingest documents into a persona KB.
+ * Usage:
+ *   node scripts/ingest.js <file...> [--persona id] [--format markdown|text|pdf-text|json-resume]
+ *                          [--source NAME] [--chunk 600] [--overlap 120] [--replace] [--dry-run]
+ * Format defaults from the extension (.md, .txt, .json, .pdf). PDFs are read
+ * through `pdftotext` (poppler-utils) when it is installed; otherwise pass the
+ * extracted text file with --format pdf-text.
+ */
+
+function parseArgs(argv) {
+  const args = { files: [], persona: DEFAULT_PERSONA, format: null, source: null, chunk: undefined, overlap: undefined, replace: false, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--persona') args.persona = argv[++i];
+    else if (a === '--format') args.format = argv[++i];
+    else if (a === '--source') args.source = argv[++i];
+    else if (a === '--chunk') args.chunk = Number(argv[++i]);
+    else if (a === '--overlap') args.overlap = Number(argv[++i]);
+    else if (a === '--replace') args.replace = true;
+    else if (a === '--dry-run') args.dryRun = true;
+    else args.files.push(a);
+  }
+  return args;
+}
+
+function pdfToText(file) {
+  return new Promise((resolve, reject) => {
+    execFile('pdftotext', ['-layout', file, '-'], { maxBuffer: 20 * 1024 * 1024 }, (err, stdout) => {
+      if (err) reject(new Error(`pdftotext failed (${err.code === 'ENOENT' ? 'not installed' : err.message}); extract the text yourself and use --format pdf-text`));
+      else resolve(stdout);
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.files.length) throw new Error('no input files');
+  if (args.format && !FORMATS.includes(args.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  const persona = await loadPersona(args.persona);
+
+  for (const file of args.files) {
+    const format = args.format || formatFromFilename(file);
+    const content = file.toLowerCase().endsWith('.pdf') ? await pdfToText(file) : await fs.readFile(file, 'utf8');
+    const source = args.source || path.basename(file).replace(/\.[^.]+$/, '');
+    const doc = documentToChunks(content, { format, source, size: args.chunk, overlap: args.overlap });
+    const report = await mergeChunks(persona.id, doc, { replace: args.replace, dryRun: args.dryRun });
+
+    console.log(`${file} (${format}) -> ${persona.id}: ${doc.chunks.length} chunks${args.dryRun ? ' [dry run]' : ''}`);
+    for (const key of ['added', 'updated', 'unchanged', 'removed']) {
+      if (report[key].length) console.log(`  ${key}: ${report[key].join(', ')}`);
+    }
+    for (const s of report.skipped) console.log(`  skipped ${s.id} (duplicate of ${s.duplicateOf})`);
+  }
+}
+
+main().catch(err => {
+  console.error('ingest failed:', err?.message || err);
+  process.exit(1);
+});
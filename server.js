@@ -0,0 +1,162 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import { promises as fs, existsSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { warmQuickPrompts, budgetedProviders } from './lib/warmCache.js';
+import { attachRealtime } from './lib/realtime.js';
+
+/**
+ * Self-hosted server: every handler in api/ is mounted at the same path Vercel
+ * would give it (api/tts.js -> /api/tts, api/foo/index.js -> /api/foo), and the
+ * built SPA in dist/ is served for everything else. `npm run build && npm start`
+ * runs the whole bot without the Vercel CLI; during `npm run dev`, Vite proxies
+ * /api here. The realtime WebSocket channel (lib/realtime.js) is served at
+ * /api/realtime on the same port.
+ * Env:
+ *   PORT                 optional (default 4000)
+ *   HOST                 optional (default all interfaces)
+ *   BODY_LIMIT           optional JSON body limit (default "1mb")
+ *   AUDIO_BODY_LIMIT     optional limit for audio uploads to /api/stt (default "10mb")
+ *   CORS_ORIGINS         optional comma-separated allowed origins, or "*" (default: same-origin only)
+ *   SHUTDOWN_TIMEOUT_MS  optional grace period for in-flight requests on SIGINT/SIGTERM (default 10000)
+ *   CACHE_WARM           optional — "off" skips warming the quick-prompt answers and audio at startup
+ *                        (also skipped when LLM_DAILY_BUDGET or TTS_DAILY_BUDGET applies)
+ *   REALTIME             optional — "off" disables the WebSocket channel (clients fall back to HTTP)
+ */
+
+const ROOT = process.cwd();
+const API_DIR = path.join(ROOT, 'api');
+const DIST_DIR = path.join(ROOT, 'dist');
+const PORT = Number(process.env.PORT) || 4000;
+const HOST = process.env.HOST || undefined;
+const BODY_LIMIT = process.env.BODY_LIMIT || '1mb';
+const AUDIO_BODY_LIMIT = process.env.AUDIO_BODY_LIMIT || '10mb';
+const AUDIO_TYPES = ['audio/*', 'application/octet-stream'];
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// api/**/*.js -> [{ route, file }]; _-prefixed files are private to Vercel too
+async function findRoutes(dir, prefix = '/api') {
+  const routes = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      routes.push(...await findRoutes(file, `${prefix}/${entry.name}`));
+    } else if (entry.name.endsWith('.js')) {
+      const name = entry.name.slice(0, -3);
+      if (name.includes('[')) {
+        console.warn(`Skipping ${path.relative(ROOT, file)}: dynamic segments are not supported`);
+        continue;
+      }
+      routes.push({ route: name === 'index' ? prefix : `${prefix}/${name}`, file });
+    }
+  }
+  return routes;
+}
+
+function cors(req, res, next) {
+  const origin = req.headers.origin;
+  if (!origin || !CORS_ORIGINS.length) return next();
+  const allowed = CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin);
+  if (allowed) {
+    res.setHeader('Access-Control-Allow-Origin', CORS_ORIGINS.includes('*') ? '*' : origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Token, X-Api-Key, X-Session-Id, X-Session-Token');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, Content-Disposition');
+    res.setHeader('Access-Control-Max-Age', '600');
+  }
+  if (req.method === 'OPTIONS') return res.status(allowed ? 204 : 403).end();
+  next();
+}
+
+async function createApp() {
+  const app = express();
+  app.disable('x-powered-by');
+  app.use('/api', cors, bodyParser.json({ limit: BODY_LIMIT }), bodyParser.raw({ type: AUDIO_TYPES, limit: AUDIO_BODY_LIMIT }));
+
+  for (const { route, file } of await findRoutes(API_DIR)) {
+    const { default: handler } = await import(pathToFileURL(file).href);
+    if (typeof handler !== 'function') {
+      console.warn(`Skipping ${path.relative(ROOT, file)}: no default export`);
+      continue;
+    }
+    // Handlers take Vercel-style (req, res); Express already provides query, body, status and json
+    app.all(route, async (req, res) => {
+      try {
+        await handler(req, res);
+      } catch (err) {
+        console.error(`${route} handler error`, err);
+        if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+        else res.end();
+      }
+    });
+    console.log(`Mounted ${route}`);
+  }
+  app.all('/api/*rest', (req, res) => res.status(404).json({ error: 'Not found' }));
+
+  if (existsSync(DIST_DIR)) {
+    app.use(express.static(DIST_DIR, { index: 'index.html' }));
+    app.get('/*rest', (req, res) => res.sendFile(path.join(DIST_DIR, 'index.html')));
+  } else {
+    console.warn('No dist/ folder: run `npm run build` to serve the frontend from here');
+  }
+
+  // body-parser failures (too large, bad JSON) as JSON errors like the handlers use
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Request body must be at most ${req.is(AUDIO_TYPES) ? AUDIO_BODY_LIMIT : BODY_LIMIT}` });
+    }
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Invalid JSON body' });
+    console.error('server error', err);
+    res.status(err.status || 500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+}
+
+// Stop accepting connections, let in-flight requests (and SSE streams) finish, then exit
+function handleShutdown(server, realtime) {
+  let closing = false;
+  const shutdown = (signal) => {
+    if (closing) return;
+    closing = true;
+    console.log(`${signal} received, shutting down`);
+    // WebSockets would keep the server open; clients reconnect or fall back to HTTP
+    realtime?.close();
+    const timer = setTimeout(() => {
+      console.warn('Forcing remaining connections closed');
+      server.closeAllConnections();
+    }, SHUTDOWN_TIMEOUT_MS);
+    timer.unref();
+    server.close(() => {
+      clearTimeout(timer);
+      process.exit(0);
+    });
+    server.closeIdleConnections();
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+const app = await createApp();
+const server = app.listen(PORT, HOST, () => {
+  console.log(`Server running at http://${HOST || 'localhost'}:${PORT}`);
+  if (process.env.CACHE_WARM === 'off' || process.env.CACHE_BACKEND === 'off') return;
+  let budgeted;
+  try {
+    budgeted = budgetedProviders();
+  } catch (err) {
+    return console.warn('Cache warm-up skipped:', err?.message);
+  }
+  if (budgeted) return console.log(`Cache warm-up skipped: it would spend ${budgeted}`);
+  warmQuickPrompts()
+    .then(s => console.log(`Cache warmed: ${s.answers} answers, ${s.clips} clips (${s.hits} already cached, ${s.failed} failed)`))
+    .catch(err => console.warn('Cache warm-up failed:', err?.message));
+});
+const realtime = process.env.REALTIME === 'off' ? null : attachRealtime(server, { origins: CORS_ORIGINS });
+handleShutdown(server, realtime);
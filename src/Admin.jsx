@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * KB editor at #/admin. Talks to /api/kb with the shared admin token,
+ * which is kept in sessionStorage for this tab only.
+ */
+
+function Admin() {
+  const [token, setToken] = useState(() => sessionStorage.getItem('voicebot.adminToken') || '');
+  const [personas, setPersonas] = useState([]);
+  const [personaId, setPersonaId] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null); // { id, text, isNew }
+  const [question, setQuestion] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [errorMsg, setErrorMsg] = useState('');
+
+  const api = async (params, options = {}) => {
+    const qs = new URLSearchParams({ persona: personaId, ...params });
+    const res = await fetch(`/api/kb?${qs}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...(options.headers || {}) }
+    });
+    if (res.status === 204) return null;
+    const j = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(j.error || `Request failed (${res.status})`);
+    return j;
+  };
+
+  useEffect(() => {
+    fetch('/api/personas')
+      .then(r => (r.ok ? r.json() : null))
+      .then(j => {
+        if (!j) return;
+        setPersonas(j.personas || []);
+        setPersonaId(id => id || j.defaultPersona);
+      })
+      .catch(() => {});
+  }, []);
+
+  const refresh = async () => {
+    if (!token || !personaId) return;
+    try {
+      const j = await api(search ? { q: search } : {});
+      setEntries(j.entries);
+      setErrorMsg('');
+    } catch (err) {
+      setErrorMsg(err.message);
+    }
+  };
+
+  useEffect(() => { refresh(); }, [token, personaId]);
+
+  const saveToken = (value) => {
+    setToken(value);
+    sessionStorage.setItem('voicebot.adminToken', value);
+  };
+
+  const save = async () => {
+    try {
+      if (selected.isNew) {
+        await api({}, { method: 'POST', body: JSON.stringify({ id: selected.id, text: selected.text }) });
+      } else {
+        await api({ id: selected.originalId }, { method: 'PUT', body: JSON.stringify({ id: selected.id, text: selected.text }) });
+      }
+      setSelected(null);
+      setPreview(null);
+      await refresh();
+    } catch (err) {
+      setErrorMsg(err.message);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete ${selected.originalId}?`)) return;
+    try {
+      await api({ id: selected.originalId }, { method: 'DELETE' });
+      setSelected(null);
+      setPreview(null);
+      await refresh();
+    } catch (err) {
+      setErrorMsg(err.message);
+    }
+  };
+
+  const runPreview = async () => {
+    if (!question.trim()) return;
+    try {
+      const j = await api({ action: 'preview' }, {
+        method: 'POST',
+        body: JSON.stringify({ question, id: selected && !selected.isNew ? selected.originalId : undefined })
+      });
+      setPreview(j);
+      setErrorMsg('');
+    } catch (err) {
+      setErrorMsg(err.message);
+    }
+  };
+
+  return (
+    <div className="container admin">
+      <div className="header">
+        <div className="header-left">
+          <h1 className="title">Knowledge Base Admin</h1>
+          <p className="subtitle">Edit what the twin knows. <a href="#/analytics">Analytics</a> · <a href="#/">Back to chat</a></p>
+        </div>
+        <div className="header-controls">
+          <input
+            className="input-field admin-token"
+            type="password"
+            placeholder="Admin token"
+            aria-label="Admin token"
+            value={token}
+            onChange={e => saveToken(e.target.value)}
+          />
+          {personas.length > 1 && (
+            <select className="voice-select" value={personaId} onChange={e => setPersonaId(e.target.value)} aria-label="Choose persona">
+              {personas.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div className="input-row">
+        <input
+          className="input-field"
+          placeholder="Search entries..."
+          aria-label="Search entries"
+          value={search}
+          onChange={e => setSearch(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') refresh(); }}
+        />
+        <button className="btn-send" onClick={refresh}>Search</button>
+        <button className="btn-send" onClick={() => setSelected({ id: '', text: '', isNew: true })}>New</button>
+      </div>
+
+      <div className="admin-grid">
+        <ul className="admin-list">
+          {entries.map(e => (
+            <li key={e.id}>
+              <button
+                className={`admin-entry ${selected?.originalId === e.id ? 'active' : ''}`}
+                onClick={() => setSelected({ id: e.id, originalId: e.id, text: e.text })}
+              >
+                <strong>{e.id}</strong>
+                <span>{e.text}</span>
+                {!e.embedded && <span className="chip">not embedded</span>}
+              </button>
+            </li>
+          ))}
+          {!entries.length && <li className="chat-empty">No entries{token ? '' : ' — enter the admin token'}.</li>}
+        </ul>
+
+        <div className="admin-editor">
+          {selected ? (
+            <>
+              <input
+                className="input-field"
+                placeholder="KB_ID"
+                aria-label="Entry id"
+                value={selected.id}
+                onChange={e => setSelected(s => ({ ...s, id: e.target.value }))}
+              />
+              <textarea
+                className="input-field admin-text"
+                aria-label="Entry text"
+                value={selected.text}
+                onChange={e => setSelected(s => ({ ...s, text: e.target.value }))}
+              />
+              <div className="quick-buttons">
+                <button onClick={save}>{selected.isNew ? 'Create' : 'Save'}</button>
+                {!selected.isNew && <button onClick={remove}>Delete</button>}
+                <button onClick={() => setSelected(null)}>Cancel</button>
+              </div>
+            </>
+          ) : (
+            <p className="chat-empty">Pick an entry to edit, or create a new one.</p>
+          )}
+
+          <div className="admin-preview">
+            <div className="input-row">
+              <input
+                className="input-field"
+                placeholder="Sample question, e.g. What projects have you built?"
+                aria-label="Sample question"
+                value={question}
+                onChange={e => setQuestion(e.target.value)}
+                onKeyDown={e => { if (e.key === 'Enter') runPreview(); }}
+              />
+              <button className="btn-send" onClick={runPreview}>Preview</button>
+            </div>
+            {preview && (
+              <div className="chips">
+                {preview.entry && (
+                  <span className="chip">
+                    {preview.entry.id}: {preview.entry.rank ? `rank ${preview.entry.rank}` : 'not retrieved'}
+                    {preview.entry.inContext ? ' (in context)' : ''}
+                  </span>
+                )}
+                {preview.matches.map((m, i) => (
+                  <span key={m.id} className="chip">#{i + 1} {m.id} · {m.score}</span>
+                ))}
+                {!preview.matches.length && <span className="chip">No matches — only anchors would be sent</span>}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {errorMsg && <div className="error-banner">{errorMsg}</div>}
+    </div>
+  );
+}
+
+export default Admin;
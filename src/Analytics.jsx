@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Conversation dashboard at #/analytics: what people ask, which answers were
+ * weak and which KB entries never come up. Reads /api/analytics with the same
+ * admin token as the KB editor.
+ */
+
+const ms = (v) => (v == null ? '—' : `${Math.round(v)} ms`);
+
+function Analytics() {
+  const [token, setToken] = useState(() => sessionStorage.getItem('voicebot.adminToken') || '');
+  const [personas, setPersonas] = useState([]);
+  const [personaId, setPersonaId] = useState('');
+  const [days, setDays] = useState(7);
+  const [data, setData] = useState(null);
+  const [errorMsg, setErrorMsg] = useState('');
+
+  useEffect(() => {
+    fetch('/api/personas')
+      .then(r => (r.ok ? r.json() : null))
+      .then(j => {
+        if (!j) return;
+        setPersonas(j.personas || []);
+        setPersonaId(id => id || j.defaultPersona);
+      })
+      .catch(() => {});
+  }, []);
+
+  const refresh = async () => {
+    if (!token || !personaId) return;
+    try {
+      const qs = new URLSearchParams({ persona: personaId, days: String(days) });
+      const res = await fetch(`/api/analytics?${qs}`, { headers: { Authorization: `Bearer ${token}` } });
+      const j = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(j.error || `Request failed (${res.status})`);
+      setData(j);
+      setErrorMsg('');
+    } catch (err) {
+      setErrorMsg(err.message);
+    }
+  };
+
+  useEffect(() => { refresh(); }, [token, personaId, days]);
+
+  const saveToken = (value) => {
+    setToken(value);
+    sessionStorage.setItem('voicebot.adminToken', value);
+  };
+
+  const t = data?.totals;
+
+  return (
+    <div className="container admin">
+      <div className="header">
+        <div className="header-left">
+          <h1 className="title">Conversation Analytics</h1>
+          <p className="subtitle">What people ask and where the KB falls short. <a href="#/admin">KB editor</a> · <a href="#/">Back to chat</a></p>
+        </div>
+        <div className="header-controls">
+          <input
+            className="input-field admin-token"
+            type="password"
+            placeholder="Admin token"
+            aria-label="Admin token"
+            value={token}
+            onChange={e => saveToken(e.target.value)}
+          />
+          {personas.length > 1 && (
+            <select className="voice-select" value={personaId} onChange={e => setPersonaId(e.target.value)} aria-label="Choose persona">
+              {personas.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          )}
+          <select className="voice-select" value={days} onChange={e => setDays(Number(e.target.value))} aria-label="Time range">
+            <option value={1}>Last 24 hours</option>
+            <option value={7}>Last 7 days</option>
+            <option value={30}>Last 30 days</option>
+            <option value={90}>Last 90 days</option>
+          </select>
+        </div>
+      </div>
+
+      {!data && <p className="chat-empty">{token ? 'Loading…' : 'Enter the admin token to see analytics.'}</p>}
+
+      {data && (
+        <>
+          <div className="chips analytics-totals">
+            <span className="chip">{t.exchanges} questions</span>
+            <span className="chip">{t.sessions} sessions</span>
+            <span className="chip">{t.intents} canned</span>
+            <span className="chip">{t.cacheHits} cached</span>
+            <span className="chip">{t.lowConfidence} low confidence</span>
+            <span className="chip">{t.refused} refused</span>
+            <span className="chip">{t.ttsRequests} TTS ({t.ttsCacheHits} cached)</span>
+            <span className="chip">{t.errors} errors</span>
+          </div>
+          <div className="chips analytics-totals">
+            <span className="chip">Model p50 {ms(data.latency.model.p50)} · p95 {ms(data.latency.model.p95)}</span>
+            <span className="chip">Chat p50 {ms(data.latency.chat.p50)} · p95 {ms(data.latency.chat.p95)}</span>
+            <span className="chip">TTS p50 {ms(data.latency.tts.p50)} · p95 {ms(data.latency.tts.p95)}</span>
+            {t.sttRequests > 0 && <span className="chip">STT p50 {ms(data.latency.stt.p50)} · p95 {ms(data.latency.stt.p95)} ({t.sttRequests})</span>}
+          </div>
+
+          <div className="admin-grid">
+            <section className="analytics-section">
+              <h2>Most asked</h2>
+              <ol className="admin-list">
+                {data.topQuestions.map(q => (
+                  <li key={q.question} className="admin-entry">
+                    <strong>{q.count}× {q.question}</strong>
+                    {q.lowConfidence > 0 && <span>{q.lowConfidence} low-confidence answer{q.lowConfidence === 1 ? '' : 's'}</span>}
+                  </li>
+                ))}
+                {!data.topQuestions.length && <li className="chat-empty">No questions logged yet.</li>}
+              </ol>
+            </section>
+
+            <section className="analytics-section">
+              <h2>Low confidence</h2>
+              <ul className="admin-list">
+                {data.lowConfidence.map(e => (
+                  <li key={e.ts + e.question} className="admin-entry">
+                    <strong>{e.question}</strong>
+                    <span>{e.answer}</span>
+                    <span className="chips">
+                      {e.refused && <span className="chip">refused</span>}
+                      {e.retrieved.map(id => <span key={id} className="chip">{id.replace('KB_', '')}</span>)}
+                    </span>
+                  </li>
+                ))}
+                {!data.lowConfidence.length && <li className="chat-empty">Nothing weak so far.</li>}
+              </ul>
+            </section>
+          </div>
+
+          <section className="analytics-section">
+            <h2>Never retrieved ({data.neverRetrieved.length})</h2>
+            <div className="chips">
+              {data.neverRetrieved.map(id => <span key={id} className="chip">{id}</span>)}
+              {!data.neverRetrieved.length && <span className="chat-empty">Every KB entry has come up at least once.</span>}
+            </div>
+          </section>
+
+          {data.errors.length > 0 && (
+            <section className="analytics-section">
+              <h2>Recent errors</h2>
+              <ul className="admin-list">
+                {data.errors.map(e => (
+                  <li key={e.ts + e.error} className="admin-entry">
+                    <strong>{new Date(e.ts).toLocaleString()} · {e.type}</strong>
+                    <span>{e.error}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </>
+      )}
+
+      {errorMsg && <div className="error-banner">{errorMsg}</div>}
+    </div>
+  );
+}
+
+export default Analytics;
@@ -1,20 +1,123 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import { createSpeechQueue } from './speechQueue';
+import { createVoiceLoop } from './voiceLoop';
+import { canRecord, openMic, createClipRecorder, transcribe } from './recorder';
+import { exportTranscript } from './transcriptExport';
+import { sessionHeaders, clearSession, fetchConversation, forgetConversation } from './session';
+import { uiStrings } from './strings';
+import { fetchInterviews, scoreInterview } from './interview';
+import { connectRealtime, askRealtime, cancelRealtime } from './realtime';
+import { InterviewBar, InterviewReport } from './InterviewMode';
+import { splitSentences, createSentenceBuffer } from '../lib/sentences.js';
+import { matchIntent } from '../lib/intents.js';
+import { LANGUAGES, AUTO, DEFAULT_LANGUAGE, isLanguage, detectLanguage } from '../lib/language.js';
+import { tokenize } from '../lib/alignment.js';
 
 /**
- * Demo mode off so frontend calls the /api/chat endpoint (Gemini-backed).
+ * Demo mode is off so the frontend calls the /api/chat endpoint (Gemini-backed).
+ * Build with VITE_DEMO_MODE=true for an offline demo: questions are matched to
+ * the persona's intents in the browser and answered from its demo answers.
  */
-const DEMO_MODE = false;
-
-const demoAnswers = {
-  life: "I’m a fourth-year engineering student from Bengaluru who blends design and code. I picked up Figma and frontend early, and I’ve been dabbling in AI/ML because it’s fascinating to see ideas turn into interactive, helpful tools.",
-  superpower: "My #1 superpower is creative problem-solving: I combine design thinking with code to ship simple, useful prototypes quickly and iterate based on feedback.",
-  grow: "Top three areas I want to grow in are: (1) backend systems and scalable deployments, (2) advanced ML/LLM tooling and RAG pipelines, and (3) system design and architecture for production-grade apps.",
-  misconception: "Many coworkers assume I prefer working alone because I’m focused; in reality I do my best work in short, collaborative sessions and by sharing early mockups to gather feedback.",
-  push: "I push my boundaries by shipping imperfect versions quickly, setting small time-boxed challenges, asking for feedback, and iterating fast—this forces learning and removes perfection paralysis."
+const DEMO_MODE = import.meta.env.VITE_DEMO_MODE === 'true';
+
+// Shown until /api/personas answers (or if it can't be reached)
+const EMPTY_PERSONA = {
+  id: '',
+  name: '',
+  title: 'Voice Assistant',
+  subtitle: "Speak or type; I'll answer and speak back.",
+  quickPrompts: [],
+  demoAnswers: {},
+  intents: []
 };
 
+// ?persona=<id> in the URL wins, then the last persona picked on this device
+function initialPersonaId() {
+  return new URLSearchParams(window.location.search).get('persona') || localStorage.getItem('voicebot.persona') || '';
+}
+
 const LOADING_TEXT = '...';
 
+// Chat messages get an id so a reply can be updated (and highlighted) in place
+let lastMessageId = 0;
+const nextMessageId = () => ++lastMessageId;
+
+const wait = (ms) => new Promise(r => setTimeout(r, Math.max(0, ms)));
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Message text with the word being spoken marked. The caption names the
+ * sentence the speech queue is on and the word's position among its words;
+ * the sentence is found in the message regardless of line breaks.
+ */
+function SpokenText({ text, caption }) {
+  if (!caption) return text;
+  const pattern = caption.sentence.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+  const start = text.search(new RegExp(pattern));
+  const word = start < 0 ? null : tokenize(text.slice(start))[caption.ordinal];
+  if (!word) return text;
+  const from = start + word.index;
+  const to = from + word.word.length;
+  return (
+    <>
+      {text.slice(0, from)}
+      <mark className="spoken-word">{text.slice(from, to)}</mark>
+      {text.slice(to)}
+    </>
+  );
+}
+
+// mic error codes -> keys in src/strings.js
+const MIC_ERRORS = {
+  unsupported: 'micUnsupported',
+  'not-allowed': 'micBlocked'
+};
+
+// A fixed language, or "auto" to follow whatever language the conversation is in
+function initialLanguage() {
+  const saved = localStorage.getItem('voicebot.language');
+  return saved === AUTO || isLanguage(saved) ? saved : AUTO;
+}
+
+// Live transcript goes straight into the (uncontrolled) text box
+function showTranscript(text) {
+  const el = document.getElementById('textInput');
+  if (el) el.value = text;
+}
+
+// A failed chat request; limits and auth come with a message meant for the user
+function requestError(status, message) {
+  if (status === 401) clearSession();
+  const err = new Error(message || 'Server error');
+  err.userMessage = [401, 413, 429].includes(status) ? message : '';
+  return err;
+}
+
+// Reads a text/event-stream response body and calls onEvent(event, data) per message
+async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let sep;
+    while ((sep = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      let event = 'message';
+      let data = '';
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
 function App() {
   const [chat, setChat] = useState([]);
   const [listening, setListening] = useState(false);
@@ -23,210 +126,543 @@ function App() {
   const [pulse, setPulse] = useState(false);
   const [isVoiceMode, setIsVoiceMode] = useState(false); // default silent
   const [isSpeaking, setIsSpeaking] = useState(false);
+  const [handsFree, setHandsFree] = useState(false);
+  const [transcribing, setTranscribing] = useState(false);
+  // the message being read aloud, and the word in it being said right now
+  const [speakingId, setSpeakingId] = useState(null);
+  const [caption, setCaption] = useState(null);
+  const avatarRef = useRef(null);
+  // resolves when the answer being spoken has been said (or is cut off)
+  const speechEndedRef = useRef(null);
+  // the answer the realtime channel is synthesizing, so an interruption can stop it server-side
+  const realtimeTurnRef = useRef(null);
+  // Interview mode: { config, index, answers, startedAt, askedAt, deadline, phase, report };
+  // phase is asking | scoring | unscored (scoring failed) | report
+  const [interviews, setInterviews] = useState([]);
+  const [interview, setInterview] = useState(null);
+  const interviewRun = useRef(0);
   const chatRef = useRef();
-  const audioRef = useRef(null);
+  const speechRef = useRef(null);
+  const recogRef = useRef(null);
+  const voiceLoopRef = useRef(null);
+  const voiceHandlers = useRef({});
+  const [personas, setPersonas] = useState([]);
+  const [personaId, setPersonaId] = useState(initialPersonaId);
+  const persona = personas.find(p => p.id === personaId) || personas[0] || EMPTY_PERSONA;
+  const demoAnswers = persona.demoAnswers || {};
+  const [voices, setVoices] = useState([]);
+  const [voice, setVoice] = useState(() => localStorage.getItem('voicebot.voice') || '');
+  const [language, setLanguage] = useState(initialLanguage);
+  // the language the conversation is in right now (from the last answer) when on auto
+  const [spokenLanguage, setSpokenLanguage] = useState(DEFAULT_LANGUAGE);
+  const activeLanguage = language === AUTO ? spokenLanguage : language;
+  const locale = LANGUAGES[activeLanguage].locale;
+  // on auto, recorded clips go to /api/stt without a hint so the backend detects the language
+  const sttLocale = language === AUTO ? null : locale;
+  const t = uiStrings(activeLanguage);
+
+  useEffect(() => {
+    fetch('/api/personas')
+      .then(r => (r.ok ? r.json() : null))
+      .then(j => {
+        if (!j) return;
+        const list = j.personas || [];
+        setPersonas(list);
+        setPersonaId(id => (list.some(p => p.id === id) ? id : j.defaultPersona));
+      })
+      .catch(() => {});
+  }, []);
+
+  // Pick up the conversation this browser had going; the server keeps it per session
+  useEffect(() => {
+    if (DEMO_MODE) return;
+    fetchConversation().then(conv => {
+      if (!conv?.turns?.length) return;
+      const wanted = new URLSearchParams(window.location.search).get('persona');
+      if (wanted && wanted !== conv.persona) return;
+      setChat(c => (c.length ? c : conv.turns.map(turn => ({
+        id: nextMessageId(),
+        who: turn.role === 'user' ? 'you' : 'bot',
+        text: turn.content,
+        confidence: turn.confidence,
+        sources: turn.sources,
+        fallback: turn.fallback,
+        language: turn.language
+      }))));
+      const last = conv.turns[conv.turns.length - 1];
+      if (isLanguage(last?.language)) setSpokenLanguage(last.language);
+      if (conv.persona) setPersonaId(conv.persona);
+      setTimeout(() => { chatRef.current?.scrollTo({ top: chatRef.current.scrollHeight }); }, 50);
+    });
+  }, []);
+
+  const newConversation = () => {
+    stopSpeaking();
+    interviewRun.current++;
+    setInterview(null);
+    setChat([]);
+    forgetConversation();
+  };
+
+  const exportAs = (format) => {
+    exportTranscript(format, { persona: persona.id, chat })
+      .catch(err => setErrorMsg(err.message || 'Export failed'));
+  };
+
+  const choosePersona = (id) => {
+    if (id === persona.id) return;
+    newConversation();
+    setPersonaId(id);
+    localStorage.setItem('voicebot.persona', id);
+    const url = new URL(window.location.href);
+    url.searchParams.set('persona', id);
+    window.history.replaceState(null, '', url);
+  };
+
+  // Voice picker options come from whichever TTS provider the server runs
+  useEffect(() => {
+    fetch('/api/voices')
+      .then(r => (r.ok ? r.json() : null))
+      .then(j => {
+        if (!j) return;
+        setVoices(j.voices || []);
+        setVoice(v => ((j.voices || []).some(x => x.id === v) ? v : j.defaultVoice || ''));
+      })
+      .catch(() => {});
+  }, []);
+
+  // Interviews need the server to score them, so the offline demo has none
+  useEffect(() => {
+    if (DEMO_MODE || !persona.id) return;
+    fetchInterviews(persona.id).then(setInterviews);
+  }, [persona.id]);
+
+  const chooseVoice = (id) => {
+    setVoice(id);
+    localStorage.setItem('voicebot.voice', id);
+  };
+
+  const chooseLanguage = (code) => {
+    setLanguage(code);
+    localStorage.setItem('voicebot.language', code);
+    if (code !== AUTO) setSpokenLanguage(code);
+  };
 
   const append = (who, text, meta = {}) => {
-    setChat(c => [...c, { who, text, ...meta }]);
+    const message = { id: nextMessageId(), who, text, ...meta };
+    setChat(c => [...c, message]);
     setTimeout(() => { chatRef.current?.scrollTo({ top: chatRef.current.scrollHeight, behavior: 'smooth' }); }, 50);
+    return message.id;
   };
 
   const stopSpeaking = () => {
     window.speechSynthesis?.cancel();
-    if (audioRef.current) {
-      audioRef.current.pause();
-      audioRef.current.currentTime = 0;
-    }
+    speechRef.current?.cancel();
+    speechRef.current = null;
+    speechEndedRef.current?.resolve();
+    speechEndedRef.current = null;
+    if (realtimeTurnRef.current != null) cancelRealtime(realtimeTurnRef.current);
+    realtimeTurnRef.current = null;
     setIsSpeaking(false);
+    setSpeakingId(null);
+    setCaption(null);
+  };
+
+  // Speech queue cues: highlight the word in the message, move the avatar's mouth
+  const showCue = (messageId, cue) => {
+    const avatar = avatarRef.current;
+    if (avatar) {
+      if (cue?.viseme) avatar.dataset.viseme = cue.viseme;
+      else delete avatar.dataset.viseme;
+    }
+    const ordinal = cue?.word ? tokenize(cue.text).findIndex(w => w.index === cue.word.index) : -1;
+    setCaption(c => {
+      if (ordinal < 0) return null;
+      if (c && c.id === messageId && c.sentence === cue.text && c.ordinal === ordinal) return c;
+      return { id: messageId, sentence: cue.text, ordinal };
+    });
+  };
+
+  // Fresh queue for one answer; sentences are pushed as they become available
+  const startSpeech = (speechLanguage = activeLanguage, messageId = null) => {
+    stopSpeaking();
+    setSpeakingId(messageId);
+    const ended = {};
+    ended.promise = new Promise(resolve => { ended.resolve = resolve; });
+    speechEndedRef.current = ended;
+    const queue = createSpeechQueue({
+      voice,
+      persona: persona.id,
+      lexicon: persona.lexicon,
+      language: speechLanguage,
+      onStart: () => setIsSpeaking(true),
+      onIdle: () => {
+        ended.resolve();
+        if (speechRef.current === queue) {
+          speechRef.current = null;
+          setSpeakingId(null);
+        }
+        setIsSpeaking(false);
+      },
+      onCue: (cue) => {
+        if (speechRef.current === queue && messageId != null) showCue(messageId, cue);
+      }
+    });
+    speechRef.current = queue;
+    return queue;
   };
 
-  // Web Speech API
+  // Web Speech API, hold to talk: interim words show in the input, the final transcript is sent on release
   const startListening = async () => {
+    if (handsFree || recogRef.current) return;
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     if (!SpeechRecognition) {
-      alert('SpeechRecognition not supported in this browser. Use Chrome on desktop or Android for best support.');
+      if (canRecord()) return startRecording();
+      alert(t[MIC_ERRORS.unsupported]);
       return;
     }
+    stopSpeaking();
     const recog = new SpeechRecognition();
-    recog.lang = 'en-US';
-    recog.interimResults = false;
+    recog.lang = locale;
+    recog.interimResults = true;
+    let finalText = '';
     recog.onstart = () => { setListening(true); setPulse(true); };
-    recog.onend = () => { setListening(false); setPulse(false); };
-    recog.onerror = (e) => {
+    recog.onend = () => {
+      recogRef.current = null;
       setListening(false);
       setPulse(false);
+      showTranscript('');
+      if (finalText.trim()) {
+        append('you', finalText.trim());
+        sendToServer(finalText.trim());
+      }
+    };
+    recog.onerror = (e) => {
+      if (e.error === 'no-speech' || e.error === 'aborted') return;
       console.error(e);
-      alert('Microphone error: ' + (e.error || 'unknown'));
+      alert(`${t.micError}: ${e.error || 'unknown'}`);
     };
-    recog.onresult = async (e) => {
-      const text = e.results[0][0].transcript;
-      append('you', text);
-      await sendToServer(text);
+    recog.onresult = (e) => {
+      let interim = '';
+      for (let i = e.resultIndex; i < e.results.length; i++) {
+        if (e.results[i].isFinal) finalText += e.results[i][0].transcript;
+        else interim += e.results[i][0].transcript;
+      }
+      showTranscript(finalText + interim);
     };
+    recogRef.current = recog;
     recog.start();
   };
 
-  const stopListening = () => {
-    setListening(false);
-  };
-
-  const sendToServer = async (text) => {
+  // No Web Speech API: record while the mic is held, then transcribe on the server (/api/stt)
+  const startRecording = async () => {
+    // the mic may be released before getUserMedia resolves
+    const take = { stop: () => { take.released = true; } };
+    recogRef.current = take;
     stopSpeaking();
-    // Normalize
-    const norm = (s) => s.toLowerCase().replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
-    const q = norm(text);
+    let stream;
+    try {
+      stream = await openMic();
+    } catch (err) {
+      console.error(err);
+      recogRef.current = null;
+      setErrorMsg(t[MIC_ERRORS['not-allowed']]);
+      return;
+    }
+    const clips = createClipRecorder(stream);
+    clips.start();
+    setListening(true);
+    setPulse(true);
 
-    if (DEMO_MODE) {
-      // Quick exact-phrases (more reliable)
-      const phraseMatches = [
-        { phrases: ['what should we know about', 'what should we know', 'tell us your life', 'give a short bio', 'who are you in a few sentences'], key: 'life' },
-        { phrases: ['superpower', 'super power', 'biggest strength', 'number one strength', 'what is your strength', 'what s your superpower'], key: 'superpower' },
-        { phrases: ['top 3 areas', 'top three areas', 'areas you want to grow', 'where do you want to improve', 'what skills do you want to learn'], key: 'grow' },
-        { phrases: ['misconception', 'what do people get wrong', 'what do coworkers get wrong', 'how do coworkers misread you'], key: 'misconception' },
-        { phrases: ['push your boundaries', 'how do you push', 'how do you challenge yourself', 'push boundaries', 'grow beyond your comfort'], key: 'push' }
-      ];
-
-      for (const pm of phraseMatches) {
-        for (const p of pm.phrases) {
-          if (q.includes(p)) {
-            const reply = demoAnswers[pm.key];
-            append('bot', reply);
-            if (isVoiceMode) speak(reply);
-            return;
-          }
+    const finish = async () => {
+      recogRef.current = null;
+      setListening(false);
+      setPulse(false);
+      const blob = await clips.stop();
+      stream.getTracks().forEach(t => t.stop());
+      if (!blob) return;
+      setTranscribing(true);
+      try {
+        const text = await transcribe(blob, { lang: sttLocale, persona: persona.id || undefined });
+        if (text) {
+          append('you', text);
+          sendToServer(text);
         }
+      } catch (err) {
+        console.error(err);
+        setErrorMsg([401, 413, 429].includes(err.status) ? err.message : t.transcribeError);
+      } finally {
+        setTranscribing(false);
       }
+    };
+    if (take.released) finish();
+    else take.stop = finish;
+  };
 
-      // Fallback: keyword scoring (helps with short/partial phrases)
-      const keywordSets = {
-        life: ['life', 'story', 'bio', 'about', 'who', 'background', 'know'],
-        superpower: ['superpower', 'super', 'strength', 'best', 'skill'],
-        grow: ['grow', 'areas', 'improve', 'learn', 'top', 'three', '3'],
-        misconception: ['misconception', 'coworker', 'people', 'wrong', 'assume', 'think'],
-        push: ['push', 'challenge', 'boundary', 'limits', 'improve', 'stretch']
-      };
-
-      // compute simple scores
-      const tokens = q.split(' ').filter(Boolean);
-      const scores = {};
-      for (const k in keywordSets) {
-        scores[k] = 0;
-        for (const kw of keywordSets[k]) {
-          if (tokens.includes(kw)) scores[k] += 1;
-        }
-      }
+  const stopListening = () => {
+    // stop() (not abort) so the recognizer still delivers what it heard
+    recogRef.current?.stop();
+  };
 
-      // choose best match if it has at least 1 hit AND is strictly greater than others
-      const entries = Object.entries(scores).sort((a, b) => b[1] - a[1]);
-      if (entries[0] && entries[0][1] > 0) {
-        // ensure it's not a tie
-        if (!entries[1] || entries[0][1] > entries[1][1]) {
-          const best = entries[0][0];
-          const reply = demoAnswers[best];
-          append('bot', reply);
-          if (isVoiceMode) speak(reply);
-          return;
-        }
-      }
+  // Hands-free: the loop calls through this ref so it always sees the current chat and persona
+  voiceHandlers.current = {
+    onInterim: showTranscript,
+    onFinal: (text) => {
+      append('you', text);
+      sendToServer(text);
+    },
+    // barge-in: the user started talking over the bot
+    onSpeechStart: () => {
+      if (speechRef.current) stopSpeaking();
+    }
+  };
 
-      // final fallback: try to interpret "what should" patterns sensibly
-      if (q.startsWith('what should') || q.startsWith('what do') || q.startsWith('what s')) {
-        // if user asked "what should we know" or "what should we" prefer life
-        if (q.includes('know') || q.includes('about') || q.includes('your') || q.includes('life') || q.includes('story')) {
-          append('bot', demoAnswers.life);
-          if (isVoiceMode) speak(demoAnswers.life);
-          return;
-        }
+  useEffect(() => {
+    if (!handsFree) return undefined;
+    const loop = createVoiceLoop({
+      lang: locale,
+      sttLang: sttLocale,
+      persona: persona.id || undefined,
+      onInterim: (text) => voiceHandlers.current.onInterim(text),
+      onFinal: (text) => voiceHandlers.current.onFinal(text),
+      onSpeechStart: () => voiceHandlers.current.onSpeechStart(),
+      onStateChange: (state) => {
+        setListening(state !== 'off');
+        setPulse(state === 'hearing');
+      },
+      onError: (code) => {
+        setHandsFree(false);
+        setErrorMsg(t[MIC_ERRORS[code]] || `${t.micError}: ${code}`);
       }
+    });
+    voiceLoopRef.current = loop;
+    loop.start();
+    return () => {
+      loop.stop();
+      voiceLoopRef.current = null;
+      showTranscript('');
+    };
+  }, [handsFree, locale, sttLocale, persona.id]);
 
-      // default message (unchanged)
-      append('bot', "Sorry, I don't have a demo answer for that. Try the example quick prompts.");
-      if (isVoiceMode) speak("Sorry, I don't have a demo answer for that. Try the example quick prompts.");
-      return;
+  // The bot holds the turn while it thinks and talks; listening resumes when it is done
+  useEffect(() => {
+    voiceLoopRef.current?.setBotTurn(status === 'thinking' || isSpeaking);
+  }, [status, isSpeaking, handsFree]);
+
+  const toggleHandsFree = (on) => {
+    setHandsFree(on);
+    if (on) {
+      setIsVoiceMode(true);
+      setErrorMsg('');
+    }
+  };
+
+  const sendToServer = async (text) => {
+    stopSpeaking();
+    if (DEMO_MODE) {
+      // Same classifier the server uses for canned answers; no LLM behind it here
+      const match = matchIntent(text, persona.intents || []);
+      const answer = match && (match.intent.answer || demoAnswers[match.intent.id]);
+      const reply = answer || t.noDemoAnswer;
+      const id = append('bot', reply, answer ? { confidence: match.intent.confidence || 'high' } : {});
+      if (isVoiceMode) speak(reply, undefined, id);
+      return answer ? { answer, confidence: match.intent.confidence || 'high', sources: [] } : null;
     }
 
-    // --- live mode: calls /api/chat ---
-    append('bot', LOADING_TEXT, { typing: true });
+    // --- live mode: streams over the realtime channel when the server has one, else /api/chat?stream=1 ---
+    const replyId = nextMessageId();
+    append('bot', LOADING_TEXT, { typing: true, id: replyId });
     setStatus('thinking');
     setErrorMsg('');
 
+    // In voice mode, sentences go to TTS while the rest of the answer is still streaming;
+    // on auto the question's language is the best guess until the answer says otherwise
+    const askedIn = language === AUTO ? detectLanguage(text, spokenLanguage) : language;
+    const speech = isVoiceMode ? startSpeech(askedIn, replyId) : null;
+    const sentenceBuffer = createSentenceBuffer();
+    let streamed = '';
+
+    const updateReply = (patch) => {
+      setChat(c => c.map(m => (m.id === replyId ? { ...m, ...patch(m) } : m)));
+    };
+    // first token replaces the typing dots, later ones extend the bubble
+    const addToken = (delta) => {
+      updateReply(m => ({ typing: false, text: m.typing ? delta : m.text + delta }));
+      streamed += delta;
+    };
+
     try {
       const history = chat
         .filter(m => !m.typing)
         .map(m => ({ role: m.who === 'you' ? 'user' : 'assistant', content: m.text }))
         .slice(-6);
-      const res = await fetch('/api/chat', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text, history })
-      });
-      if (!res.ok) {
-        const txt = await res.text();
-        throw new Error(txt || 'Server error');
+      const body = { text, history, persona: persona.id || undefined, language };
+
+      // Realtime: the server synthesizes each sentence as it streams and sends the audio along
+      let final = null;
+      let spokenByServer = false;
+      if (await connectRealtime()) {
+        const turn = askRealtime({ ...body, speak: Boolean(speech), voice: voice || undefined, speechLanguage: askedIn }, {
+          onToken: addToken,
+          onAudio: (clip) => speech?.pushClip(clip.text, clip)
+        });
+        if (speech) realtimeTurnRef.current = turn.id;
+        try {
+          final = await turn.result;
+          spokenByServer = Boolean(speech);
+        } catch (err) {
+          // the connection dropped before anything came back: ask over HTTP instead
+          if (err.status || streamed) throw requestError(err.status, err.message);
+        } finally {
+          if (realtimeTurnRef.current === turn.id) realtimeTurnRef.current = null;
+        }
       }
-      const j = await res.json();
-      const textReply = j.answer || j.reply || JSON.stringify(j);
-      setChat(c => {
-        const copy = [...c];
-        if (copy.length && copy[copy.length - 1].who === 'bot' && copy[copy.length - 1].text === LOADING_TEXT) {
-          copy.pop();
+
+      if (!final) {
+        const res = await fetch('/api/chat?stream=1', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(await sessionHeaders()) },
+          body: JSON.stringify(body)
+        });
+        if (!res.ok) {
+          const j = await res.json().catch(() => ({}));
+          throw requestError(res.status, j.error);
         }
-        return [...copy, { who: 'bot', text: textReply, confidence: j.confidence, sources: j.sources }];
-      });
-      if (isVoiceMode) speak(textReply);
+        if ((res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+          await readEventStream(res, (event, data) => {
+            if (event === 'token') {
+              addToken(data.text);
+              if (speech) sentenceBuffer.push(data.text).forEach(speech.push);
+            } else if (event === 'done') {
+              final = data;
+            } else if (event === 'error') {
+              throw new Error(data.error || 'Stream error');
+            }
+          });
+        } else {
+          final = await res.json();
+        }
+      }
+      if (!final) throw new Error('Stream ended without an answer');
+
+      const textReply = final.answer || final.reply || JSON.stringify(final);
+      const answeredIn = isLanguage(final.language) ? final.language : askedIn;
+      updateReply(() => ({ typing: false, text: textReply, confidence: final.confidence, sources: final.sources, fallback: final.fallback, language: answeredIn }));
+      if (language === AUTO) setSpokenLanguage(answeredIn);
+      if (speech) {
+        if ((streamed && streamed.trim() !== textReply.trim()) || answeredIn !== askedIn) {
+          // the server replaced the streamed answer (grounding check) or it came back in
+          // another language than expected: say the final one instead
+          speak(textReply, answeredIn, replyId);
+        } else {
+          // the realtime channel already sent every sentence; over HTTP, nothing streamed
+          // (plain JSON or unparseable model output) means speaking the final answer whole
+          if (!spokenByServer) (streamed ? sentenceBuffer.flush() : splitSentences(textReply)).forEach(speech.push);
+          speech.end();
+        }
+      }
       setStatus('ready');
       setErrorMsg('');
+      return { answer: textReply, confidence: final.confidence, sources: final.sources, language: answeredIn };
     } catch (err) {
       console.error(err);
+      speech?.end();
       setStatus('error');
-      setErrorMsg('Server error. Check connection or try again.');
-      append('bot', 'Sorry, something went wrong while contacting the server.');
+      setErrorMsg(err.userMessage || t.serverError);
+      setChat(c => c.filter(m => !(m.id === replyId && m.typing)));
+      append('bot', err.userMessage || t.replyError);
+      return null;
     }
   };
 
-  const speak = async (text) => {
-    stopSpeaking();
-    // Prefer server TTS (ElevenLabs); fallback to browser speechSynthesis
-    try {
-      const res = await fetch('/api/tts', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text })
-      });
-      if (res.ok) {
-        const blob = await res.blob();
-        const url = URL.createObjectURL(blob);
-        const audio = new Audio(url);
-        audioRef.current = audio;
-        audio.onended = () => setIsSpeaking(false);
-        audio.onpause = () => setIsSpeaking(false);
-        setIsSpeaking(true);
-        audio.play();
-        return;
-      }
-    } catch (e) {
-      console.warn('TTS fallback to speechSynthesis', e);
+  const speak = (text, speechLanguage, messageId) => {
+    // Prefer server TTS (ElevenLabs) sentence by sentence; the queue falls back to speechSynthesis per sentence
+    const queue = startSpeech(speechLanguage || detectLanguage(text, activeLanguage), messageId);
+    splitSentences(text).forEach(queue.push);
+    queue.end();
+  };
+
+  // --- interview mode: the config's questions are asked in order, each answer timed ---
+  const startInterview = (id) => {
+    const config = interviews.find(i => i.id === id);
+    if (!config) return;
+    newConversation();
+    interviewRun.current++;
+    setInterview({ config, index: 0, answers: [], startedAt: new Date().toISOString(), phase: 'asking' });
+  };
+
+  const recordAnswer = (answer) => {
+    setInterview(s => {
+      const answers = [...s.answers, answer];
+      if (s.index + 1 >= s.config.questions.length) return { ...s, answers, phase: 'scoring' };
+      return { ...s, answers, index: s.index + 1, deadline: null };
+    });
+  };
+
+  // The answer counts until it has been said (voice mode) or shown; past the limit it is cut off
+  const askInterviewQuestion = async ({ config, index }) => {
+    const run = ++interviewRun.current;
+    const question = config.questions[index];
+    const askedAt = Date.now();
+    const deadline = askedAt + question.timeLimitSec * 1000;
+    setInterview(s => ({ ...s, askedAt, deadline }));
+    append('you', question.text);
+    const result = await sendToServer(question.text);
+    let overtime = Date.now() > deadline;
+    const spoken = speechEndedRef.current?.promise;
+    if (!overtime && spoken && run === interviewRun.current) {
+      overtime = await Promise.race([spoken.then(() => false), wait(deadline - Date.now()).then(() => true)]);
+      if (overtime && run === interviewRun.current) stopSpeaking();
     }
-    if (!window.speechSynthesis) return;
-    const u = new SpeechSynthesisUtterance(text);
-    u.lang = 'en-US';
-    window.speechSynthesis.cancel();
-    u.onend = () => setIsSpeaking(false);
-    setIsSpeaking(true);
-    window.speechSynthesis.speak(u);
+    if (run !== interviewRun.current) return;
+    recordAnswer({
+      question: question.id,
+      answer: result?.answer || '',
+      confidence: result?.confidence,
+      sources: result?.sources,
+      ms: Date.now() - askedAt,
+      overtime,
+      skipped: !result
+    });
   };
 
-  const quickAsk = async (key) => {
-    const mapping = {
-      life: "What should we know about your life story in a few sentences?",
-      architecture: "How did you build this bot? What stack did you use?",
-      grow: "What are the top 3 areas you'd like to grow in?",
-      misconception: "What misconception do your coworkers have about you?",
-      push: "How do you push your boundaries and limits?"
-    };
-    const q = mapping[key];
-    append('you', q);
-    await sendToServer(q);
+  useEffect(() => {
+    if (interview?.phase === 'asking') askInterviewQuestion(interview);
+  }, [interview?.phase, interview?.index]);
+
+  useEffect(() => {
+    if (interview?.phase !== 'scoring') return;
+    const run = interviewRun.current;
+    scoreInterview({ interview: interview.config.id, persona: persona.id, startedAt: interview.startedAt, answers: interview.answers })
+      .then(report => {
+        if (run === interviewRun.current) setInterview(s => ({ ...s, phase: 'report', report }));
+      })
+      .catch(err => {
+        console.error(err);
+        if (run !== interviewRun.current) return;
+        setErrorMsg(err.message);
+        setInterview(s => ({ ...s, phase: 'unscored' }));
+      });
+  }, [interview?.phase]);
+
+  const skipQuestion = () => {
+    interviewRun.current++;
+    stopSpeaking();
+    const question = interview.config.questions[interview.index];
+    recordAnswer({ question: question.id, answer: '', ms: Date.now() - (interview.askedAt || Date.now()), skipped: true });
+  };
+
+  // Ending early scores what was answered so far; the rest count as skipped
+  const endInterview = () => {
+    interviewRun.current++;
+    stopSpeaking();
+    if (interview.phase === 'report' || !interview.answers.some(a => !a.skipped)) setInterview(null);
+    else setInterview(s => ({ ...s, phase: 'scoring' }));
+  };
+
+  const quickAsk = async (prompt) => {
+    append('you', prompt.text);
+    await sendToServer(prompt.text);
   };
 
   return (
@@ -234,41 +670,117 @@ function App() {
       {/* Header */}
       <div className="header">
         <div className="header-left">
-          <h1 className="title">Nitya — Voice Assistant</h1>
-          <p className="subtitle">Speak or type; I'll answer and speak back.</p>
+          <h1 className="title">{persona.title}</h1>
+          <p className="subtitle">{persona.subtitle}</p>
         </div>
         <div className="header-controls">
           <div className="status-group">
             <span className={`dot-status ${status}`}></span>
-            <span className="status-text">{status === 'error' ? 'Check connection' : 'Ready'}</span>
+            <span className="status-text">{status === 'error' ? t.checkConnection : t.ready}</span>
           </div>
           <label className="toggle">
             <input
               type="checkbox"
               checked={isVoiceMode}
-              onChange={e => setIsVoiceMode(e.target.checked)}
+              onChange={e => {
+                setIsVoiceMode(e.target.checked);
+                if (!e.target.checked) setHandsFree(false);
+              }}
               aria-label="Toggle voice mode"
             />
-            <span className="toggle-label">{isVoiceMode ? 'Voice' : 'Chat'}</span>
+            <span className="toggle-label">{isVoiceMode ? t.voice : t.chat}</span>
+          </label>
+          <label className="toggle">
+            <input
+              type="checkbox"
+              checked={handsFree}
+              onChange={e => toggleHandsFree(e.target.checked)}
+              aria-label="Toggle hands-free conversation"
+            />
+            <span className="toggle-label">{handsFree ? t.handsFree : t.pushToTalk}</span>
           </label>
+          <select
+            className="voice-select"
+            value={language}
+            onChange={e => chooseLanguage(e.target.value)}
+            aria-label="Choose language"
+          >
+            <option value={AUTO}>{t.languageAuto}</option>
+            {Object.values(LANGUAGES).map(l => <option key={l.code} value={l.code}>{l.label}</option>)}
+          </select>
+          {personas.length > 1 && (
+            <select
+              className="voice-select"
+              value={persona.id}
+              onChange={e => choosePersona(e.target.value)}
+              aria-label="Choose persona"
+            >
+              {personas.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          )}
+          {voices.length > 1 && (
+            <select
+              className="voice-select"
+              value={voice}
+              onChange={e => chooseVoice(e.target.value)}
+              aria-label="Choose voice"
+            >
+              {voices.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+            </select>
+          )}
+          {chat.length > 0 && !DEMO_MODE && (
+            <select className="voice-select" value="" onChange={e => exportAs(e.target.value)} aria-label="Export transcript">
+              <option value="" disabled>{t.exportLabel}</option>
+              <option value="md">Markdown</option>
+              <option value="json">JSON</option>
+              <option value="html">{t.exportPrint}</option>
+            </select>
+          )}
+          {interviews.length > 0 && !interview && (
+            <select className="voice-select" value="" onChange={e => startInterview(e.target.value)} aria-label="Start an interview">
+              <option value="" disabled>{t.interview}</option>
+              {interviews.map(i => <option key={i.id} value={i.id}>{i.title}</option>)}
+            </select>
+          )}
+          {chat.length > 0 && (
+            <button className="btn-silence" onClick={newConversation} aria-label="Start a new conversation">
+              {t.newChat}
+            </button>
+          )}
           <button className="btn-silence" onClick={stopSpeaking} aria-label="Silence audio">
-            Silence
+            {t.silence}
           </button>
         </div>
       </div>
 
+      {interview && interview.phase !== 'report' && (
+        <InterviewBar
+          interview={interview}
+          t={t}
+          onSkip={skipQuestion}
+          onEnd={endInterview}
+          onScore={() => setInterview(s => ({ ...s, phase: 'scoring' }))}
+        />
+      )}
+      {interview?.phase === 'report' && <InterviewReport report={interview.report} t={t} onClose={() => setInterview(null)} />}
+
       {/* Chat Area */}
-      <div ref={chatRef} className="chat">
+      <div ref={chatRef} className="chat" hidden={interview?.phase === 'report'}>
         {chat.length === 0 && (
           <div className="chat-empty">
-            <p>Try a quick prompt or hold the mic to start.</p>
+            <p>{handsFree ? t.emptyHandsFree : t.emptyPrompt}</p>
           </div>
         )}
         {chat.map((m, i) => (
-          <div key={i} className={`message-row ${m.who === 'you' ? 'you' : 'bot'}`}>
+          <div key={m.id ?? i} className={`message-row ${m.who === 'you' ? 'you' : 'bot'}`}>
             <div className={`message ${m.who === 'you' ? 'you' : 'bot'}`}>
               <div className="message-content">
-                <span className="avatar">{m.who === 'you' ? 'You' : 'N'}</span>
+                <span
+                  ref={m.id === speakingId ? avatarRef : undefined}
+                  className={`avatar ${m.id === speakingId ? 'speaking' : ''}`}
+                >
+                  {m.who === 'you' ? 'You' : (persona.name[0] || '•')}
+                </span>
                 <div className="message-text">
                   {m.typing ? (
                     <span className="typing">
@@ -277,7 +789,7 @@ function App() {
                       <span className="dot"></span>
                     </span>
                   ) : (
-                    m.text
+                    <SpokenText text={m.text} caption={caption?.id === m.id ? caption : null} />
                   )}
                 </div>
               </div>
@@ -285,7 +797,8 @@ function App() {
                 <div className="message-footer">
                   {(m.confidence || (m.sources && m.sources.length)) && (
                     <div className="chips">
-                      {m.confidence && <span className="chip">Confidence: {m.confidence}</span>}
+                      {m.confidence && <span className="chip">{t.confidence}: {m.confidence}</span>}
+                      {m.fallback === 'budget' && <span className="chip">{t.quickAnswer}</span>}
                       {m.sources && m.sources.length ? m.sources.map(s => (
                         <span key={s} className="chip">{s.replace('KB_', '')}</span>
                       )) : null}
@@ -295,7 +808,7 @@ function App() {
                     <button
                       className="btn-play"
                       aria-label="Play this message"
-                      onClick={() => speak(m.text)}
+                      onClick={() => speak(m.text, m.language, m.id)}
                     >
                       {isSpeaking ? <span className="waveform"></span> : '🔊'}
                     </button>
@@ -314,7 +827,7 @@ function App() {
             id="textInput"
             className="input-field"
             aria-label="Type a question"
-            placeholder="Ask me anything..."
+            placeholder={t.placeholder}
             onKeyDown={(e) => {
               if (e.key === 'Enter') {
                 const v = e.target.value.trim();
@@ -324,13 +837,14 @@ function App() {
           />
           <button
             className={`btn-mic ${pulse ? 'pulse' : ''}`}
-            aria-label="Hold to speak with microphone"
+            aria-label={handsFree ? 'Stop hands-free listening' : 'Hold to speak with microphone'}
             onMouseDown={startListening}
             onTouchStart={startListening}
             onMouseUp={stopListening}
             onTouchEnd={stopListening}
+            onClick={() => { if (handsFree) setHandsFree(false); }}
           >
-            {listening ? 'Listening…' : '🎤'}
+            {transcribing ? t.transcribing : listening ? (pulse && handsFree ? t.hearing : t.listening) : '🎤'}
           </button>
           <button
             className="btn-send"
@@ -342,19 +856,17 @@ function App() {
               if (v) { append('you', v); sendToServer(v); el.value = ''; }
             }}
           >
-            {status === 'thinking' ? '…' : 'Send'}
+            {status === 'thinking' ? '…' : t.send}
           </button>
         </div>
 
         {/* Quick Prompts */}
-        <div className="quick-prompts">
-          <span className="quick-label">Or try:</span>
+        <div className="quick-prompts" hidden={Boolean(interview)}>
+          <span className="quick-label">{t.tryLabel}</span>
           <div className="quick-buttons">
-            <button onClick={() => quickAsk('life')}>Life</button>
-            <button onClick={() => quickAsk('architecture')}>How I built this</button>
-            <button onClick={() => quickAsk('grow')}>Growth</button>
-            <button onClick={() => quickAsk('misconception')}>Misconception</button>
-            <button onClick={() => quickAsk('push')}>Boundaries</button>
+            {persona.quickPrompts.map(p => (
+              <button key={p.key} onClick={() => quickAsk(p)}>{p.label}</button>
+            ))}
           </div>
         </div>
       </div>
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { downloadReport } from './interview';
+
+/**
+ * Interview mode UI: the progress bar shown above the chat while questions are
+ * asked, and the scored report that replaces the chat at the end.
+ */
+
+// Time left on the current answer, ticking down to 0:00
+function Countdown({ deadline, label }) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(id);
+  }, []);
+  if (!deadline) return null;
+  const left = Math.max(0, Math.ceil((deadline - now) / 1000));
+  return (
+    <span className={`countdown ${left <= 10 ? 'low' : ''}`} aria-label={label}>
+      {Math.floor(left / 60)}:{String(left % 60).padStart(2, '0')}
+    </span>
+  );
+}
+
+export function InterviewBar({ interview, t, onSkip, onEnd, onScore }) {
+  const { config, index, phase } = interview;
+  return (
+    <div className="interview-bar">
+      <strong>{config.title}</strong>
+      <span className="chip">{t.question} {Math.min(index + 1, config.questions.length)}/{config.questions.length}</span>
+      {phase === 'asking' && <Countdown key={interview.deadline} deadline={interview.deadline} label={t.timeLeft} />}
+      {phase === 'scoring' && <span className="chip">{t.scoring}</span>}
+      <span className="interview-actions">
+        {phase === 'asking' && <button className="btn-silence" onClick={onSkip}>{t.skip}</button>}
+        {phase === 'unscored' && <button className="btn-silence" onClick={onScore}>{t.scoreAgain}</button>}
+        {phase !== 'scoring' && <button className="btn-silence" onClick={onEnd}>{t.endInterview}</button>}
+      </span>
+    </div>
+  );
+}
+
+const seconds = (ms) => (ms == null ? '—' : `${(ms / 1000).toFixed(1)}s`);
+
+export function InterviewReport({ report, t, onClose }) {
+  const { totals } = report;
+  return (
+    <section className="interview-report" aria-label={t.interviewReport}>
+      <div className="header">
+        <div className="header-left">
+          <h2 className="title">{report.interview.title}: {report.persona.name}</h2>
+          <p className="subtitle">
+            {t.overall} <strong>{report.overall} / {report.scale}</strong> · {totals.answered} {t.answered} · {totals.skipped} {t.skipped} · {totals.overtime} {t.overTime} · {t.scoredBy} {report.scoredBy}
+          </p>
+        </div>
+        <div className="header-controls">
+          <select className="voice-select" value="" onChange={e => downloadReport(report, e.target.value)} aria-label={t.download}>
+            <option value="" disabled>{t.download}</option>
+            <option value="md">Markdown</option>
+            <option value="json">JSON</option>
+            <option value="html">{t.exportPrint}</option>
+          </select>
+          <button className="btn-silence" onClick={onClose}>{t.backToChat}</button>
+        </div>
+      </div>
+
+      {report.summary && <p className="report-summary">{report.summary}</p>}
+
+      <table className="report-table">
+        <thead>
+          <tr><th>{t.criterion}</th><th>{t.weight}</th><th>{t.score}</th><th>{t.comment}</th></tr>
+        </thead>
+        <tbody>
+          {report.criteria.map(c => (
+            <tr key={c.id}>
+              <td title={c.description}>{c.label}</td>
+              <td>{c.weight}</td>
+              <td className="score">{c.score}</td>
+              <td>{c.comment}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <ol className="admin-list report-questions">
+        {report.questions.map(q => (
+          <li key={q.id} className={`admin-entry ${q.overtime ? 'overtime' : ''}`}>
+            <strong>{q.text}</strong>
+            <span>{q.answer ?? t.noAnswer}</span>
+            <span className="chips">
+              <span className="chip">{q.skipped ? t.skipped : `${seconds(q.ms)} / ${q.timeLimitSec}s`}</span>
+              {q.overtime && <span className="chip">{t.overTime}</span>}
+              {q.confidence && <span className="chip">{t.confidence}: {q.confidence}</span>}
+              {q.score != null && <span className="chip">{t.score} {q.score} / {report.scale}</span>}
+            </span>
+            {q.comment && <span className="report-comment">{q.comment}</span>}
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
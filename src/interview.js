@@ -0,0 +1,52 @@
+import { sessionHeaders } from './session';
+import { renderReport, REPORT_FORMATS } from '../lib/interviewReport.js';
+
+/**
+ * Structured interview mode: the interviews on offer (/api/interview), scoring
+ * the recorded answers, and downloading the report. The report is rendered
+ * here from the JSON the server returned, so a download never scores twice.
+ * Markdown and JSON download as files; HTML opens in a new tab to print or
+ * save as PDF.
+ */
+
+export async function fetchInterviews(persona) {
+  try {
+    const res = await fetch(`/api/interview?${new URLSearchParams({ persona: persona || '' })}`);
+    if (!res.ok) return [];
+    return (await res.json()).interviews || [];
+  } catch {
+    return [];
+  }
+}
+
+// Throws with the server's message (and status) when the answers can't be scored
+export async function scoreInterview({ interview, persona, startedAt, answers }) {
+  const res = await fetch('/api/interview', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(await sessionHeaders()) },
+    body: JSON.stringify({ interview, persona: persona || undefined, startedAt, answers })
+  });
+  const j = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(j.error || `Scoring failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+  return j;
+}
+
+export function downloadReport(report, format) {
+  const { ext, contentType } = REPORT_FORMATS[format];
+  const url = URL.createObjectURL(new Blob([renderReport(report, format)], { type: contentType }));
+  if (format === 'html') {
+    window.open(url, '_blank');
+  } else {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `interview-${report.interview.id}-${report.persona.id}-${report.finishedAt.slice(0, 10)}.${ext}`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  }
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
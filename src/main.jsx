@@ -1,6 +1,21 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App';
+import Admin from './Admin';
+import Analytics from './Analytics';
 import './styles.css';
 
-createRoot(document.getElementById('root')).render(<App />);
+// Hash routes so no server rewrites are needed: #/admin is the KB editor, #/analytics the dashboard
+function Root() {
+  const [hash, setHash] = useState(window.location.hash);
+  useEffect(() => {
+    const onChange = () => setHash(window.location.hash);
+    window.addEventListener('hashchange', onChange);
+    return () => window.removeEventListener('hashchange', onChange);
+  }, []);
+  if (hash.startsWith('#/admin')) return <Admin />;
+  if (hash.startsWith('#/analytics')) return <Analytics />;
+  return <App />;
+}
+
+createRoot(document.getElementById('root')).render(<Root />);
@@ -0,0 +1,124 @@
+import { getSession } from './session';
+
+/**
+ * Browser side of the realtime channel (lib/realtime.js): one WebSocket to
+ * /api/realtime carries the question, the streamed answer and its audio.
+ * connectRealtime() resolves false when the server has no channel (Vercel,
+ * REALTIME=off) or it can't be reached, and the app then uses the HTTP
+ * endpoints as before; after a failed attempt it isn't tried again for a
+ * minute. A connection that drops is reopened on the next turn.
+ * Every request carries the current session credentials (src/session.js), so
+ * a renewed or replaced token applies to the open socket straight away.
+ * Build with VITE_REALTIME=off to always use HTTP.
+ */
+
+const CONNECT_TIMEOUT_MS = 1500;
+const RETRY_AFTER_MS = 60000;
+
+let socket = null;
+let opening = null;
+let unavailableUntil = 0;
+let nextId = 1;
+const turns = new Map(); // id -> { onToken, onAudio, resolve, reject }
+
+function channelUrl() {
+  return `${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/api/realtime`;
+}
+
+// Errors carry the HTTP-equivalent status, like the fetch paths do
+function channelError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function dispatch(m) {
+  const turn = turns.get(m.id);
+  if (!turn) return;
+  if (m.type === 'token') turn.onToken?.(m.text);
+  else if (m.type === 'audio') turn.onAudio?.(m);
+  else if (m.type === 'done' || m.type === 'transcript' || m.type === 'error') {
+    turns.delete(m.id);
+    const { type, id, ...payload } = m;
+    if (type === 'error') turn.reject(channelError(payload.error, payload.status));
+    else turn.resolve(payload);
+  }
+}
+
+function open() {
+  return new Promise(resolve => {
+    const ws = new WebSocket(channelUrl());
+    ws.binaryType = 'arraybuffer';
+    let ready = false;
+    const timer = setTimeout(() => ws.close(), CONNECT_TIMEOUT_MS);
+    ws.onmessage = (e) => {
+      let m;
+      try {
+        m = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (m.type === 'ready') {
+        ready = true;
+        clearTimeout(timer);
+        socket = ws;
+        resolve(true);
+      } else {
+        dispatch(m);
+      }
+    };
+    ws.onclose = () => {
+      clearTimeout(timer);
+      if (socket === ws) socket = null;
+      for (const turn of turns.values()) turn.reject(channelError('Realtime connection closed', 0));
+      turns.clear();
+      if (!ready) {
+        unavailableUntil = Date.now() + RETRY_AFTER_MS;
+        resolve(false);
+      }
+    };
+  });
+}
+
+export function connectRealtime() {
+  if (import.meta.env.VITE_REALTIME === 'off' || typeof WebSocket === 'undefined') return Promise.resolve(false);
+  if (socket?.readyState === WebSocket.OPEN) return Promise.resolve(true);
+  if (Date.now() < unavailableUntil) return Promise.resolve(false);
+  if (!opening) opening = open().finally(() => { opening = null; });
+  return opening;
+}
+
+// `audio`, when given, goes out as the binary frame right after the message
+function request(message, handlers = {}, audio = null) {
+  const id = nextId++;
+  const result = getSession().then(session => new Promise((resolve, reject) => {
+    if (socket?.readyState !== WebSocket.OPEN) return reject(channelError('Realtime channel not connected', 0));
+    turns.set(id, { ...handlers, resolve, reject });
+    socket.send(JSON.stringify({ ...message, id, session: session?.sessionId, token: session?.token || undefined }));
+    if (audio) socket.send(audio);
+  }));
+  return { id, result };
+}
+
+/**
+ * Asks over the channel: body as for /api/chat plus speak, voice and
+ * speechLanguage (see lib/realtime.js). onToken(text) gets the answer as it
+ * streams, onAudio(clip) each spoken sentence in order ({ text, audio,
+ * contentType, alignment }, or { text, error } to read it locally).
+ * Returns { id, result } where result resolves with the final answer.
+ */
+export function askRealtime(body, { onToken, onAudio } = {}) {
+  return request({ type: 'ask', ...body }, { onToken, onAudio });
+}
+
+// Like transcribe() in src/recorder.js, over the channel; resolves with the transcript
+export async function transcribeRealtime(blob, { lang, persona } = {}) {
+  const audio = await blob.arrayBuffer();
+  const { result } = request({ type: 'transcribe', contentType: blob.type || 'application/octet-stream', lang: lang || undefined, persona: persona || undefined }, {}, audio);
+  return ((await result).text || '').trim();
+}
+
+// The user interrupted: stop the server synthesizing a turn (every turn without an id)
+export function cancelRealtime(id) {
+  if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify({ type: 'cancel', id }));
+}
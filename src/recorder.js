@@ -0,0 +1,91 @@
+import { sessionHeaders } from './session';
+import { connectRealtime, transcribeRealtime } from './realtime';
+
+/**
+ * Voice input for browsers without the Web Speech API (Firefox, ...): record
+ * with MediaRecorder and let /api/stt transcribe the clip on the server.
+ */
+
+export const canRecord = () => !!(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+
+// First container the browser can record that the STT backends accept
+function pickMimeType() {
+  const types = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+  return types.find(t => MediaRecorder.isTypeSupported?.(t)) || '';
+}
+
+export function openMic() {
+  return navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+}
+
+/**
+ * Records `stream` in clips: stop() resolves with the clip so far (a Blob, or
+ * null if nothing was captured), cut() does the same but keeps recording,
+ * discard() throws away what was captured and starts over.
+ */
+export function createClipRecorder(stream) {
+  const mimeType = pickMimeType();
+  let current = null;
+
+  const begin = () => {
+    const chunks = [];
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    recorder.start();
+    current = { recorder, chunks };
+  };
+
+  const finish = () => {
+    const rec = current;
+    current = null;
+    if (!rec || rec.recorder.state === 'inactive') return Promise.resolve(null);
+    return new Promise(resolve => {
+      rec.recorder.onstop = () => {
+        resolve(rec.chunks.length ? new Blob(rec.chunks, { type: rec.recorder.mimeType || mimeType || 'audio/webm' }) : null);
+      };
+      rec.recorder.stop();
+    });
+  };
+
+  return {
+    start: begin,
+    stop: finish,
+    cut() {
+      const clip = finish();
+      begin();
+      return clip;
+    },
+    discard() {
+      finish();
+      begin();
+    }
+  };
+}
+
+// Uploads a clip to /api/stt (over the realtime channel when it is open); resolves
+// with the transcript ('' when nothing was said)
+export async function transcribe(blob, { lang, persona } = {}) {
+  if (await connectRealtime()) {
+    try {
+      return await transcribeRealtime(blob, { lang, persona });
+    } catch (err) {
+      // a dropped connection (no status) retries over HTTP below
+      if (err.status) throw err;
+    }
+  }
+  const qs = new URLSearchParams();
+  if (lang) qs.set('lang', lang);
+  if (persona) qs.set('persona', persona);
+  const res = await fetch(`/api/stt?${qs}`, {
+    method: 'POST',
+    headers: { 'Content-Type': blob.type || 'application/octet-stream', ...(await sessionHeaders()) },
+    body: blob
+  });
+  const j = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(j.error || `Transcription failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+  return (j.text || '').trim();
+}
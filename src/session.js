@@ -0,0 +1,74 @@
+/**
+ * Client session for this browser: POST /api/session once, then send the ID (and
+ * signed token, when the server issues one) with every chat and TTS request.
+ * The server uses it for per-session rate limits, with API_AUTH=session to let
+ * the request in at all, and to keep the conversation so a reload picks it up.
+ * It lives in localStorage so a later visit resumes too; an expired session is
+ * renewed with the same ID while the server still has its conversation.
+ */
+
+const STORAGE_KEY = 'voicebot.session';
+let pending = null;
+
+function stored() {
+  try {
+    const s = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return s && s.sessionId ? s : null;
+  } catch {
+    return null;
+  }
+}
+
+// renew a minute early so an in-flight request never carries an expired token
+const fresh = (s) => s && (!s.expiresAt || s.expiresAt > Date.now() + 60000);
+
+const headersFor = (s) => ({ 'X-Session-Id': s.sessionId, ...(s.token ? { 'X-Session-Token': s.token } : {}) });
+
+export function hasSession() {
+  return !!stored();
+}
+
+export function getSession() {
+  const s = stored();
+  if (fresh(s)) return Promise.resolve(s);
+  if (!pending) {
+    pending = fetch('/api/session', { method: 'POST', headers: s ? headersFor(s) : {} })
+      .then(r => (r.ok ? r.json() : null))
+      .then(j => {
+        if (j) localStorage.setItem(STORAGE_KEY, JSON.stringify(j));
+        return j;
+      })
+      .catch(() => null)
+      .finally(() => { pending = null; });
+  }
+  return pending;
+}
+
+// Forget the session (e.g. after a 401) so the next request starts a new one
+export function clearSession() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+export async function sessionHeaders() {
+  const s = await getSession();
+  return s ? headersFor(s) : {};
+}
+
+// The stored conversation for this session: { persona, turns: [{ role, content, ... }] } or null
+export async function fetchConversation() {
+  if (!hasSession()) return null;
+  try {
+    const res = await fetch('/api/session', { headers: await sessionHeaders() });
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Start over: the server drops the conversation, the session stays
+export async function forgetConversation() {
+  if (!hasSession()) return;
+  try {
+    await fetch('/api/session', { method: 'DELETE', headers: await sessionHeaders() });
+  } catch { /* best effort */ }
+}
@@ -0,0 +1,212 @@
+import { sessionHeaders } from './session';
+import { normalizeForSpeech } from '../lib/speechText.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../lib/language.js';
+import { buildAlignment, alignWords, tokenize, cueAt } from '../lib/alignment.js';
+
+/**
+ * Pipelined speech: each pushed sentence is sent to /api/tts right away,
+ * and the decoded clips are scheduled back-to-back on one AudioContext so
+ * playback is gapless and starts as soon as the first sentence is ready.
+ * A sentence whose TTS request fails is read by speechSynthesis instead,
+ * in the same position in the queue, normalized the way /api/tts would
+ * (lib/speechText.js, with the persona's lexicon) and read with a browser
+ * voice for the answer's language when there is one. After a 429 (rate
+ * limit or the day's voice budget) server TTS is skipped until its
+ * Retry-After has passed.
+ *
+ * While audio plays, onCue({ text, word, viseme }) reports the sentence, the
+ * word being spoken ({ word, index, start, end }, index into the sentence)
+ * and the current viseme (lib/alignment.js), and onCue(null) once it stops.
+ * Clip timings come from /api/tts (alignment: true) or are estimated from the
+ * decoded length; the browser voice reports words only, with no visemes.
+ *
+ * pushClip(text, response) queues audio that arrived some other way (the
+ * realtime channel, src/realtime.js) in the /api/tts alignment response shape
+ * instead of fetching it; a response without audio is read by the browser voice.
+ */
+
+let sharedContext = null;
+function audioContext() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return null;
+  if (!sharedContext) sharedContext = new Ctx();
+  return sharedContext;
+}
+
+let serverTTSPausedUntil = 0;
+
+const wait = (ms) => new Promise(r => setTimeout(r, Math.max(0, ms)));
+
+// Browser-voice word boundaries are offsets into the spoken text; map them back to the sentence
+function browserWordCues(text, spoken) {
+  const tokens = tokenize(spoken);
+  const words = alignWords(text, tokens.map((t, i) => ({ word: t.word, start: i, end: i + 1 })));
+  return (charIndex) => {
+    const at = tokens.findLastIndex(t => t.index <= charIndex);
+    return at < 0 ? null : cueAt(words, at, { hold: true });
+  };
+}
+
+function speakWithBrowser(text, { lexicon, language = DEFAULT_LANGUAGE, onWord } = {}) {
+  return new Promise(resolve => {
+    const spoken = normalizeForSpeech(text, { lexicon, language });
+    if (!window.speechSynthesis || !spoken) return resolve();
+    const u = new SpeechSynthesisUtterance(spoken);
+    const { locale } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+    u.lang = locale;
+    // the default voice may not read the language at all; prefer one that does
+    const voices = window.speechSynthesis.getVoices();
+    u.voice = voices.find(v => v.lang === locale) || voices.find(v => v.lang?.startsWith(language)) || null;
+    if (onWord) {
+      const wordAt = browserWordCues(text, spoken);
+      u.onboundary = (e) => { if (e.name === 'word') onWord(wordAt(e.charIndex)); };
+    }
+    u.onend = resolve;
+    u.onerror = resolve;
+    window.speechSynthesis.speak(u);
+  });
+}
+
+export function createSpeechQueue({ voice, persona, lexicon, language, onStart, onIdle, onCue } = {}) {
+  const ctx = audioContext();
+  const controller = new AbortController();
+  const sources = new Set();
+  let chain = Promise.resolve();
+  let nextTime = 0;
+  let pending = 0;
+  let ended = false;
+  let started = false;
+  let cancelled = false;
+  const playing = []; // { text, at, end, alignment } per scheduled clip, in order
+  let frame = 0;
+  let lastCue = null;
+
+  ctx?.resume?.();
+
+  const emit = (cue) => {
+    const same = cue && lastCue && cue.text === lastCue.text && cue.word?.index === lastCue.word?.index && cue.viseme === lastCue.viseme;
+    if (same || (!cue && !lastCue)) return;
+    lastCue = cue;
+    onCue?.(cue);
+  };
+  // Follows the AudioContext clock while clips play
+  const tick = () => {
+    frame = 0;
+    const now = ctx.currentTime;
+    while (playing.length && playing[0].end <= now) playing.shift();
+    const clip = playing[0];
+    if (clip && clip.at <= now) {
+      const t = now - clip.at;
+      emit({
+        text: clip.text,
+        word: cueAt(clip.alignment?.words, t, { hold: true }),
+        viseme: cueAt(clip.alignment?.visemes, t)?.viseme || 'sil'
+      });
+    } else {
+      emit(null);
+    }
+    if (playing.length) frame = requestAnimationFrame(tick);
+  };
+
+  const settle = () => {
+    pending--;
+    if (!cancelled && ended && pending === 0) onIdle?.();
+  };
+  const markStarted = () => {
+    if (!started) { started = true; onStart?.(); }
+  };
+
+  // The /api/tts alignment response for one sentence ({ audio, contentType, alignment }), or null
+  const requestClip = async (text) => {
+    if (Date.now() < serverTTSPausedUntil) return null;
+    const res = await fetch('/api/tts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await sessionHeaders()) },
+      body: JSON.stringify({ text, voice: voice || undefined, persona: persona || undefined, language: language || undefined, alignment: true }),
+      signal: controller.signal
+    });
+    if (res.status === 429) {
+      serverTTSPausedUntil = Date.now() + (Number(res.headers.get('Retry-After')) || 30) * 1000;
+    }
+    return res.ok ? res.json() : null;
+  };
+
+  const fetchClip = async (text, response) => {
+    if (!ctx) return null;
+    try {
+      const j = await (response || requestClip(text));
+      if (!j?.audio) return null;
+      const bytes = Uint8Array.from(atob(j.audio), c => c.charCodeAt(0));
+      const buffer = await ctx.decodeAudioData(bytes.buffer);
+      const alignment = j.alignment || buildAlignment(text, {
+        spoken: normalizeForSpeech(text, { lexicon, language }),
+        duration: buffer.duration
+      });
+      return { buffer, alignment };
+    } catch (e) {
+      if (!cancelled) console.warn('TTS chunk fallback to speechSynthesis', e);
+      return null;
+    }
+  };
+
+  // `response` is a clip the caller already has; otherwise it is fetched
+  const enqueue = (text, response) => {
+    if (cancelled || !text) return;
+    pending++;
+    const clip = fetchClip(text, response); // starts immediately, in parallel with earlier sentences
+    chain = chain.then(async () => {
+      const fetched = await clip;
+      if (cancelled) return settle();
+      markStarted();
+      if (!fetched) {
+        // let already-scheduled audio finish, then read this sentence locally
+        if (ctx) await wait((nextTime - ctx.currentTime) * 1000);
+        if (!cancelled) {
+          await speakWithBrowser(text, { lexicon, language, onWord: (word) => emit({ text, word, viseme: null }) });
+          emit(null);
+        }
+        if (ctx) nextTime = ctx.currentTime;
+        return settle();
+      }
+      const { buffer, alignment } = fetched;
+      const source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.connect(ctx.destination);
+      const at = Math.max(ctx.currentTime, nextTime);
+      source.start(at);
+      nextTime = at + buffer.duration;
+      playing.push({ text, at, end: nextTime, alignment });
+      if (!frame) frame = requestAnimationFrame(tick);
+      sources.add(source);
+      source.onended = () => { sources.delete(source); settle(); };
+    });
+  };
+
+  return {
+    push(text) {
+      enqueue(text);
+    },
+    // audio the caller already has, as an /api/tts alignment response (or a promise of one)
+    pushClip(text, response) {
+      enqueue(text, Promise.resolve(response));
+    },
+    // No more sentences are coming; onIdle fires once the queue drains
+    end() {
+      ended = true;
+      if (!cancelled && pending === 0) onIdle?.();
+    },
+    cancel() {
+      cancelled = true;
+      controller.abort();
+      for (const s of sources) {
+        try { s.stop(); } catch { /* already stopped */ }
+      }
+      sources.clear();
+      playing.length = 0;
+      cancelAnimationFrame(frame);
+      frame = 0;
+      emit(null);
+      window.speechSynthesis?.cancel();
+    }
+  };
+}
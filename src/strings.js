@@ -0,0 +1,164 @@
+import { DEFAULT_LANGUAGE } from '../lib/language.js';
+
+/**
+ * UI strings per conversation language (lib/language.js). Persona content
+ * (title, quick prompts) comes from persona.json and is not translated here.
+ * Missing keys fall back to English.
+ */
+
+const STRINGS = {
+  en: {
+    ready: 'Ready',
+    checkConnection: 'Check connection',
+    voice: 'Voice',
+    chat: 'Chat',
+    handsFree: 'Hands-free',
+    pushToTalk: 'Push to talk',
+    languageAuto: 'Auto language',
+    exportLabel: 'Export…',
+    exportPrint: 'Print / PDF',
+    newChat: 'New chat',
+    silence: 'Silence',
+    emptyHandsFree: "I'm listening. Just start talking.",
+    emptyPrompt: 'Try a quick prompt or hold the mic to start.',
+    confidence: 'Confidence',
+    quickAnswer: 'Quick answer from notes',
+    placeholder: 'Ask me anything...',
+    transcribing: 'Transcribing…',
+    hearing: 'Hearing you…',
+    listening: 'Listening…',
+    send: 'Send',
+    tryLabel: 'Or try:',
+    serverError: 'Server error. Check connection or try again.',
+    replyError: 'Sorry, something went wrong while contacting the server.',
+    transcribeError: 'Could not transcribe that. Try again or type your question.',
+    noDemoAnswer: "Sorry, I don't have a demo answer for that. Try the example quick prompts.",
+    micError: 'Microphone error',
+    micUnsupported: 'Voice input is not supported in this browser. Use a recent Chrome, Edge, Firefox or Safari.',
+    micBlocked: 'Microphone access was blocked. Allow it in the browser to talk hands-free.',
+    interview: 'Interview…',
+    question: 'Question',
+    skip: 'Skip',
+    endInterview: 'End interview',
+    scoring: 'Scoring…',
+    scoreAgain: 'Score again',
+    timeLeft: 'Time left for this answer',
+    interviewReport: 'Interview report',
+    overall: 'Overall',
+    answered: 'answered',
+    skipped: 'skipped',
+    overTime: 'over time',
+    scoredBy: 'scored by',
+    download: 'Download…',
+    backToChat: 'Back to chat',
+    criterion: 'Criterion',
+    weight: 'Weight',
+    score: 'Score',
+    comment: 'Comment',
+    noAnswer: 'No answer.'
+  },
+  hi: {
+    ready: 'तैयार',
+    checkConnection: 'कनेक्शन जाँचें',
+    voice: 'आवाज़',
+    chat: 'चैट',
+    handsFree: 'हैंड्स-फ़्री',
+    pushToTalk: 'दबाकर बोलें',
+    languageAuto: 'भाषा: अपने आप',
+    exportLabel: 'एक्सपोर्ट…',
+    exportPrint: 'प्रिंट / PDF',
+    newChat: 'नई बातचीत',
+    silence: 'चुप करें',
+    emptyHandsFree: 'माइक चालू है — बस बोलना शुरू करें।',
+    emptyPrompt: 'कोई सुझाया गया सवाल चुनें या माइक दबाकर बोलें।',
+    confidence: 'भरोसा',
+    quickAnswer: 'नोट्स से झटपट जवाब',
+    placeholder: 'कुछ भी पूछिए...',
+    transcribing: 'लिखा जा रहा है…',
+    hearing: 'आवाज़ आ रही है…',
+    listening: 'सुन रहे हैं…',
+    send: 'भेजें',
+    tryLabel: 'या पूछें:',
+    serverError: 'सर्वर में गड़बड़ी। कनेक्शन जाँचें या फिर से कोशिश करें।',
+    replyError: 'माफ़ कीजिए, सर्वर से संपर्क करते समय कुछ गड़बड़ हो गई।',
+    transcribeError: 'यह समझ नहीं आया। फिर से बोलें या सवाल टाइप करें।',
+    noDemoAnswer: 'माफ़ कीजिए, इसका डेमो जवाब नहीं है। सुझाए गए सवाल आज़माएँ।',
+    micError: 'माइक्रोफ़ोन में गड़बड़ी',
+    micUnsupported: 'इस ब्राउज़र में आवाज़ से इनपुट नहीं चलता। नया Chrome, Edge, Firefox या Safari इस्तेमाल करें।',
+    micBlocked: 'माइक्रोफ़ोन की अनुमति रोकी गई है। हैंड्स-फ़्री बात करने के लिए ब्राउज़र में इसे चालू करें।',
+    interview: 'इंटरव्यू…',
+    question: 'सवाल',
+    skip: 'छोड़ें',
+    endInterview: 'इंटरव्यू ख़त्म करें',
+    scoring: 'अंक दिए जा रहे हैं…',
+    scoreAgain: 'फिर से अंक दें',
+    timeLeft: 'इस जवाब के लिए बचा समय',
+    interviewReport: 'इंटरव्यू रिपोर्ट',
+    overall: 'कुल',
+    answered: 'जवाब दिए',
+    skipped: 'छोड़े',
+    overTime: 'समय से ज़्यादा',
+    scoredBy: 'अंक दिए:',
+    download: 'डाउनलोड…',
+    backToChat: 'चैट पर वापस',
+    criterion: 'मापदंड',
+    weight: 'महत्व',
+    score: 'अंक',
+    comment: 'टिप्पणी',
+    noAnswer: 'कोई जवाब नहीं।'
+  },
+  kn: {
+    ready: 'ಸಿದ್ಧ',
+    checkConnection: 'ಸಂಪರ್ಕ ಪರಿಶೀಲಿಸಿ',
+    voice: 'ಧ್ವನಿ',
+    chat: 'ಚಾಟ್',
+    handsFree: 'ಹ್ಯಾಂಡ್ಸ್-ಫ್ರೀ',
+    pushToTalk: 'ಒತ್ತಿ ಮಾತನಾಡಿ',
+    languageAuto: 'ಭಾಷೆ: ಸ್ವಯಂ',
+    exportLabel: 'ರಫ್ತು…',
+    exportPrint: 'ಮುದ್ರಿಸಿ / PDF',
+    newChat: 'ಹೊಸ ಚಾಟ್',
+    silence: 'ನಿಶ್ಯಬ್ದ',
+    emptyHandsFree: 'ಮೈಕ್ ಆನ್ ಆಗಿದೆ — ಮಾತನಾಡಲು ಪ್ರಾರಂಭಿಸಿ.',
+    emptyPrompt: 'ಸಲಹೆ ಪ್ರಶ್ನೆಯನ್ನು ಆರಿಸಿ ಅಥವಾ ಮೈಕ್ ಒತ್ತಿ ಹಿಡಿದು ಮಾತನಾಡಿ.',
+    confidence: 'ವಿಶ್ವಾಸ',
+    quickAnswer: 'ಟಿಪ್ಪಣಿಗಳಿಂದ ತ್ವರಿತ ಉತ್ತರ',
+    placeholder: 'ಏನಾದರೂ ಕೇಳಿ...',
+    transcribing: 'ಬರೆಯಲಾಗುತ್ತಿದೆ…',
+    hearing: 'ನಿಮ್ಮ ಧ್ವನಿ ಕೇಳುತ್ತಿದೆ…',
+    listening: 'ಆಲಿಸುತ್ತಿದೆ…',
+    send: 'ಕಳುಹಿಸಿ',
+    tryLabel: 'ಅಥವಾ ಕೇಳಿ:',
+    serverError: 'ಸರ್ವರ್ ದೋಷ. ಸಂಪರ್ಕ ಪರಿಶೀಲಿಸಿ ಅಥವಾ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    replyError: 'ಕ್ಷಮಿಸಿ, ಸರ್ವರ್ ಸಂಪರ್ಕಿಸುವಾಗ ಏನೋ ತಪ್ಪಾಗಿದೆ.',
+    transcribeError: 'ಅದನ್ನು ಬರೆಯಲು ಆಗಲಿಲ್ಲ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ ಅಥವಾ ಪ್ರಶ್ನೆಯನ್ನು ಟೈಪ್ ಮಾಡಿ.',
+    noDemoAnswer: 'ಕ್ಷಮಿಸಿ, ಇದಕ್ಕೆ ಡೆಮೊ ಉತ್ತರ ಇಲ್ಲ. ಸಲಹೆ ಪ್ರಶ್ನೆಗಳನ್ನು ಪ್ರಯತ್ನಿಸಿ.',
+    micError: 'ಮೈಕ್ರೊಫೋನ್ ದೋಷ',
+    micUnsupported: 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಧ್ವನಿ ಇನ್‌ಪುಟ್ ಬೆಂಬಲವಿಲ್ಲ. ಹೊಸ Chrome, Edge, Firefox ಅಥವಾ Safari ಬಳಸಿ.',
+    micBlocked: 'ಮೈಕ್ರೊಫೋನ್ ಪ್ರವೇಶ ನಿರ್ಬಂಧಿಸಲಾಗಿದೆ. ಹ್ಯಾಂಡ್ಸ್-ಫ್ರೀ ಮಾತನಾಡಲು ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಅನುಮತಿಸಿ.',
+    interview: 'ಸಂದರ್ಶನ…',
+    question: 'ಪ್ರಶ್ನೆ',
+    skip: 'ಬಿಡಿ',
+    endInterview: 'ಸಂದರ್ಶನ ಮುಗಿಸಿ',
+    scoring: 'ಅಂಕ ನೀಡಲಾಗುತ್ತಿದೆ…',
+    scoreAgain: 'ಮತ್ತೆ ಅಂಕ ನೀಡಿ',
+    timeLeft: 'ಈ ಉತ್ತರಕ್ಕೆ ಉಳಿದ ಸಮಯ',
+    interviewReport: 'ಸಂದರ್ಶನ ವರದಿ',
+    overall: 'ಒಟ್ಟು',
+    answered: 'ಉತ್ತರಿಸಲಾಗಿದೆ',
+    skipped: 'ಬಿಡಲಾಗಿದೆ',
+    overTime: 'ಸಮಯ ಮೀರಿದೆ',
+    scoredBy: 'ಅಂಕ ನೀಡಿದ್ದು:',
+    download: 'ಡೌನ್‌ಲೋಡ್…',
+    backToChat: 'ಚಾಟ್‌ಗೆ ಹಿಂತಿರುಗಿ',
+    criterion: 'ಮಾನದಂಡ',
+    weight: 'ತೂಕ',
+    score: 'ಅಂಕ',
+    comment: 'ಟಿಪ್ಪಣಿ',
+    noAnswer: 'ಉತ್ತರವಿಲ್ಲ.'
+  }
+};
+
+export function uiStrings(language = DEFAULT_LANGUAGE) {
+  return { ...STRINGS[DEFAULT_LANGUAGE], ...STRINGS[language] };
+}
@@ -0,0 +1,47 @@
+import { sessionHeaders } from './session';
+
+/**
+ * Transcript export from the chat header: /api/export renders the stored
+ * conversation, or the one on screen when the server has none. Markdown and
+ * JSON download as files; HTML opens in a new tab to print or save as PDF.
+ */
+
+const toTurns = (chat) => chat
+  .filter(m => !m.typing)
+  .map(m => ({ role: m.who === 'you' ? 'user' : 'assistant', content: m.text, confidence: m.confidence, sources: m.sources }));
+
+function download(url, filename) {
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+export async function exportTranscript(format, { persona, chat }) {
+  // open the tab right away: browsers block popups opened after an await
+  const tab = format === 'html' ? window.open('', '_blank') : null;
+  try {
+    const headers = await sessionHeaders();
+    let res = await fetch(`/api/export?format=${format}`, { headers });
+    if (res.status === 404) {
+      res = await fetch(`/api/export?format=${format}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ persona: persona || undefined, turns: toTurns(chat) })
+      });
+    }
+    if (!res.ok) {
+      const j = await res.json().catch(() => ({}));
+      throw new Error(j.error || `Export failed (${res.status})`);
+    }
+    const url = URL.createObjectURL(await res.blob());
+    if (tab) tab.location.href = url;
+    else download(url, /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] || `transcript.${format}`);
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (err) {
+    tab?.close();
+    throw err;
+  }
+}
@@ -0,0 +1,222 @@
+import { canRecord, openMic, createClipRecorder, transcribe } from './recorder';
+
+/**
+ * Hands-free listening: continuous SpeechRecognition with interim results,
+ * restarted whenever the browser ends a session, plus a small energy-based
+ * voice activity detector (VAD) on the mic stream so we know the user started
+ * talking before any transcript arrives. Without the Web Speech API the mic is
+ * recorded instead, and each utterance the VAD finds is sent to /api/stt (no
+ * interim text then). `lang` is the recognition locale; recorded clips are sent
+ * with `sttLang` (default `lang`), or with no hint when it is null so the
+ * server detects the language, and with `persona` so they are logged under it.
+ *
+ * While the bot has the turn (thinking or speaking, see setBotTurn) transcripts
+ * are held back, since the mic mostly hears the bot's own voice. Speech louder
+ * than the raised barge-in threshold fires onSpeechStart, which lets the app
+ * stop the bot, and from then on the user's words go through as usual. When
+ * the bot's turn ends without a barge-in, the recognizer is restarted so no
+ * echo leaks into the next transcript.
+ */
+
+const FRAME_MS = 50;
+const SPEECH_MS = 200; // sustained energy before it counts as speech
+const BARGE_IN_MS = 350; // longer while the bot talks, so echo blips don't cut it off
+const SILENCE_MS = 900; // quiet after speech that ends an utterance
+const MIN_LEVEL = 0.015; // RMS never treated as speech below this
+const NOISE_FACTOR = 3; // speech is this many times the running noise floor
+const BARGE_IN_FACTOR = 2; // extra margin over the floor while the bot talks
+const RESTART_MS = 250;
+const QUIET_RESET_MS = 5000; // recorder mode: drop silent audio this often
+
+function createVad(stream, { onSpeechStart, onSpeechEnd, botTalking }) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  const source = ctx.createMediaStreamSource(stream);
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 1024;
+  source.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+  let floor = MIN_LEVEL / NOISE_FACTOR;
+  let loudMs = 0;
+  let quietMs = 0;
+  let speaking = false;
+
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (const s of samples) sum += s * s;
+    const rms = Math.sqrt(sum / samples.length);
+    const bot = botTalking();
+    const threshold = Math.max(MIN_LEVEL, floor * NOISE_FACTOR) * (bot ? BARGE_IN_FACTOR : 1);
+    if (rms > threshold) {
+      loudMs += FRAME_MS;
+      quietMs = 0;
+    } else {
+      quietMs += FRAME_MS;
+      loudMs = 0;
+      // only learn the room's noise while nobody is talking
+      if (!speaking && !bot) floor = floor * 0.95 + rms * 0.05;
+    }
+    if (!speaking && loudMs >= (bot ? BARGE_IN_MS : SPEECH_MS)) {
+      speaking = true;
+      onSpeechStart();
+    } else if (speaking && quietMs >= SILENCE_MS) {
+      speaking = false;
+      onSpeechEnd();
+    }
+  }, FRAME_MS);
+
+  return {
+    close() {
+      clearInterval(timer);
+      source.disconnect();
+      ctx.close().catch(() => {});
+    }
+  };
+}
+
+export function createVoiceLoop({ lang = 'en-US', sttLang = lang, persona, onInterim, onFinal, onSpeechStart, onStateChange, onError } = {}) {
+  const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  let recog = null;
+  let vad = null;
+  let stream = null;
+  let clips = null;
+  let quietTimer = null;
+  let userSpeaking = false;
+  let active = false;
+  let botTurn = false;
+  let bargedIn = false;
+  let interim = '';
+
+  const held = () => botTurn && !bargedIn;
+
+  const commit = (text) => {
+    interim = '';
+    if (held()) return;
+    onInterim?.('');
+    if (text.trim()) onFinal?.(text.trim());
+  };
+
+  const startRecognition = () => {
+    if (!active) return;
+    recog = new SpeechRecognition();
+    recog.lang = lang;
+    recog.continuous = true;
+    recog.interimResults = true;
+    recog.onresult = (e) => {
+      let text = '';
+      for (let i = e.resultIndex; i < e.results.length; i++) {
+        const result = e.results[i];
+        if (result.isFinal) commit(result[0].transcript);
+        else text += result[0].transcript;
+      }
+      if (held()) return;
+      interim = text.trim();
+      onInterim?.(interim);
+    };
+    recog.onerror = (e) => {
+      if (['no-speech', 'aborted', 'network'].includes(e.error)) return;
+      console.error(e);
+      stop();
+      onError?.(e.error || 'unknown');
+    };
+    // browsers end continuous sessions after a pause or a minute; keep going
+    recog.onend = () => {
+      recog = null;
+      if (active) setTimeout(startRecognition, RESTART_MS);
+    };
+    recog.start();
+  };
+
+  // Recorder mode: the utterance the VAD just heard goes to the server
+  const sendClip = async () => {
+    if (held()) return clips.discard();
+    try {
+      const blob = await clips.cut();
+      const text = blob ? await transcribe(blob, { lang: sttLang, persona }) : '';
+      if (active) commit(text);
+    } catch (err) {
+      console.warn('Transcription failed', err);
+    }
+  };
+
+  async function start() {
+    if (active) return;
+    const recording = !SpeechRecognition;
+    if (recording && !canRecord()) {
+      onError?.('unsupported');
+      return;
+    }
+    active = true;
+    try {
+      stream = await openMic();
+      vad = createVad(stream, {
+        botTalking: () => botTurn && !bargedIn,
+        onSpeechStart: () => {
+          userSpeaking = true;
+          if (botTurn) bargedIn = true;
+          onStateChange?.('hearing');
+          onSpeechStart?.();
+        },
+        onSpeechEnd: () => {
+          userSpeaking = false;
+          onStateChange?.('listening');
+          if (clips) sendClip();
+          // make the recognizer finalize what it has instead of waiting for its own pause
+          else if (interim) recog?.stop();
+        }
+      });
+    } catch (err) {
+      if (err?.name === 'NotAllowedError' || recording) {
+        stop();
+        onError?.(err?.name === 'NotAllowedError' ? 'not-allowed' : 'unsupported');
+        return;
+      }
+      // no VAD (no Web Audio or no mic stream): turn-taking still works, barge-in doesn't
+      console.warn('Voice activity detection unavailable', err);
+    }
+    if (!active) return;
+    onStateChange?.('listening');
+    if (recording) {
+      clips = createClipRecorder(stream);
+      clips.start();
+      quietTimer = setInterval(() => { if (!userSpeaking) clips.discard(); }, QUIET_RESET_MS);
+    } else {
+      startRecognition();
+    }
+  }
+
+  function stop() {
+    active = false;
+    interim = '';
+    try { recog?.abort(); } catch { /* not started */ }
+    recog = null;
+    clearInterval(quietTimer);
+    clips?.stop();
+    clips = null;
+    userSpeaking = false;
+    vad?.close();
+    vad = null;
+    stream?.getTracks().forEach(t => t.stop());
+    stream = null;
+    onStateChange?.('off');
+  }
+
+  return {
+    start,
+    stop,
+    // true from sending a question until the answer has been spoken
+    setBotTurn(on) {
+      if (on === botTurn) return;
+      botTurn = on;
+      if (on) {
+        bargedIn = false;
+        interim = '';
+      } else if (!bargedIn) {
+        // drop whatever the recognizer picked up of the bot's voice
+        try { recog?.abort(); } catch { /* not started */ }
+        clips?.discard();
+      }
+    }
+  };
+}
@@ -1,6 +1,13 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// `npm run dev` serves the UI; /api goes to the local server (`npm start`),
+// WebSockets included for /api/realtime
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react()],
+  server: {
+    proxy: {
+      '/api': { target: `http://localhost:${process.env.PORT || 4000}`, ws: true }
+    }
+  }
 });